@@ -0,0 +1,83 @@
+/**
+ * HealthPulse Pro: Compiled Model Artifact
+ * Serializes a built model to compact, versioned JSON and restores it, so the browser can
+ * skip downloading and parsing the raw CSVs. scripts/compile-model.js writes the artifact
+ * to "Medical dataset/model.json"; it records a SHA-256 of every source file so a stale
+ * artifact can be detected against the deployed manifest.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./ontology.js'), require('./engine.js'));
+    else root.ModelArtifact = factory(root.SymptomOntology, root.ClinicalEngine);
+})(typeof self !== 'undefined' ? self : this, function (SymptomOntology, ClinicalEngine) {
+
+    // Bump whenever the artifact layout changes; older artifacts are rejected
+    const FORMAT = 3;
+    const FILE = 'model.json';
+
+    const DENSITY_PRECISION = 6; // Significant digits kept in the age density tables
+
+    // Model fields copied through as-is
+    const PLAIN_FIELDS = [
+        'symptoms', 'symptomVocabulary', 'secondarySymptoms', 'allSymptoms', 'vocabulary', 'ageGroups',
+        'precautions', 'diseaseMetadata', 'diseaseSymptomMap', 'diseaseNames', 'reports', 'calibration', 'totalCases', 'recordCounts',
+        'symptomReliability'
+    ];
+
+    /**
+     * Compile a model built by ClinicalEngine.buildModel().
+     *
+     * @param {object} [options] - { sources: { file: sha256 } of the datasets it was built from }
+     */
+    function compile(model, options = {}) {
+        const artifact = { format: FORMAT, sources: options.sources || {} };
+        PLAIN_FIELDS.forEach(field => { artifact[field] = model[field]; });
+
+        artifact.concepts = model.ontology.registered().map(({ id, label }) => [id, label]);
+        artifact.diseases = {};
+        Object.entries(model.diseases).forEach(([name, disease]) => {
+            const ages = {};
+            disease.ages.forEach(age => { ages[age] = (ages[age] || 0) + 1; });
+            artifact.diseases[name] = { ...disease, ages };
+        });
+        artifact.ageDensities = {};
+        Object.entries(model.ageDensities).forEach(([name, table]) => {
+            artifact.ageDensities[name] = table.map(p => Number(p.toPrecision(DENSITY_PRECISION)));
+        });
+        return artifact;
+    }
+
+    /**
+     * Restore a model from compile() output. Throws for another artifact format.
+     */
+    function hydrate(artifact) {
+        if (!artifact || artifact.format !== FORMAT) {
+            throw new Error(`Model artifact format ${artifact && artifact.format} is not supported (expected ${FORMAT})`);
+        }
+
+        const model = {
+            ontology: SymptomOntology.createOntology(artifact.concepts.map(([id, label]) => ({ id, label }))),
+            records: [],
+            diseases: {},
+            ageDensities: artifact.ageDensities
+        };
+        PLAIN_FIELDS.forEach(field => { model[field] = artifact[field]; });
+        Object.entries(artifact.diseases).forEach(([name, disease]) => {
+            const ages = Object.entries(disease.ages).flatMap(([age, n]) => Array(n).fill(Number(age)));
+            model.diseases[name] = { ...disease, ages };
+        });
+        return model;
+    }
+
+    /**
+     * Whether the artifact was compiled from the dataset files a manifest describes
+     * ({ files: { file: sha256 } }, see scripts/manifest.js).
+     */
+    function matchesSources(artifact, manifest) {
+        return Object.keys(ClinicalEngine.DATASETS).every(key => {
+            const file = ClinicalEngine.DATASETS[key].file;
+            return (artifact.sources[file] || null) === (manifest.files[file] || null);
+        });
+    }
+
+    return { FORMAT, FILE, compile, hydrate, matchesSources };
+});
@@ -0,0 +1,236 @@
+/**
+ * HealthPulse Pro: Batch Scoring
+ * Scores a CSV of cases, one patient per row, for clinicians working through a list of
+ * intake forms. Each column is mapped onto an engine input first: suggestMapping()
+ * guesses from the headers and the user (or --map on the command line) corrects it.
+ * prepareCases() then validates every row against the mapping; rows that cannot be
+ * scored are returned with a reason instead of being scored on a guess.
+ *
+ * Mapping targets: 'id', 'age', 'gender', 'vital:<key>' (ClinicalEngine.VITALS) and
+ * 'symptom:<id>' (one of model.allSymptoms). '' ignores the column.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./csv.js'), require('./engine.js'));
+    else root.BatchScoring = factory(root.ClinicalCSV, root.ClinicalEngine);
+})(typeof self !== 'undefined' ? self : this, function (ClinicalCSV, ClinicalEngine) {
+
+    const TOP = 3; // Diagnoses kept per case
+
+    // Normalized header spellings for the profile fields
+    const FIELD_HEADERS = {
+        id: ['id', 'case', 'case id', 'case no', 'patient', 'patient id', 'mrn'],
+        age: ['age', 'age years'],
+        gender: ['gender', 'sex']
+    };
+
+    // Accepted cell values, normalized, for each questionnaire answer
+    const ANSWERS = {
+        Yes: ['yes', 'y', 'true', '1', 'present'],
+        No: ['no', 'n', 'false', '0', 'absent'],
+        Maybe: ['maybe', 'possibly'],
+        'Not Sure': ['not sure', 'unsure', 'unknown', 'dont know']
+    };
+
+    const GENDERS = {
+        Male: ['male', 'm'],
+        Female: ['female', 'f']
+    };
+
+    function normalize(text) {
+        return String(text).toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    function lookupValue(table, value) {
+        const key = normalize(value);
+        return Object.keys(table).find(name => table[name].includes(key)) || null;
+    }
+
+    /**
+     * Every target a column can be mapped to, as { value, label, group } for a picker.
+     */
+    function targets(model) {
+        const symptoms = model.allSymptoms
+            .map(id => ({ value: `symptom:${id}`, label: model.ontology.label(id), group: 'Symptoms' }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        return [
+            { value: '', label: 'Ignore', group: 'Profile' },
+            { value: 'id', label: 'Case ID', group: 'Profile' },
+            { value: 'age', label: 'Age', group: 'Profile' },
+            { value: 'gender', label: 'Gender', group: 'Profile' },
+            ...Object.entries(ClinicalEngine.VITALS).map(([key, vital]) => ({ value: `vital:${key}`, label: vital.label, group: 'Vitals' })),
+            ...symptoms
+        ];
+    }
+
+    /**
+     * Guess a target for each header: profile fields and vitals by name, symptoms through
+     * the model's ontology (synonyms included). Headers that match nothing are ignored.
+     *
+     * @returns {object} { header: target }
+     */
+    function suggestMapping(headers, model) {
+        const pool = new Set(model.allSymptoms);
+        const taken = new Set();
+        const mapping = {};
+
+        headers.forEach(header => {
+            const key = normalize(header);
+            const field = Object.keys(FIELD_HEADERS).find(f => FIELD_HEADERS[f].includes(key));
+            const vital = Object.keys(ClinicalEngine.VITALS).find(k => {
+                const { column, label } = ClinicalEngine.VITALS[k];
+                return [column, label, k].some(name => normalize(name) === key);
+            });
+            const symptom = model.ontology.lookup(header);
+
+            let target = '';
+            if (field) target = field;
+            else if (vital) target = `vital:${vital}`;
+            else if (symptom && pool.has(symptom)) target = `symptom:${symptom}`;
+
+            // The first column wins when two headers mean the same thing
+            mapping[header] = target && !taken.has(target) ? target : '';
+            taken.add(mapping[header]);
+        });
+        return mapping;
+    }
+
+    /**
+     * Problems that stop a mapping from being used at all (rather than a single row).
+     */
+    function checkMapping(mapping, model) {
+        const problems = [];
+        const used = Object.values(mapping).filter(Boolean);
+        const valid = new Set(targets(model).map(t => t.value));
+
+        ['age', 'gender'].forEach(field => {
+            if (!used.includes(field)) problems.push(`No column is mapped to ${field}`);
+        });
+        if (!used.some(target => target.startsWith('symptom:'))) problems.push('No column is mapped to a symptom');
+        used.filter((target, i) => used.indexOf(target) !== i).forEach(target => {
+            problems.push(`More than one column is mapped to ${target}`);
+        });
+        used.filter(target => !valid.has(target)).forEach(target => problems.push(`Unknown target: ${target}`));
+        return problems;
+    }
+
+    /**
+     * Validate parsed rows against a mapping and turn each valid row into engine selections.
+     *
+     * @param {object} parsed - ClinicalCSV.parseCSV() result; its own parse errors are carried over.
+     * @param {object} mapping - { header: target }, see suggestMapping().
+     * @param {object} model
+     * @returns {{ cases: object[], errors: object[] }} cases are { line, id, selections };
+     *   errors are { line, reason }, sorted by line.
+     * @throws {Error} When the mapping itself is unusable (see checkMapping()).
+     */
+    function prepareCases(parsed, mapping, model) {
+        const problems = checkMapping(mapping, model);
+        if (problems.length > 0) throw new Error(problems.join('; '));
+
+        const columns = Object.entries(mapping).filter(([, target]) => target);
+        const errors = parsed.report.errors.map(({ line, reason }) => ({ line, reason }));
+        const cases = [];
+
+        parsed.rows.forEach((row, i) => {
+            const line = parsed.lines[i];
+            const reasons = [];
+            const selections = { age: null, ageGroup: null, gender: null, vitals: {}, responses: {} };
+            let id = null;
+
+            columns.forEach(([header, target]) => {
+                const value = row[header];
+                const [kind, key] = target.split(':');
+
+                if (kind === 'id') {
+                    id = value || null;
+                } else if (kind === 'age') {
+                    const age = value === '' ? NaN : Number(value);
+                    if (Number.isFinite(age) && age >= ClinicalEngine.AGE_RANGE.min && age <= ClinicalEngine.AGE_RANGE.max) {
+                        selections.age = age;
+                    } else {
+                        reasons.push(value === '' ? 'Age is missing' : `Age "${value}" is not a number between ${ClinicalEngine.AGE_RANGE.min} and ${ClinicalEngine.AGE_RANGE.max}`);
+                    }
+                } else if (kind === 'gender') {
+                    selections.gender = lookupValue(GENDERS, value);
+                    if (!selections.gender) reasons.push(value === '' ? 'Gender is missing' : `Gender "${value}" is not Male or Female`);
+                } else if (value === '') {
+                    // Blank vitals and symptoms were not recorded
+                } else if (kind === 'vital') {
+                    const level = ClinicalEngine.VITAL_LEVELS.find(l => l.toLowerCase() === value.toLowerCase());
+                    if (level) selections.vitals[key] = level;
+                    else reasons.push(`${header} "${value}" is not ${ClinicalEngine.VITAL_LEVELS.join(', ')}`);
+                } else {
+                    const answer = lookupValue(ANSWERS, value);
+                    if (answer) selections.responses[key] = answer;
+                    else reasons.push(`${header} "${value}" is not Yes, No, Maybe or Not Sure`);
+                }
+            });
+
+            if (reasons.length === 0 && Object.keys(selections.responses).length === 0) {
+                reasons.push('No symptom answers');
+            }
+            if (reasons.length > 0) {
+                errors.push({ line, reason: `${id ? `Case ${id}: ` : ''}${reasons.join('; ')}` });
+                return;
+            }
+
+            selections.ageGroup = ClinicalEngine.ageGroupFor(model, selections.age);
+            cases.push({ line, id, selections });
+        });
+
+        return { cases, errors: errors.sort((a, b) => a.line - b.line) };
+    }
+
+    /**
+     * Reduce one case's predictions to the row shown and exported: profile plus the top diagnoses.
+     */
+    function summarize(c, predictions, top = TOP) {
+        const { age, gender, responses } = c.selections;
+        return {
+            line: c.line,
+            id: c.id,
+            age,
+            gender,
+            answered: Object.keys(responses).length,
+            predictions: predictions.slice(0, top).map(({ name, probability }) => ({ name, probability }))
+        };
+    }
+
+    /**
+     * Score prepared cases in this thread. `options` go to ClinicalEngine.calculateProbabilities().
+     */
+    function scoreCases(model, cases, options = {}) {
+        return cases.map(c => summarize(c, ClinicalEngine.calculateProbabilities(model, c.selections, options)));
+    }
+
+    // A cell a spreadsheet would run as a formula ("=HYPERLINK(...)", "+1", "@SUM(...)")
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    /**
+     * An uploaded text cell made safe to open in a spreadsheet: a leading ' keeps one that
+     * starts like a formula as plain text.
+     */
+    function spreadsheetText(value) {
+        return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+    }
+
+    /**
+     * Results as CSV: one row per case with the top diagnoses and their probabilities (%).
+     * Case IDs and genders come from the upload, so formula-like text is neutralized.
+     */
+    function toCSV(results, top = TOP) {
+        const header = ['Line', 'Case ID', 'Age', 'Gender', 'Answers'];
+        for (let rank = 1; rank <= top; rank++) header.push(`Diagnosis ${rank}`, `Probability ${rank} (%)`);
+
+        return ClinicalCSV.stringify([header, ...results.map(r => {
+            const row = [r.line, spreadsheetText(r.id), r.age, spreadsheetText(r.gender), r.answered];
+            for (let rank = 0; rank < top; rank++) {
+                const p = r.predictions[rank];
+                row.push(p ? p.name : '', p ? p.probability.toFixed(1) : '');
+            }
+            return row;
+        })]);
+    }
+
+    return { TOP, ANSWERS, targets, suggestMapping, checkMapping, prepareCases, summarize, scoreCases, toCSV };
+});
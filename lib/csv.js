@@ -0,0 +1,176 @@
+/**
+ * HealthPulse Pro: RFC 4180 CSV Parser
+ * Shared by every dataset loader. Handles CRLF/LF line endings, quoted fields containing
+ * commas or newlines, doubled-quote escapes and blank cells, and reports every row it
+ * could not use instead of silently shifting columns. stringify() writes the same dialect.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ClinicalCSV = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Split CSV text into records of raw string fields.
+     * Each record remembers the line it started on, plus any syntax error found in it,
+     * so the caller can skip it and point at the source.
+     */
+    function tokenize(text) {
+        const records = [];
+        let error = null;
+        let field = '';
+        let fields = [];
+        let line = 1;
+        let startLine = 1;
+        let inQuotes = false;
+        let wasQuoted = false;
+        let i = 0;
+
+        // Strip a UTF-8 byte order mark
+        if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+        const endField = () => {
+            fields.push(field);
+            field = '';
+            wasQuoted = false;
+        };
+        const endRecord = () => {
+            endField();
+            records.push({ line: startLine, fields, error });
+            fields = [];
+            error = null;
+        };
+
+        for (; i < text.length; i++) {
+            const ch = text[i];
+
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (ch === '\n') line++;
+                    field += ch;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                if (field === '' && !wasQuoted) {
+                    inQuotes = true;
+                    wasQuoted = true;
+                } else {
+                    // A stray quote inside an unquoted field: keep it literally but flag the row
+                    error = error || 'Unexpected quote inside an unquoted field';
+                    field += ch;
+                }
+            } else if (ch === ',') {
+                endField();
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                startLine = line;
+            } else {
+                field += ch;
+            }
+        }
+
+        if (inQuotes) {
+            error = 'Unterminated quoted field';
+        }
+        if (field !== '' || fields.length > 0 || wasQuoted) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    /**
+     * Parse CSV text into header-keyed row objects.
+     *
+     * @param {string} text - Raw file contents.
+     * @param {object} [options]
+     * @param {string} [options.file] - Name used in the report.
+     * @param {string[]} [options.required] - Columns that must be present and non-empty for a row to be kept.
+     * @param {boolean} [options.trim=true] - Trim whitespace around unquoted and quoted values.
+     * @returns {{ headers: string[], rows: object[], lines: number[], report: object }}
+     *   `lines[i]` is the line rows[i] started on, for pointing at rows rejected later.
+     */
+    function parseCSV(text, options = {}) {
+        const { file = 'dataset', required = [], trim = true } = options;
+        const records = tokenize(text || '');
+        const clean = v => (trim ? v.trim() : v);
+
+        const report = { file, total: 0, parsed: 0, skipped: 0, errors: [] };
+
+        // Blank lines carry no data and are not counted as records
+        const nonBlank = records.filter(r => !(r.fields.length === 1 && r.fields[0].trim() === ''));
+        if (nonBlank.length === 0) {
+            report.errors.push({ line: 1, reason: 'File is empty' });
+            return { headers: [], rows: [], lines: [], report };
+        }
+
+        const headers = nonBlank[0].fields.map(clean);
+        const missing = required.filter(col => !headers.includes(col));
+        if (missing.length > 0) {
+            report.errors.push({ line: nonBlank[0].line, reason: `Missing required column(s): ${missing.join(', ')}` });
+            report.total = nonBlank.length - 1;
+            report.skipped = report.total;
+            return { headers, rows: [], lines: [], report };
+        }
+
+        const rows = [];
+        const lines = [];
+        nonBlank.slice(1).forEach(rec => {
+            report.total++;
+
+            if (rec.error) {
+                report.skipped++;
+                report.errors.push({ line: rec.line, reason: rec.error });
+                return;
+            }
+            if (rec.fields.length !== headers.length) {
+                report.skipped++;
+                report.errors.push({ line: rec.line, reason: `Expected ${headers.length} fields, found ${rec.fields.length}` });
+                return;
+            }
+
+            const row = {};
+            headers.forEach((h, idx) => {
+                row[h] = clean(rec.fields[idx]);
+            });
+
+            const empty = required.filter(col => row[col] === '');
+            if (empty.length > 0) {
+                report.skipped++;
+                report.errors.push({ line: rec.line, reason: `Empty required value(s): ${empty.join(', ')}` });
+                return;
+            }
+
+            rows.push(row);
+            lines.push(rec.line);
+        });
+
+        report.parsed = rows.length;
+        return { headers, rows, lines, report };
+    }
+
+    function quote(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Write rows of values as CSV text with CRLF line endings. Fields containing commas,
+     * quotes, line breaks or edge whitespace are quoted; null and undefined become blank cells.
+     */
+    function stringify(rows) {
+        return rows.map(row => row.map(quote).join(',') + '\r\n').join('');
+    }
+
+    return { parseCSV, tokenize, stringify };
+});
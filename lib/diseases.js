@@ -0,0 +1,234 @@
+/**
+ * HealthPulse Pro: Disease Name Reconciliation
+ * The five datasets name the same disease differently ("Dengue Fever" / "Dengue",
+ * "Parkinson's" / "Parkinson's Disease", "Chronic Obstructive Pulmonary..." cut off by an
+ * export). An index resolves every spelling to one canonical disease, in order: the
+ * normalized name, the curated ALIASES, a truncated name's full form, then a
+ * typo-tolerant match. coverage() reports which diseases lack precautions, a
+ * description or symptom text once the names are reconciled.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./ontology.js'));
+    else root.DiseaseNames = factory(root.SymptomOntology);
+})(typeof self !== 'undefined' ? self : this, function (SymptomOntology) {
+
+    // { canonical name: [other names] } for spellings the normalized name cannot join.
+    // The canonical name also fixes which spelling is shown when several datasets agree.
+    const ALIASES = {
+        'Anxiety Disorders': ['Anxiety'],
+        'Asthma': ['Bronchial Asthma'],
+        'Chickenpox': ['Chicken pox', 'Varicella'],
+        'Chronic Obstructive Pulmonary Disease (COPD)': ['COPD'],
+        'Common Cold': ['Cold'],
+        'Diabetes': ['Diabetes Mellitus'],
+        'Eating Disorders (Anorexia, Bulimia)': ['Anorexia', 'Bulimia'],
+        'Hemorrhoids': ['Piles', 'Dimorphic hemmorhoids (piles)'],
+        'HIV/AIDS': ['HIV', 'AIDS'],
+        'Hypertension': ['High Blood Pressure'],
+        'Myocardial Infarction (Heart Attack)': ['Heart Attack'],
+        'Obsessive-Compulsive Disorder (OCD)': ['OCD'],
+        "Parkinson's Disease": ["Parkinson's"],
+        'Systemic Lupus Erythematosus (SLE)': ['Lupus', 'SLE'],
+        'Ulcer': ['Peptic Ulcer Disease', 'Peptic Ulcer'],
+        'Urinary Tract Infection (UTI)': ['UTI']
+    };
+
+    // Words that only say "this is a disease"; a one-letter typo is tolerated from six letters
+    const GENERIC_WORDS = ['disease', 'diseases', 'disorder', 'disorders', 'fever', 'virus'];
+    const TRUNCATION = /(\.\.\.|…)\s*$/;
+
+    /**
+     * Lower-case a name and strip parentheticals (including one an export cut off),
+     * possessives and punctuation.
+     */
+    function clean(raw) {
+        return String(raw || '')
+            .toLowerCase()
+            .replace(TRUNCATION, '')
+            .replace(/\([^)]*\)/g, ' ')
+            .replace(/\(.*$/, ' ')
+            .replace(/['’]s\b/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    function isGeneric(word) {
+        if (GENERIC_WORDS.includes(word)) return true;
+        return word.length >= 6 && GENERIC_WORDS.some(g => SymptomOntology.editDistance(word, g) <= 1);
+    }
+
+    /**
+     * Matching key: the cleaned name without generic words ("Dengue Fever" and "Dengue"
+     * share one). A name made only of generic words keeps them.
+     */
+    function keyOf(raw) {
+        const words = clean(raw).split(' ').filter(Boolean);
+        const specific = words.filter(w => !isGeneric(w));
+        return (specific.length ? specific : words).join(' ');
+    }
+
+    function isTruncated(raw) {
+        return TRUNCATION.test(String(raw || ''));
+    }
+
+    // Display form of a name with no curated canonical spelling
+    function tidy(raw) {
+        return String(raw).trim().replace(TRUNCATION, '').replace(/\s*\([^)]*$/, '').replace(/[\s,]+$/, '');
+    }
+
+    const ALIAS_KEYS = new Map(); // key -> canonical name
+    Object.entries(ALIASES).forEach(([canonical, names]) => {
+        [canonical, ...names].forEach(name => ALIAS_KEYS.set(keyOf(name), canonical));
+    });
+
+    /**
+     * Typo tolerance between two keys: the same words once spaces are dropped
+     * ("chicken pox" / "chickenpox"), or the same number of words each within one edit
+     * from six letters. Returns the number of edits, or Infinity for no match.
+     */
+    function fuzzyDistance(a, b) {
+        if (a.replace(/ /g, '') === b.replace(/ /g, '')) return 0;
+        const wa = a.split(' ');
+        const wb = b.split(' ');
+        if (wa.length !== wb.length) return Infinity;
+        let total = 0;
+        for (let i = 0; i < wa.length; i++) {
+            if (wa[i] === wb[i]) continue;
+            if (Math.min(wa[i].length, wb[i].length) < 6) return Infinity;
+            const d = SymptomOntology.editDistance(wa[i], wb[i]);
+            if (d > 1) return Infinity;
+            total += d;
+        }
+        return total;
+    }
+
+    /**
+     * Create an index whose canonical diseases are those of the record datasets.
+     * Full names are registered before truncated ones, so "Chronic Obstructive
+     * Pulmonary..." joins the complete name whatever order the rows come in.
+     *
+     * @param {string[]} recordNames - Disease column values of the record datasets.
+     */
+    function createIndex(recordNames = []) {
+        const entities = new Map(); // key -> canonical name
+        const cache = new Map(); // raw name -> match()
+        const sightings = {}; // { canonical: [{ file, name, match }] }
+        const unmatched = {}; // { file: [names] }
+        const seen = new Set();
+
+        /**
+         * Find the canonical disease for a name.
+         * Returns { name, match } with match 'exact', 'normalized', 'alias', 'prefix' or
+         * 'fuzzy', or null when it names no registered disease.
+         */
+        function match(raw) {
+            if (cache.has(raw)) return cache.get(raw);
+            const result = lookup(raw);
+            cache.set(raw, result);
+            return result;
+        }
+
+        function lookup(raw) {
+            const key = keyOf(raw);
+            if (entities.has(key)) {
+                const name = entities.get(key);
+                return { name, match: name === raw ? 'exact' : 'normalized' };
+            }
+            const aliased = ALIAS_KEYS.get(key);
+            if (aliased && entities.has(keyOf(aliased))) return { name: entities.get(keyOf(aliased)), match: 'alias' };
+
+            if (isTruncated(raw)) {
+                const stem = clean(raw);
+                const full = [...new Set(entities.values())].filter(name => clean(name).startsWith(stem));
+                if (full.length === 1) return { name: full[0], match: 'prefix' };
+            }
+
+            // Fuzzy: the single closest registered or alias key
+            let best = null;
+            let bestDistance = Infinity;
+            let tied = false;
+            const candidates = [...entities.keys(), ...[...ALIAS_KEYS.keys()].filter(k => entities.has(keyOf(ALIAS_KEYS.get(k))))];
+            candidates.forEach(candidate => {
+                const distance = fuzzyDistance(key, candidate);
+                const name = entities.get(candidate) || entities.get(keyOf(ALIAS_KEYS.get(candidate)));
+                if (distance < bestDistance) {
+                    best = name;
+                    bestDistance = distance;
+                    tied = false;
+                } else if (distance === bestDistance && name !== best) {
+                    tied = true;
+                }
+            });
+            return best && !tied ? { name: best, match: 'fuzzy' } : null;
+        }
+
+        function register(raw) {
+            if (match(raw)) return;
+            const name = ALIAS_KEYS.get(keyOf(raw)) || tidy(raw);
+            entities.set(keyOf(name), name);
+            entities.set(keyOf(raw), name);
+            cache.clear();
+        }
+
+        const names = [...new Set(recordNames)];
+        names.filter(n => !isTruncated(n)).concat(names.filter(isTruncated)).forEach(register);
+
+        /**
+         * Canonical name for a dataset's spelling, or null. The sighting is recorded
+         * against `file` for report().
+         */
+        function resolve(raw, file) {
+            const found = match(raw);
+            if (file && !seen.has(`${file}\u0000${raw}`)) {
+                seen.add(`${file}\u0000${raw}`);
+                if (found) (sightings[found.name] = sightings[found.name] || []).push({ file, name: raw, match: found.match });
+                else (unmatched[file] = unmatched[file] || []).push(raw);
+            }
+            return found ? found.name : null;
+        }
+
+        /**
+         * Every spelling resolved so far: { aliases: { canonical: [{ file, name, match }] },
+         * unmatched: { file: [names] } }.
+         */
+        function report() {
+            return {
+                aliases: JSON.parse(JSON.stringify(sightings)),
+                unmatched: Object.fromEntries(Object.entries(unmatched).map(([file, list]) => [file, list.slice().sort()]))
+            };
+        }
+
+        return { resolve, match, report, names: () => [...new Set(entities.values())].sort() };
+    }
+
+    /**
+     * Which of the model's diseases lack precautions, a description (diseases.csv) or
+     * text-derived symptoms (Diseases_Symptoms.csv / diseases.csv).
+     *
+     * @returns {{ diseases: object[], missing: { precautions, description, symptomText },
+     *   unmatched: { file: string[] } }} One { name, records, precautions, description,
+     *   symptomText, sources } entry per disease, sorted by name.
+     */
+    function coverage(model) {
+        const names = model.diseaseNames || { aliases: {}, unmatched: {} };
+        const diseases = Object.keys(model.diseases).sort().map(name => {
+            const key = name.toLowerCase();
+            return {
+                name,
+                records: model.diseases[name].count,
+                precautions: (model.precautions[key] || []).length > 0,
+                description: Boolean((model.diseaseMetadata[key] || {}).description),
+                symptomText: (model.diseaseSymptomMap[key] || []).length > 0,
+                sources: names.aliases[name] || []
+            };
+        });
+        const lacking = field => diseases.filter(d => !d[field]).map(d => d.name);
+        return {
+            diseases,
+            missing: { precautions: lacking('precautions'), description: lacking('description'), symptomText: lacking('symptomText') },
+            unmatched: names.unmatched
+        };
+    }
+
+    return { ALIASES, clean, keyOf, createIndex, coverage };
+});
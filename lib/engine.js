@@ -0,0 +1,1006 @@
+/**
+ * HealthPulse Pro: Bayesian Inference Engine
+ * DOM-free model building and scoring, shared by the browser UI and the Node tools.
+ * A model is built from parsed dataset rows; a profile plus responses is then scored
+ * against it with the weights of a scoring profile (lib/scoring.js). Nothing here touches
+ * `document`, `fetch` or global state.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./csv.js'), require('./ontology.js'), require('./diseases.js'), require('./scoring.js'));
+    else root.ClinicalEngine = factory(root.ClinicalCSV, root.SymptomOntology, root.DiseaseNames, root.ScoringProfiles);
+})(typeof self !== 'undefined' ? self : this, function (ClinicalCSV, SymptomOntology, DiseaseNames, ScoringProfiles) {
+
+    // Bundled datasets, keyed by the role they play in the model
+    const DATASETS = {
+        profile: { file: 'Disease_symptom_and_patient_profile_dataset.csv', required: ['Disease', 'Age'], optional: false },
+        healthcare: { file: 'Healthcare (2).csv', required: ['Disease', 'Symptoms'], optional: false },
+        precautions: { file: 'Disease precaution.csv', required: ['Disease'], optional: true },
+        metadata: { file: 'diseases.csv', required: ['name'], optional: true },
+        diseaseSymptoms: { file: 'Diseases_Symptoms.csv', required: ['Name', 'Symptoms'], optional: true }
+    };
+
+    // Vital signs recorded as Low/Normal/High in the profile dataset: { key: { column, label } }
+    const VITALS = {
+        bloodPressure: { column: 'Blood Pressure', label: 'Blood Pressure' },
+        cholesterol: { column: 'Cholesterol Level', label: 'Cholesterol' }
+    };
+    const VITAL_LEVELS = ['Low', 'Normal', 'High'];
+
+    // Ages the per-disease density tables cover, in whole years
+    const AGE_RANGE = { min: 0, max: 120 };
+    const AGE_SHRINKAGE = 5; // Pseudo-records of the population age density mixed into each disease's own ages
+    const NEARBY_AGE = 5; // Records within this many years count as "cases near your age"
+    const SYMPTOM_SHRINKAGE = 5; // Pseudo-records of the text-derived P(S | D) mixed into each disease's symptom counts
+
+    const SECONDARY_LIMIT = 11; // Secondary questions drawn from Diseases_Symptoms.csv
+
+    // Optional follow-up on a Yes answer; responses[id] is then { answer: 'Yes', severity?, duration? }.
+    // Severity scales the symptom's whole evidence term by the scoring profile's weight.
+    const SEVERITIES = ['mild', 'moderate', 'severe'];
+    const DURATIONS = ['hours', 'days', 'weeks', 'chronic']; // Shortest to longest
+    // Likelihood ratio of the longest reported duration given the disease's Chronic flag
+    // in Diseases_Symptoms.csv; diseases without a flag are left alone
+    const DURATION_FIT = {
+        hours: { chronic: 0.7, acute: 1.2 },
+        days: { chronic: 0.9, acute: 1.1 },
+        weeks: { chronic: 1.3, acute: 0.8 },
+        chronic: { chronic: 1.6, acute: 0.5 }
+    };
+
+    // Softmax temperature applied to the log-scores. Fitted by minimizing held-out
+    // log-loss with `node scripts/evaluate.js --calibrate` on the bundled datasets
+    // (--sample 5000: top-1 3.1%, top-3 9.7%, ECE 0.03). Healthcare (2).csv, nearly all of
+    // the held-out records, lists symptoms independently of the disease, so those figures
+    // are the chance level and say nothing about how far a leading diagnosis can be trusted.
+    const CALIBRATION = { temperature: 2.91 };
+    // How many times as likely as the runner-up the leading diagnosis must be, on the
+    // calibrated scale, for confidenceLevel() to call it 'high'
+    const CONFIDENT_LEAD = 3;
+
+    function createModel() {
+        return {
+            ontology: SymptomOntology.createOntology(), // Raw symptom text -> canonical symptom IDs
+            records: [], // Not kept in compiled models (see lib/artifact.js); use recordCounts
+            recordCounts: {}, // { profile: n, healthcare: n }
+            // { name: { count: 0, symptoms: {}, observed: {}, weighted: { symptoms, observed }, genders: {}, ages: [],
+            // vitals: { key: { level: n } } } }; `weighted` holds the counts as scored, see weighSymptomCounts()
+            diseases: {},
+            symptomReliability: {}, // { source: { symptomId: weight 0-1 } }, see weighSymptomCounts()
+            symptoms: [], // Primary symptom IDs from main dataset
+            symptomVocabulary: [], // Symptom IDs with counted frequencies from Healthcare (2).csv
+            secondarySymptoms: [], // Additional symptoms from Diseases_Symptoms.csv
+            allSymptoms: [], // Candidate question pool: primary + population vocabulary + secondary
+            vocabulary: [], // Every symptom ID any dataset mentions, for free-text entry
+            ageGroups: [],
+            ageDensities: {}, // { diseaseName: [p(age) for each year in AGE_RANGE] }
+            precautions: {}, // { diseaseName: [p1, p2, p3, p4] }
+            // { diseaseName: { description, treatments, type, causes, relatedBacteria, relatedVirus } from
+            // diseases.csv and { code, contagious, chronic } from Diseases_Symptoms.csv; null when not recorded }
+            diseaseMetadata: {},
+            diseaseSymptomMap: {}, // { diseaseName: [symptom IDs] } from Diseases_Symptoms.csv and diseases.csv
+            // How each dataset's disease names resolved, see DiseaseNames.createIndex().report()
+            diseaseNames: { aliases: {}, unmatched: {} },
+            reports: {}, // { fileName: { total, parsed, skipped, errors: [{ line, reason }] } }
+            calibration: { ...CALIBRATION },
+            totalCases: 0
+        };
+    }
+
+    // 1. DATA PROCESSING
+
+    /**
+     * Count one patient record towards a disease's prior, age and gender tallies.
+     * Returns the disease entry so the caller can add its symptom observations.
+     */
+    function registerCase(model, dName, age, gender) {
+        if (!model.diseases[dName]) {
+            model.diseases[dName] = { count: 0, symptoms: {}, observed: {}, genders: {}, ages: [], vitals: {} };
+        }
+
+        const disease = model.diseases[dName];
+        disease.count++;
+        if (!isNaN(age)) disease.ages.push(age);
+        if (gender) {
+            disease.genders[gender.toLowerCase()] = (disease.genders[gender.toLowerCase()] || 0) + 1;
+        }
+        model.totalCases++;
+        return disease;
+    }
+
+    function addProfileRows(model, parsed, names) {
+        // Schema: Disease, Fever, Cough, Fatigue, Difficulty Breathing, Age, Gender, Blood Pressure, Cholesterol, Outcome Variable
+        const headers = parsed.headers;
+        const symHeaders = headers.slice(headers.indexOf('Disease') + 1, headers.indexOf('Age'));
+        const symIds = Object.fromEntries(symHeaders.map(h => [h, model.ontology.resolve(h)]));
+        model.symptoms = [...new Set(Object.values(symIds))];
+
+        parsed.rows.forEach(row => {
+            const dName = names.resolve(row['Disease'], DATASETS.profile.file);
+            const age = parseInt(row['Age']);
+            const gender = row['Gender'];
+
+            const disease = registerCase(model, dName, age, gender);
+
+            symHeaders.forEach(h => {
+                const symId = symIds[h];
+                disease.observed[symId] = (disease.observed[symId] || 0) + 1;
+                if (row[h] === 'Yes') {
+                    disease.symptoms[symId] = (disease.symptoms[symId] || 0) + 1;
+                }
+            });
+
+            // Vitals outside Low/Normal/High are left uncounted
+            const vitals = {};
+            Object.entries(VITALS).forEach(([key, spec]) => {
+                const level = row[spec.column];
+                if (!VITAL_LEVELS.includes(level)) return;
+                vitals[key] = level;
+                const table = disease.vitals[key] = disease.vitals[key] || { total: 0 };
+                table[level] = (table[level] || 0) + 1;
+                table.total++;
+            });
+
+            model.records.push({
+                disease: dName,
+                age: age,
+                gender: gender,
+                vitals,
+                source: 'profile',
+                symptoms: Object.fromEntries(symHeaders.map(h => [symIds[h], row[h]]))
+            });
+        });
+    }
+
+    /**
+     * The 25,000-record population dataset (Healthcare (2).csv).
+     * Each row lists the patient's symptoms as free text; every symptom seen anywhere in the
+     * file forms the vocabulary, so a symptom missing from a row counts as an observed "No".
+     */
+    function addHealthcareRows(model, parsed, names) {
+        // Schema: Patient_ID, Age, Gender, Symptoms, Symptom_Count, Disease
+        const cases = parsed.rows.map(row => ({
+            disease: names.resolve(row['Disease'], DATASETS.healthcare.file),
+            age: parseInt(row['Age']),
+            gender: row['Gender'],
+            symptoms: model.ontology.parseList(row['Symptoms'])
+        }));
+
+        const vocabulary = new Set();
+        cases.forEach(r => r.symptoms.forEach(s => vocabulary.add(s)));
+        model.symptomVocabulary = [...vocabulary].sort();
+
+        cases.forEach(r => {
+            const disease = registerCase(model, r.disease, r.age, r.gender);
+            const present = new Set(r.symptoms);
+
+            model.symptomVocabulary.forEach(sym => {
+                disease.observed[sym] = (disease.observed[sym] || 0) + 1;
+                if (present.has(sym)) {
+                    disease.symptoms[sym] = (disease.symptoms[sym] || 0) + 1;
+                }
+            });
+
+            model.records.push({
+                disease: r.disease,
+                age: r.age,
+                gender: r.gender,
+                source: 'healthcare',
+                symptoms: Object.fromEntries(model.symptomVocabulary.map(sym => [sym, present.has(sym) ? 'Yes' : 'No']))
+            });
+        });
+    }
+
+    /**
+     * Key a secondary dataset's disease name the way the model does: the lower-cased
+     * canonical name, or the name as written when it matches no recorded disease.
+     */
+    function diseaseKey(names, file, raw) {
+        return (names.resolve(raw, file) || raw).toLowerCase();
+    }
+
+    function addPrecautionRows(model, parsed, names) {
+        // Schema: Disease, Precaution_1..Precaution_4
+        const tipColumns = parsed.headers.filter(h => h.startsWith('Precaution'));
+        parsed.rows.forEach(row => {
+            const tips = tipColumns.map(col => row[col]).filter(tip => tip !== '');
+            model.precautions[diseaseKey(names, DATASETS.precautions.file, row['Disease'])] = tips;
+        });
+    }
+
+    function addMetadataRows(model, parsed, names) {
+        // Schema: disease_id,name,type,description,symptoms,causes,treatments,related_bacteria,related_virus
+        parsed.rows.forEach(row => {
+            const key = diseaseKey(names, DATASETS.metadata.file, row['name']);
+            const description = row['description'];
+            const treatments = row['treatments'];
+
+            addDiseaseSymptoms(model, key, model.ontology.parseList(row['symptoms']));
+
+            // Store first occurrence (or you could aggregate multiple entries)
+            if (!model.diseaseMetadata[key]) {
+                model.diseaseMetadata[key] = {
+                    description: description || null, // Set to null instead of default message
+                    treatments: treatments || 'Consult a healthcare professional.',
+                    type: row['type'] || null,
+                    causes: row['causes'] || null,
+                    relatedBacteria: row['related_bacteria'] || null,
+                    relatedVirus: row['related_virus'] || null
+                };
+            }
+        });
+    }
+
+    // "True"/"False" columns; null when blank or anything else
+    function parseFlag(value) {
+        const flag = String(value || '').trim().toLowerCase();
+        return flag === 'true' ? true : flag === 'false' ? false : null;
+    }
+
+    function addDiseaseSymptomRows(model, parsed, names) {
+        // Schema: Name,Symptoms,Treatments,Disease_Code,Contagious,Chronic
+        const symptomCounts = {};
+
+        parsed.rows.forEach(row => {
+            // Store disease-symptom mapping for later matching
+            const key = diseaseKey(names, DATASETS.diseaseSymptoms.file, row['Name']);
+            const symptoms = model.ontology.parseList(row['Symptoms']);
+            addDiseaseSymptoms(model, key, symptoms);
+
+            // Disease flags, first occurrence wins as in diseases.csv
+            const metadata = model.diseaseMetadata[key] || (model.diseaseMetadata[key] = {});
+            if (metadata.code === undefined) {
+                Object.assign(metadata, {
+                    code: row['Disease_Code'] || null,
+                    contagious: parseFlag(row['Contagious']),
+                    chronic: parseFlag(row['Chronic'])
+                });
+            }
+
+            symptoms.forEach(symptom => {
+                symptomCounts[symptom] = (symptomCounts[symptom] || 0) + 1;
+            });
+        });
+
+        // Get most common symptoms (excluding ones already in primary symptoms)
+        const primarySymptomSet = new Set(model.symptoms);
+        const sortedSymptoms = Object.entries(symptomCounts)
+            .filter(([sym]) => !primarySymptomSet.has(sym))
+            .sort((a, b) => b[1] - a[1])
+            .map(([sym]) => sym);
+
+        // Select diverse symptoms from different ontology categories
+        const selectedSymptoms = [];
+
+        // Try to get at least one from each category
+        model.ontology.categories().forEach(category => {
+            const found = sortedSymptoms.find(s => model.ontology.category(s) === category);
+            if (found && !selectedSymptoms.includes(found)) {
+                selectedSymptoms.push(found);
+            }
+        });
+
+        // Fill remaining slots with most common symptoms
+        for (const sym of sortedSymptoms) {
+            if (selectedSymptoms.length >= SECONDARY_LIMIT) break;
+            if (!selectedSymptoms.includes(sym)) {
+                selectedSymptoms.push(sym);
+            }
+        }
+
+        model.secondarySymptoms = selectedSymptoms.slice(0, SECONDARY_LIMIT);
+    }
+
+    /**
+     * Merge symptom IDs into a disease's entry in the text-derived symptom map.
+     */
+    function addDiseaseSymptoms(model, diseaseName, symptomIds) {
+        const key = diseaseName.toLowerCase();
+        const existing = model.diseaseSymptomMap[key] || [];
+        model.diseaseSymptomMap[key] = [...new Set([...existing, ...symptomIds])];
+    }
+
+    function combineSymptoms(model) {
+        // Every symptom the questionnaire may ask about; the order here is only a tie-breaker,
+        // the actual sequence is chosen adaptively by selectNextSymptom()
+        model.allSymptoms = [...new Set([
+            ...model.symptoms,
+            ...model.symptomVocabulary,
+            ...model.secondarySymptoms
+        ])];
+
+        model.vocabulary = [...new Set([...model.allSymptoms, ...Object.values(model.diseaseSymptomMap).flat()])]
+            .sort((a, b) => model.ontology.label(a).localeCompare(model.ontology.label(b)));
+    }
+
+    /**
+     * Weigh every record source's symptom counts by how much that source actually tells its
+     * diseases apart, so one P(S | D) scale serves every disease (see symptomProbability()).
+     * A source whose per-disease rates of a symptom spread no wider than sampling noise
+     * (Healthcare (2).csv gives every disease ~18% of everything) is worth next to nothing;
+     * one that really differs keeps its records at full weight.
+     */
+    function weighSymptomCounts(model) {
+        const tallies = {}; // { source: { symptomId: { diseaseName: [cases, observed] } } }
+        model.records.forEach(r => Object.entries(r.symptoms).forEach(([sym, answer]) => {
+            const bySymptom = tallies[r.source] = tallies[r.source] || {};
+            const byDisease = bySymptom[sym] = bySymptom[sym] || {};
+            const tally = byDisease[r.disease] = byDisease[r.disease] || [0, 0];
+            if (answer === 'Yes') tally[0]++;
+            tally[1]++;
+        }));
+
+        Object.values(model.diseases).forEach(disease => { disease.weighted = { symptoms: {}, observed: {} }; });
+        model.symptomReliability = {};
+        Object.entries(tallies).forEach(([source, bySymptom]) => {
+            model.symptomReliability[source] = {};
+            Object.entries(bySymptom).forEach(([sym, byDisease]) => {
+                const weight = sourceReliability(Object.values(byDisease));
+                model.symptomReliability[source][sym] = weight;
+                Object.entries(byDisease).forEach(([dName, [cases, observed]]) => {
+                    const { weighted } = model.diseases[dName];
+                    weighted.symptoms[sym] = (weighted.symptoms[sym] || 0) + cases * weight;
+                    weighted.observed[sym] = (weighted.observed[sym] || 0) + observed * weight;
+                });
+            });
+        });
+    }
+
+    /**
+     * Weight (0-1) of one source's counts of a symptom, from [cases, observed] per disease.
+     * A method-of-moments beta-binomial fit gives the intra-class correlation rho of the
+     * per-disease rates; their prior is then worth (1 - rho) / rho records, and the counts
+     * are scaled so SYMPTOM_SHRINKAGE pseudo-records weigh the same against them. Sources
+     * too small to fit keep full weight.
+     */
+    function sourceReliability(tallies) {
+        const k = tallies.length;
+        const n = tallies.reduce((sum, [, observed]) => sum + observed, 0);
+        const rate = tallies.reduce((sum, [cases]) => sum + cases, 0) / n;
+        const room = n - tallies.reduce((sum, [, observed]) => sum + observed * observed, 0) / n - (k - 1);
+        if (k < 2 || room <= 0 || rate === 0 || rate === 1) return 1;
+
+        const spread = tallies.reduce((sum, [cases, observed]) => sum + observed * (cases / observed - rate) ** 2, 0) / (rate * (1 - rate));
+        const rho = Math.min(1, Math.max(0, (spread - (k - 1)) / room));
+        return rho === 1 ? 1 : Math.min(1, SYMPTOM_SHRINKAGE * rho / (1 - rho));
+    }
+
+    function calculateAgeGroups(model) {
+        const allAges = model.records.map(r => r.age).filter(a => !isNaN(a)).sort((a, b) => a - b);
+        const min = allAges[0];
+        const max = allAges[allAges.length - 1];
+
+        // Dynamic Quartile Binning
+        const q1 = allAges[Math.floor(allAges.length * 0.25)];
+        const q2 = allAges[Math.floor(allAges.length * 0.5)];
+        const q3 = allAges[Math.floor(allAges.length * 0.75)];
+
+        model.ageGroups = [
+            { label: `${min}-${q1} yrs`, min, max: q1 },
+            { label: `${q1 + 1}-${q2} yrs`, min: q1 + 1, max: q2 },
+            { label: `${q2 + 1}-${q3} yrs`, min: q2 + 1, max: q3 },
+            { label: `${q3 + 1}-${max} yrs`, min: q3 + 1, max }
+        ];
+
+        // Pre-calculate priors per age group
+        model.ageGroups.forEach(group => {
+            const groupRecords = model.records.filter(r => r.age >= group.min && r.age <= group.max);
+            group.total = groupRecords.length;
+            group.diseasePriors = {};
+
+            groupRecords.forEach(r => {
+                group.diseasePriors[r.disease] = (group.diseasePriors[r.disease] || 0) + 1;
+            });
+        });
+    }
+
+    /**
+     * The age bracket an age in years falls in. Brackets cover whole years, so a fractional
+     * age counts by its completed years (35.5 is 35); ages outside every bracket get the
+     * nearest one.
+     */
+    function ageGroupFor(model, age) {
+        const groups = model.ageGroups;
+        const years = Math.floor(age);
+        return groups.find(g => years >= g.min && years <= g.max) || groups[years < groups[0].min ? 0 : groups.length - 1];
+    }
+
+    /**
+     * Smoothed P(age | disease) for every disease: a Gaussian kernel density estimate over
+     * its recorded ages, shrunk towards the population's age density so diseases with a
+     * handful of records do not get spiky priors. Tabulated per whole year.
+     */
+    function calculateAgeDensities(model) {
+        const years = [];
+        for (let age = AGE_RANGE.min; age <= AGE_RANGE.max; age++) years.push(age);
+
+        const allAges = model.records.map(r => r.age).filter(a => !isNaN(a));
+        const population = kernelDensity(allAges, years);
+
+        model.ageDensities = {};
+        Object.entries(model.diseases).forEach(([dName, disease]) => {
+            const n = disease.ages.length;
+            const own = n > 0 ? kernelDensity(disease.ages, years) : population;
+            model.ageDensities[dName] = years.map((_, i) => (n * own[i] + AGE_SHRINKAGE * population[i]) / (n + AGE_SHRINKAGE));
+        });
+    }
+
+    /**
+     * Gaussian KDE of `samples` evaluated at each point, with Silverman's rule-of-thumb
+     * bandwidth (at least two years, so small samples still spread out).
+     */
+    function kernelDensity(samples, points) {
+        const n = samples.length;
+        if (n === 0) return points.map(() => 1 / points.length);
+
+        const sorted = samples.slice().sort((a, b) => a - b);
+        const mean = sorted.reduce((a, b) => a + b, 0) / n;
+        const sd = Math.sqrt(sorted.reduce((sum, a) => sum + (a - mean) ** 2, 0) / n);
+        const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+        const spread = Math.min(sd, iqr / 1.34) || sd;
+        const bandwidth = Math.max(2, 0.9 * spread * Math.pow(n, -0.2));
+
+        const norm = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+        return points.map(x => norm * sorted.reduce((sum, a) => sum + Math.exp(-0.5 * ((x - a) / bandwidth) ** 2), 0));
+    }
+
+    /**
+     * Read P(age | disease) off the density table, interpolating between whole years.
+     */
+    function ageLikelihood(model, dName, age) {
+        const table = model.ageDensities[dName];
+        const x = Math.min(AGE_RANGE.max, Math.max(AGE_RANGE.min, age)) - AGE_RANGE.min;
+        const lo = Math.floor(x);
+        const hi = Math.min(lo + 1, table.length - 1);
+        return table[lo] + (table[hi] - table[lo]) * (x - lo);
+    }
+
+    /**
+     * Parse raw CSV text for each dataset key through the shared RFC 4180 parser.
+     * Missing optional datasets are allowed; their key is simply absent.
+     */
+    function parseSources(texts) {
+        const sources = {};
+        Object.entries(DATASETS).forEach(([key, spec]) => {
+            if (texts[key] == null) return;
+            sources[key] = ClinicalCSV.parseCSV(texts[key], { file: spec.file, required: spec.required });
+        });
+        return sources;
+    }
+
+    /**
+     * Build a model from parsed datasets ({ profile, healthcare, precautions, metadata,
+     * diseaseSymptoms }, each a parseCSV() result). The two record datasets are required.
+     */
+    function buildModel(sources) {
+        const model = createModel();
+
+        Object.entries(DATASETS).forEach(([key, spec]) => {
+            if (!sources[key]) {
+                if (!spec.optional) throw new Error(`${spec.file} is required to build the model`);
+                return;
+            }
+            model.reports[spec.file] = sources[key].report;
+        });
+
+        // Every dataset's disease names resolve to the record datasets' diseases
+        const names = DiseaseNames.createIndex(['profile', 'healthcare'].flatMap(key => sources[key].rows.map(row => row['Disease'])));
+
+        addProfileRows(model, sources.profile, names);
+        addHealthcareRows(model, sources.healthcare, names);
+        if (sources.precautions) addPrecautionRows(model, sources.precautions, names);
+        if (sources.metadata) addMetadataRows(model, sources.metadata, names);
+        if (sources.diseaseSymptoms) addDiseaseSymptomRows(model, sources.diseaseSymptoms, names);
+        model.diseaseNames = names.report();
+        model.records.forEach(r => { model.recordCounts[r.source] = (model.recordCounts[r.source] || 0) + 1; });
+
+        combineSymptoms(model);
+        weighSymptomCounts(model);
+        calculateAgeGroups(model);
+        calculateAgeDensities(model);
+        return model;
+    }
+
+    function buildModelFromText(texts) {
+        return buildModel(parseSources(texts));
+    }
+
+    // 2. BAYESIAN ENGINE
+
+    /**
+     * Laplace-smoothed frequency: the posterior mean of `count` hits out of `total`
+     * under a symmetric Dirichlet(alpha) prior over `categories` outcomes.
+     */
+    function smoothedFrequency(count, total, categories = 2, alpha = 1) {
+        return (count + alpha) / (total + alpha * categories);
+    }
+
+    /**
+     * Unnormalized log-score of every disease under a resolved scoring `profile`.
+     * `estimate(count, total, categories)` turns the model's counts into probabilities,
+     * so the bootstrap can swap in resampled ones.
+     * With `explain`, each result also carries a `ledger` of the terms that make up its
+     * score: [{ term, key, answer, basis, logLikelihood }].
+     */
+    function scoreDiseases(model, selections, profile, estimate, explain = false) {
+        const results = [];
+        const selectedGroup = selections.ageGroup;
+        const responses = selections.responses || {};
+        const diseaseCount = Object.keys(model.diseases).length;
+
+        Object.keys(model.diseases).forEach(dName => {
+            const disease = model.diseases[dName];
+            const ledger = [];
+            const note = (term, key, answer, before, basis) => {
+                if (explain && logLikelihood !== before) {
+                    ledger.push({ term, key, answer, basis, logLikelihood: logLikelihood - before });
+                }
+            };
+
+            // 1. Prior P(D | Age): P(D) x P(age | D) for an exact age, else the bracket count
+            let logLikelihood;
+            let countInAge;
+            if (Number.isFinite(selections.age)) {
+                countInAge = disease.ages.filter(a => Math.abs(a - selections.age) <= NEARBY_AGE).length;
+                logLikelihood = Math.log(estimate(disease.count, model.totalCases, diseaseCount))
+                    + Math.log(ageLikelihood(model, dName, selections.age));
+            } else {
+                countInAge = selectedGroup.diseasePriors[dName] || 0;
+                logLikelihood = Math.log(estimate(countInAge, selectedGroup.total, diseaseCount));
+            }
+            note('age', 'age', Number.isFinite(selections.age) ? selections.age : selectedGroup.label, 0, 'records');
+            let matchedSymptomCount = 0;
+
+            // 2. Gender Prior P(Gender | Disease)
+            if (selections.gender) {
+                const before = logLikelihood;
+                const genderKey = selections.gender.toLowerCase();
+                const countInGender = disease.genders[genderKey] || 0;
+                const pGenderGivenDisease = estimate(countInGender, disease.count);
+                logLikelihood += Math.log(pGenderGivenDisease) * profile.genderWeight;
+                note('gender', 'gender', selections.gender, before, 'records');
+            }
+
+            // 3. Vitals P(level | Disease). Skipped vitals add nothing; diseases with no
+            // recorded vitals get the uniform 1/3.
+            Object.entries(selections.vitals || {}).forEach(([key, level]) => {
+                if (!VITALS[key] || !VITAL_LEVELS.includes(level)) return;
+                const before = logLikelihood;
+                const table = disease.vitals[key] || { total: 0 };
+                logLikelihood += Math.log(estimate(table[level] || 0, table.total, VITAL_LEVELS.length));
+                note('vital', key, level, before, table.total > 0 ? 'records' : 'uniform');
+            });
+
+            // Add the term of the profile's tier that applies, see lib/scoring.js
+            const byBasis = ScoringProfiles.byBasis(profile);
+            const scoreResponse = (sym, userResp) => {
+                let tier;
+                if (byBasis && !(disease.observed[sym] > 0)) {
+                    // 5. A v1 profile and no recorded frequency - fall back to Diseases_Symptoms.csv text matching
+                    tier = ScoringProfiles.pickTier(profile.text[userResp], mentionScore(model, dName, sym));
+                    if (tier) logLikelihood += Math.log(tier.likelihood) * tier.weight;
+                } else {
+                    // 4. Likelihood P(S | D) - the weighted record counts shrunk towards the disease's
+                    // text, or for a v1 profile the raw counted frequency (profile + Healthcare records)
+                    const pSymGivenDisease = byBasis
+                        ? estimate(disease.symptoms[sym] || 0, disease.observed[sym])
+                        : symptomProbability(model, dName, sym, profile, estimate);
+                    tier = ScoringProfiles.pickTier((byBasis ? profile.recorded : profile.answers)[userResp], pSymGivenDisease);
+                    // A No is evidence of absence: P(not S | D)
+                    if (tier) logLikelihood += Math.log(userResp === 'No' ? 1 - pSymGivenDisease : pSymGivenDisease) * tier.weight;
+                }
+                // 'Not Sure' has no tiers - neutral, no change
+                if (tier) matchedSymptomCount += tier.match;
+            };
+            const recorded = sym => (byBasis ? disease.observed[sym] > 0 : (disease.weighted.observed[sym] || 0) >= SYMPTOM_SHRINKAGE);
+
+            let longest = -1; // Index in DURATIONS of the longest-standing symptom
+            Object.entries(responses).forEach(([sym, response]) => {
+                const { answer, severity, duration } = readResponse(response);
+                const before = logLikelihood;
+                scoreResponse(sym, answer);
+                if (severity) logLikelihood = before + (logLikelihood - before) * profile.severity[severity];
+                if (duration) longest = Math.max(longest, DURATIONS.indexOf(duration));
+                note('symptom', sym, describeResponse(response), before, recorded(sym) ? 'records' : 'text');
+            });
+
+            // 6. How long the symptoms have lasted against the disease's Chronic flag
+            const chronic = (model.diseaseMetadata[dName.toLowerCase()] || {}).chronic;
+            if (longest >= 0 && typeof chronic === 'boolean') {
+                const before = logLikelihood;
+                logLikelihood += Math.log(DURATION_FIT[DURATIONS[longest]][chronic ? 'chronic' : 'acute']);
+                note('duration', 'duration', DURATIONS[longest], before, 'metadata');
+            }
+
+            // 7. Bonus for matching multiple symptoms (specificity bonus)
+            if (matchedSymptomCount > 0) {
+                const before = logLikelihood;
+                logLikelihood += Math.log(1 + matchedSymptomCount * profile.specificity.perMatch) * profile.specificity.weight;
+                note('specificity', 'specificity', matchedSymptomCount, before, 'bonus');
+            }
+
+            results.push({
+                name: dName,
+                logLikelihood,
+                cases: disease.count,
+                countInAge,
+                matchedSymptoms: matchedSymptomCount,
+                ...(explain ? { ledger } : {})
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Read a response as { answer, severity, duration }. Plain answers ('Yes', 'No', ...)
+     * and detailed Yes answers ({ answer: 'Yes', severity, duration }) are both accepted;
+     * detail on any other answer, or outside SEVERITIES/DURATIONS, is ignored.
+     */
+    function readResponse(response) {
+        const detailed = response !== null && typeof response === 'object';
+        const answer = detailed ? response.answer : response;
+        const detail = field => (detailed && answer === 'Yes' && response[field]) || null;
+        return {
+            answer,
+            severity: SEVERITIES.includes(detail('severity')) ? detail('severity') : null,
+            duration: DURATIONS.includes(detail('duration')) ? detail('duration') : null
+        };
+    }
+
+    /**
+     * Human-readable response: "Yes", or "Yes (severe, for weeks)" with detail.
+     */
+    function describeResponse(response) {
+        const { answer, severity, duration } = readResponse(response);
+        const detail = [severity, duration && (duration === 'chronic' ? 'chronic' : `for ${duration}`)].filter(Boolean);
+        return detail.length ? `${answer} (${detail.join(', ')})` : answer;
+    }
+
+    function logSumExp(values) {
+        const max = Math.max(...values);
+        if (max === -Infinity) return max;
+        return max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
+    }
+
+    /**
+     * Normalize log-scores into posterior probabilities (0-1) with log-sum-exp.
+     * A temperature above 1 softens an over-confident score, below 1 sharpens it.
+     */
+    function posterior(logScores, temperature = 1) {
+        const scaled = logScores.map(l => l / temperature);
+        const norm = logSumExp(scaled);
+        return scaled.map(l => Math.exp(l - norm));
+    }
+
+    /**
+     * Score every disease for a profile and its symptom responses.
+     *
+     * @param {object} model - Result of buildModel().
+     * @param {{ age: number|null, ageGroup: object, gender: string|null, vitals: object, responses: object }} selections -
+     *   An exact `age` in years uses the per-disease age density; without one, `ageGroup`
+     *   (one of model.ageGroups) gives a bracket-count prior. `vitals` maps VITALS keys to Low/Normal/High
+     *   (omitted or null when skipped); `responses` maps symptom IDs to Yes/Maybe/No/Not Sure,
+     *   or to { answer: 'Yes', severity, duration } (see readResponse()).
+     * @param {object} [options] - { profile, temperature, intervals, explain }. `profile` is a
+     *   ScoringProfiles ID or profile object (default: the smoothed heuristic); `temperature`
+     *   overrides its softmax temperature. `intervals` adds a bootstrap `interval: { lower, upper }`
+     *   (0-100) to each prediction; pass true or the options accepted by probabilityIntervals().
+     *   `explain` adds an `explanation` ledger, see explainResults().
+     * @returns {object[]} Predictions sorted by descending probability (0-100).
+     */
+    function calculateProbabilities(model, selections, options = {}) {
+        const profile = ScoringProfiles.resolve(options.profile);
+        const temperature = scoringTemperature(model, profile, options);
+        const estimate = (count, total, categories) => smoothedFrequency(count, total, categories, profile.alpha);
+        const results = scoreDiseases(model, selections, profile, estimate, options.explain);
+        const probs = posterior(results.map(r => r.logLikelihood), temperature);
+
+        const preds = results.map((r, i) => ({ ...r, probability: probs[i] * 100 }));
+        if (options.explain) explainResults(model, preds, temperature);
+        if (options.intervals) {
+            const intervals = probabilityIntervals(model, selections, {
+                profile,
+                temperature,
+                ...(typeof options.intervals === 'object' ? options.intervals : {})
+            });
+            preds.forEach(p => { p.interval = intervals[p.name]; });
+        }
+        return preds.sort((a, b) => b.probability - a.probability);
+    }
+
+    /**
+     * Softmax temperature for a scoring run: an explicit `options.temperature`, else the
+     * profile's, else the model's calibration.
+     */
+    function scoringTemperature(model, profile, options = {}) {
+        return options.temperature || profile.temperature || model.calibration.temperature;
+    }
+
+    /**
+     * Turn each disease's score ledger into an explanation of what moved it relative to
+     * the other candidates. A term's `impact` is its log-likelihood minus the average of
+     * the same term over all diseases, divided by the temperature: in posterior log-odds,
+     * positive supports the diagnosis and negative contradicts it. Entries are sorted by
+     * absolute impact and the raw `ledger` is dropped.
+     */
+    function explainResults(model, preds, temperature) {
+        const terms = {}; // "term:key" -> { term, key, answer, total }
+        preds.forEach(p => p.ledger.forEach(entry => {
+            const id = `${entry.term}:${entry.key}`;
+            terms[id] = terms[id] || { term: entry.term, key: entry.key, answer: entry.answer, total: 0 };
+            terms[id].total += entry.logLikelihood;
+        }));
+
+        preds.forEach(p => {
+            const own = {};
+            p.ledger.forEach(entry => { own[`${entry.term}:${entry.key}`] = entry; });
+
+            // A term other diseases scored but this one did not counts as zero here
+            p.explanation = Object.entries(terms).map(([id, t]) => {
+                const entry = own[id] || { basis: 'none', logLikelihood: 0 };
+                return {
+                    term: t.term,
+                    key: t.key,
+                    label: termLabel(model, t.term, t.key),
+                    answer: own[id] ? entry.answer : (t.term === 'specificity' ? 0 : t.answer),
+                    basis: entry.basis,
+                    impact: (entry.logLikelihood - t.total / preds.length) / temperature
+                };
+            }).filter(e => Math.abs(e.impact) > 1e-9)
+                .sort((x, y) => Math.abs(y.impact) - Math.abs(x.impact));
+            delete p.ledger;
+        });
+    }
+
+    function termLabel(model, term, key) {
+        if (term === 'symptom') return model.ontology.label(key);
+        if (term === 'vital') return VITALS[key].label;
+        if (term === 'specificity') return 'Specificity bonus';
+        if (term === 'duration') return 'Symptom duration';
+        return term.charAt(0).toUpperCase() + term.slice(1);
+    }
+
+    /**
+     * Bootstrap uncertainty band for every disease's probability. Each replicate redraws
+     * the counted frequencies the score is built from (prior, gender and symptom rates)
+     * from their Beta posteriors and renormalizes, so diseases backed by few records get
+     * wide bands. Seeded, so the same answers always give the same band.
+     *
+     * @param {object} [options] - { replicates = 200, level = 0.95, seed = 1, profile, temperature }
+     * @returns {object} { diseaseName: { lower, upper } } in percent.
+     */
+    function probabilityIntervals(model, selections, options = {}) {
+        const { replicates = 200, level = 0.95, seed = 1 } = options;
+        const profile = ScoringProfiles.resolve(options.profile);
+        const temperature = scoringTemperature(model, profile, options);
+        const random = createRandom(seed);
+        const { alpha } = profile;
+        const draw = (count, total, categories = 2) => sampleBeta(count + alpha, total - count + alpha * (categories - 1), random);
+
+        const samples = {};
+        for (let b = 0; b < replicates; b++) {
+            const results = scoreDiseases(model, selections, profile, draw);
+            const probs = posterior(results.map(r => r.logLikelihood), temperature);
+            results.forEach((r, i) => {
+                (samples[r.name] = samples[r.name] || []).push(probs[i] * 100);
+            });
+        }
+
+        const tail = (1 - level) / 2;
+        const intervals = {};
+        Object.entries(samples).forEach(([name, values]) => {
+            values.sort((a, b) => a - b);
+            intervals[name] = { lower: quantile(values, tail), upper: quantile(values, 1 - tail) };
+        });
+        return intervals;
+    }
+
+    /**
+     * How many times as likely as the runner-up the leading diagnosis is.
+     */
+    function leadRatio(preds) {
+        return preds.length > 1 ? preds[0].probability / preds[1].probability : Infinity;
+    }
+
+    /**
+     * How clearly the answers single out the leading diagnosis: 'high' when it is at least
+     * `lead` times as likely as the runner-up and its band clears the runner-up's,
+     * 'moderate' when only one of those holds (or it leads by at least the square root of
+     * `lead`), otherwise 'low'. This is the model's own certainty, not a measured accuracy
+     * (see CALIBRATION).
+     */
+    function confidenceLevel(preds, lead = CONFIDENT_LEAD) {
+        const [top, runnerUp] = preds;
+        const rivalUpper = runnerUp ? (runnerUp.interval ? runnerUp.interval.upper : runnerUp.probability) : 0;
+        const separated = top.interval ? top.interval.lower > rivalUpper : top.probability > rivalUpper;
+        const ratio = leadRatio(preds);
+
+        if (ratio >= lead && separated) return 'high';
+        if (ratio >= lead || separated || ratio >= Math.sqrt(lead)) return 'moderate';
+        return 'low';
+    }
+
+    /**
+     * How strongly a disease's text-derived symptom list mentions a symptom (0-1):
+     * 1 when it lists the same canonical ID, otherwise the best share of the symptom's
+     * stemmed words found in one listed symptom (e.g. "chest pain" vs "pain").
+     */
+    function mentionScore(model, dName, sym) {
+        const listed = model.diseaseSymptomMap[dName.toLowerCase()] || [];
+        if (listed.includes(sym)) return 1;
+
+        const symTokens = model.ontology.tokens(sym);
+        let best = 0;
+        listed.forEach(id => {
+            const other = new Set(model.ontology.tokens(id));
+            const shared = symTokens.filter(t => other.has(t)).length;
+            best = Math.max(best, shared / Math.max(symTokens.length, 1));
+        });
+        return best;
+    }
+
+    /**
+     * P(symptom | disease) as the engine sees it, for every disease on one scale: its
+     * reliability-weighted record counts (weighSymptomCounts()) plus SYMPTOM_SHRINKAGE
+     * pseudo-records at the rate its text suggests, the profile's `mentions` tier for
+     * mentionScore() (an even chance when no tier applies), smoothed by `estimate`.
+     */
+    function symptomProbability(model, dName, sym, profile, estimate) {
+        const { weighted } = model.diseases[dName];
+        const tier = ScoringProfiles.pickTier(profile.mentions, mentionScore(model, dName, sym));
+        const prior = tier ? tier.likelihood : 0.5;
+        return estimate((weighted.symptoms[sym] || 0) + SYMPTOM_SHRINKAGE * prior, (weighted.observed[sym] || 0) + SYMPTOM_SHRINKAGE);
+    }
+
+    /**
+     * symptomProbability() at the profile's own smoothing. For a v1 profile (see
+     * ScoringProfiles.byBasis()): the raw counted frequency when the disease has records
+     * for the symptom, otherwise the likelihood of the profile's text-match Yes tier.
+     */
+    function symptomLikelihood(model, dName, sym, profile = ScoringProfiles.resolve()) {
+        const estimate = (count, total) => smoothedFrequency(count, total, 2, profile.alpha);
+        if (!ScoringProfiles.byBasis(profile)) return symptomProbability(model, dName, sym, profile, estimate);
+
+        const disease = model.diseases[dName];
+        if (disease.observed[sym] > 0) return estimate(disease.symptoms[sym] || 0, disease.observed[sym]);
+        const tier = ScoringProfiles.pickTier(profile.text.Yes, mentionScore(model, dName, sym));
+        return tier ? tier.likelihood : 0.5; // The profile scores no Yes here: an even chance
+    }
+
+    function entropy(probs) {
+        return probs.reduce((h, p) => (p > 0 ? h - p * Math.log2(p) : h), 0);
+    }
+
+    /**
+     * Pick the unanswered symptom with the highest expected information gain over the
+     * current differential, treating the answer as a Yes/No outcome:
+     * IG(S) = H(D) - [P(S) H(D | S) + P(¬S) H(D | ¬S)]
+     */
+    function selectNextSymptom(model, preds, responses, profile) {
+        const posterior = preds.map(r => r.probability / 100);
+        const baseEntropy = entropy(posterior);
+        let best = null;
+
+        model.allSymptoms.forEach(sym => {
+            if (responses[sym]) return;
+
+            const likelihoods = preds.map(r => symptomLikelihood(model, r.name, sym, profile));
+            const joint = posterior.map((p, i) => p * likelihoods[i]);
+            const pYes = joint.reduce((a, b) => a + b, 0);
+            const pNo = 1 - pYes;
+            if (pYes <= 0 || pNo <= 0) return;
+
+            const postYes = joint.map(p => p / pYes);
+            const postNo = posterior.map((p, i) => (p * (1 - likelihoods[i])) / pNo);
+            const gain = baseEntropy - (pYes * entropy(postYes) + pNo * entropy(postNo));
+
+            if (!best || gain > best.gain) best = { sym, gain };
+        });
+
+        return best ? best.sym : null;
+    }
+
+    /**
+     * Recompute the posterior and decide what to ask next.
+     * `symptom` is null when the questionnaire should stop: the question budget is spent
+     * or the leading diagnosis is `lead` times as likely as the runner-up (the calibrated
+     * posterior, as confidenceLevel() reads it).
+     *
+     * @param {object} options - { asked, minQuestions, maxQuestions, lead = CONFIDENT_LEAD, profile }
+     * @returns {{ symptom: string|null, confidence: number, lead: number }} `confidence` is the
+     *   leader's probability (0-100), `lead` its leadRatio().
+     */
+    function nextQuestion(model, selections, options) {
+        const { asked, minQuestions, maxQuestions, lead = CONFIDENT_LEAD } = options;
+        const profile = ScoringProfiles.resolve(options.profile);
+        const preds = calculateProbabilities(model, selections, { profile });
+        const state = { confidence: preds[0].probability, lead: leadRatio(preds) };
+
+        if (asked >= maxQuestions) return { symptom: null, ...state };
+        if (asked >= minQuestions && state.lead >= lead) return { symptom: null, ...state };
+
+        return { symptom: selectNextSymptom(model, preds, selections.responses, profile), ...state };
+    }
+
+    // UTILS
+
+    // Small deterministic PRNG (mulberry32) so resampling is reproducible
+    function createRandom(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal draw (Box-Muller)
+    function sampleNormal(random) {
+        return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+
+    // Gamma(shape, 1) draw (Marsaglia-Tsang)
+    function sampleGamma(shape, random) {
+        if (shape < 1) return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x;
+            let v;
+            do {
+                x = sampleNormal(random);
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            const u = random();
+            if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+        }
+    }
+
+    function sampleBeta(a, b, random) {
+        const x = sampleGamma(a, random);
+        return x / (x + sampleGamma(b, random));
+    }
+
+    // Linear-interpolated quantile of an ascending array
+    function quantile(sorted, q) {
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
+    return {
+        DATASETS,
+        VITALS,
+        VITAL_LEVELS,
+        AGE_RANGE,
+        NEARBY_AGE,
+        CALIBRATION,
+        CONFIDENT_LEAD,
+        SEVERITIES,
+        DURATIONS,
+        readResponse,
+        describeResponse,
+        parseSources,
+        buildModel,
+        buildModelFromText,
+        ageGroupFor,
+        calculateProbabilities,
+        scoringTemperature,
+        probabilityIntervals,
+        leadRatio,
+        confidenceLevel,
+        explainResults,
+        posterior,
+        logSumExp,
+        createRandom,
+        symptomLikelihood,
+        ageLikelihood,
+        mentionScore,
+        selectNextSymptom,
+        nextQuestion
+    };
+});
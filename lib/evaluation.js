@@ -0,0 +1,256 @@
+/**
+ * HealthPulse Pro: Model Evaluation Harness
+ * K-fold cross-validation over the bundled patient records. Each fold retrains the
+ * engine without its held-out records, scores them through the same
+ * calculateProbabilities() the UI uses, and the folds are pooled into top-k accuracy,
+ * per-disease precision/recall, a confusion matrix and a reliability curve.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+    else root.ModelEvaluation = factory(root.ClinicalEngine);
+})(typeof self !== 'undefined' ? self : this, function (ClinicalEngine) {
+
+    // Datasets whose rows are patient records (and so can be held out)
+    const RECORD_SOURCES = ['profile', 'healthcare'];
+
+    const DEFAULTS = { folds: 5, sample: Infinity, seed: 42, bins: 10, calibrate: false };
+
+    function shuffle(items, random) {
+        const out = items.slice();
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    }
+
+    /**
+     * Assign every record row to a fold. Rows are addressed as { source, index } into
+     * the parsed record datasets; `sample` caps how many of them are scored, but every
+     * row is still used for training in the folds it does not belong to.
+     */
+    function createFolds(sources, options = {}) {
+        const { folds, sample, seed } = { ...DEFAULTS, ...options };
+        if (folds < 2) throw new Error('Cross-validation needs at least 2 folds');
+
+        const rows = [];
+        RECORD_SOURCES.forEach(source => {
+            sources[source].rows.forEach((_, index) => rows.push({ source, index }));
+        });
+
+        const order = shuffle(rows, ClinicalEngine.createRandom(seed));
+        const assignments = Array.from({ length: folds }, () => ({ held: null, test: [] }));
+        order.forEach((row, i) => assignments[i % folds].test.push(row));
+
+        // Cap the scored rows per fold, keeping the folds balanced
+        const perFold = Math.ceil(Math.min(sample, order.length) / folds);
+        assignments.forEach(fold => {
+            fold.held = new Set(fold.test.map(key));
+            fold.test = fold.test.slice(0, perFold);
+        });
+        return assignments;
+    }
+
+    function key(row) {
+        return `${row.source}:${row.index}`;
+    }
+
+    /**
+     * Retrain on everything outside the fold, then score the fold's test rows.
+     * Returns one { actual, predictions, scores } entry per scored record; `scores` are the
+     * raw log-scores of every disease, best first, kept for temperature fitting.
+     */
+    function evaluateFold(sources, fold) {
+        const training = { ...sources };
+        RECORD_SOURCES.forEach(source => {
+            training[source] = {
+                ...sources[source],
+                rows: sources[source].rows.filter((_, index) => !fold.held.has(key({ source, index })))
+            };
+        });
+        const model = ClinicalEngine.buildModel(training);
+
+        // The held-out rows go through the same ingestion so their answers use canonical IDs
+        const heldOut = { ...sources };
+        RECORD_SOURCES.forEach(source => {
+            const wanted = new Set(fold.test.filter(r => r.source === source).map(r => r.index));
+            heldOut[source] = { ...sources[source], rows: sources[source].rows.filter((_, index) => wanted.has(index)) };
+        });
+        const records = ClinicalEngine.buildModel(heldOut).records;
+
+        return records.map(record => {
+            const ageGroup = ClinicalEngine.ageGroupFor(model, record.age);
+            const preds = ClinicalEngine.calculateProbabilities(model, {
+                age: record.age,
+                ageGroup,
+                gender: record.gender,
+                vitals: record.vitals,
+                responses: record.symptoms
+            });
+            return {
+                actual: record.disease,
+                predictions: preds.slice(0, 3).map(p => ({ name: p.name, probability: p.probability })),
+                scores: preds.map(p => p.logLikelihood),
+                actualScore: (preds.find(p => p.name === record.disease) || {}).logLikelihood
+            };
+        });
+    }
+
+    /**
+     * Pool per-record outcomes into the evaluation report.
+     */
+    function summarize(outcomes, options = {}) {
+        const { bins } = { ...DEFAULTS, ...options };
+        const n = outcomes.length;
+        let top1 = 0;
+        let top3 = 0;
+
+        const labels = new Set();
+        const confusion = {}; // { actual: { predicted: count } }
+        const calibration = Array.from({ length: bins }, (_, i) => ({
+            lower: i / bins, upper: (i + 1) / bins, count: 0, confidence: 0, accuracy: 0
+        }));
+
+        outcomes.forEach(({ actual, predictions }) => {
+            const predicted = predictions[0].name;
+            const correct = predicted === actual;
+            if (correct) top1++;
+            if (predictions.some(p => p.name === actual)) top3++;
+
+            labels.add(actual);
+            labels.add(predicted);
+            confusion[actual] = confusion[actual] || {};
+            confusion[actual][predicted] = (confusion[actual][predicted] || 0) + 1;
+
+            const confidence = predictions[0].probability / 100;
+            const bin = calibration[Math.min(bins - 1, Math.floor(confidence * bins))];
+            bin.count++;
+            bin.confidence += confidence;
+            bin.accuracy += correct ? 1 : 0;
+        });
+
+        const sortedLabels = [...labels].sort();
+        const perDisease = sortedLabels.map(name => {
+            const row = confusion[name] || {};
+            const tp = row[name] || 0;
+            const support = Object.values(row).reduce((a, b) => a + b, 0);
+            const predictedCount = sortedLabels.reduce((sum, actual) => sum + ((confusion[actual] || {})[name] || 0), 0);
+            return {
+                name,
+                support,
+                predicted: predictedCount,
+                precision: predictedCount ? tp / predictedCount : 0,
+                recall: support ? tp / support : 0
+            };
+        });
+
+        calibration.forEach(bin => {
+            if (bin.count > 0) {
+                bin.confidence /= bin.count;
+                bin.accuracy /= bin.count;
+            }
+        });
+        // Expected calibration error: bin-weighted gap between confidence and accuracy
+        const ece = calibration.reduce((sum, bin) => sum + (bin.count / (n || 1)) * Math.abs(bin.accuracy - bin.confidence), 0);
+
+        return {
+            records: n,
+            top1: n ? top1 / n : 0,
+            top3: n ? top3 / n : 0,
+            perDisease,
+            confusion: {
+                labels: sortedLabels,
+                matrix: sortedLabels.map(actual => sortedLabels.map(predicted => (confusion[actual] || {})[predicted] || 0))
+            },
+            calibration: { bins: calibration, ece }
+        };
+    }
+
+    /**
+     * Mean negative log-likelihood of the true disease at a temperature. Records whose
+     * disease never appears in their training folds are skipped.
+     */
+    function logLoss(outcomes, temperature) {
+        const usable = outcomes.filter(o => o.actualScore !== undefined);
+        const total = usable.reduce((sum, o) => {
+            return sum + ClinicalEngine.logSumExp(o.scores.map(s => s / temperature)) - o.actualScore / temperature;
+        }, 0);
+        return usable.length ? total / usable.length : 0;
+    }
+
+    /**
+     * Fit the softmax temperature that minimizes held-out log-loss. The loss is convex
+     * in 1/T, so a golden-section search over the inverse temperature is enough.
+     */
+    function fitTemperature(outcomes) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        const loss = beta => logLoss(outcomes, 1 / beta);
+        let lo = 0.01;
+        let hi = 10;
+        for (let i = 0; i < 60; i++) {
+            const a = hi - ratio * (hi - lo);
+            const b = lo + ratio * (hi - lo);
+            if (loss(a) < loss(b)) hi = b;
+            else lo = a;
+        }
+        return 2 / (lo + hi);
+    }
+
+    /**
+     * Re-derive the top predictions' probabilities at a new temperature. Ranking does
+     * not change with temperature, so only the probabilities move.
+     */
+    function recalibrate(outcome, temperature) {
+        const probs = ClinicalEngine.posterior(outcome.scores, temperature);
+        return {
+            ...outcome,
+            predictions: outcome.predictions.map((p, i) => ({ ...p, probability: probs[i] * 100 }))
+        };
+    }
+
+    /**
+     * Run the full k-fold evaluation synchronously (used headlessly from Node).
+     *
+     * @param {object} sources - Parsed datasets, as passed to ClinicalEngine.buildModel().
+     * @param {object} [options] - { folds, sample, seed, bins, calibrate, onProgress(foldIndex, folds) }
+     */
+    function crossValidate(sources, options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const folds = createFolds(sources, settings);
+        const outcomes = [];
+        folds.forEach((fold, i) => {
+            outcomes.push(...evaluateFold(sources, fold));
+            if (settings.onProgress) settings.onProgress(i + 1, folds.length);
+        });
+        return buildReport(outcomes, settings);
+    }
+
+    /**
+     * Stamp pooled outcomes with the run settings. With `calibrate`, a temperature is
+     * fitted on the pooled out-of-fold scores and the metrics are reported at it, next
+     * to the log-loss and calibration error at the temperature the engine shipped with.
+     */
+    function buildReport(outcomes, settings) {
+        const temperature = settings.temperature || ClinicalEngine.CALIBRATION.temperature;
+        const report = {
+            generatedAt: new Date().toISOString(),
+            folds: settings.folds,
+            seed: settings.seed,
+            temperature,
+            logLoss: logLoss(outcomes, temperature)
+        };
+        if (!settings.calibrate) return { ...report, ...summarize(outcomes, settings) };
+
+        const fitted = fitTemperature(outcomes);
+        const before = summarize(outcomes, settings);
+        return {
+            ...report,
+            ...summarize(outcomes.map(o => recalibrate(o, fitted)), settings),
+            temperature: fitted,
+            logLoss: logLoss(outcomes, fitted),
+            uncalibrated: { temperature, logLoss: report.logLoss, ece: before.calibration.ece }
+        };
+    }
+
+    return { DEFAULTS, createFolds, evaluateFold, summarize, logLoss, fitTemperature, recalibrate, buildReport, crossValidate };
+});
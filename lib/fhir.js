@@ -0,0 +1,255 @@
+/**
+ * HealthPulse Pro: FHIR R4 Interchange
+ * Converts an assessment to a FHIR R4 collection Bundle (Patient, QuestionnaireResponse,
+ * vital-sign Observations and a DiagnosticReport with the ranked differential) and reads
+ * such a Bundle back into UI selections. Questionnaire items are keyed by ontology
+ * symptom ID; diseases and answers use local code systems. The severity and duration of a
+ * Yes answer are nested items under that answer (severity coded in SNOMED CT).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.FhirInterchange = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const SYSTEMS = {
+        answer: 'urn:healthpulse-pro:answer',
+        disease: 'urn:healthpulse-pro:disease',
+        ageExtension: 'urn:healthpulse-pro:fhir:patient-age',
+        ageRangeExtension: 'urn:healthpulse-pro:fhir:patient-age-range',
+        probabilityExtension: 'urn:healthpulse-pro:fhir:probability',
+        intervalExtension: 'urn:healthpulse-pro:fhir:probability-interval',
+        duration: 'urn:healthpulse-pro:duration',
+        loinc: 'http://loinc.org',
+        snomed: 'http://snomed.info/sct',
+        ucum: 'http://unitsofmeasure.org',
+        interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+        observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category'
+    };
+
+    const ANSWERS = { 'Yes': 'yes', 'Maybe': 'maybe', 'No': 'no', 'Not Sure': 'not-sure' };
+    const SEVERITY_CODES = {
+        mild: { code: '255604002', display: 'Mild' },
+        moderate: { code: '6736007', display: 'Moderate' },
+        severe: { code: '24484000', display: 'Severe' }
+    };
+    const DURATIONS = { hours: 'Hours', days: 'Days', weeks: 'Weeks', chronic: 'Chronic' };
+
+    // LOINC codes for the qualitative vitals, keyed like ClinicalEngine.VITALS
+    const VITAL_CODES = {
+        bloodPressure: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+        cholesterol: { code: '2093-3', display: 'Cholesterol [Mass/volume] in Serum or Plasma' }
+    };
+    const LEVEL_CODES = { Low: 'L', Normal: 'N', High: 'H' };
+
+    const DIFFERENTIAL_SIZE = 10; // Diseases listed in the DiagnosticReport
+
+    function uuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    function years(value) {
+        return { value, unit: 'a', system: SYSTEMS.ucum, code: 'a' };
+    }
+
+    /**
+     * Build the Bundle for one assessment.
+     *
+     * @param {object} assessment - { selections: { age, ageGroup, gender, vitals, responses },
+     *   predictions (ranked, probabilities 0-100), labels: { symptom: fn(id), vital: fn(key) } }
+     * @param {object} [options] - { timestamp = now }
+     */
+    function toBundle(assessment, options = {}) {
+        const { selections, predictions, labels } = assessment;
+        const timestamp = options.timestamp || new Date().toISOString();
+        const ref = { patient: `urn:uuid:${uuid()}`, questionnaire: `urn:uuid:${uuid()}`, report: `urn:uuid:${uuid()}` };
+
+        const patient = { resourceType: 'Patient', extension: [] };
+        if (Number.isFinite(selections.age)) {
+            patient.extension.push({ url: SYSTEMS.ageExtension, valueAge: years(selections.age) });
+        } else if (selections.ageGroup) {
+            patient.extension.push({
+                url: SYSTEMS.ageRangeExtension,
+                valueRange: { low: years(selections.ageGroup.min), high: years(selections.ageGroup.max) }
+            });
+        }
+        if (!patient.extension.length) delete patient.extension;
+        patient.gender = selections.gender ? selections.gender.toLowerCase() : 'unknown';
+
+        const questionnaireResponse = {
+            resourceType: 'QuestionnaireResponse',
+            status: 'completed',
+            subject: { reference: ref.patient },
+            authored: timestamp,
+            item: Object.entries(selections.responses).map(([id, response]) => questionnaireItem(id, response, labels))
+        };
+        if (!questionnaireResponse.item.length) delete questionnaireResponse.item;
+
+        const observations = Object.entries(selections.vitals || {}).map(([key, level]) => ({
+            fullUrl: `urn:uuid:${uuid()}`,
+            resource: {
+                resourceType: 'Observation',
+                status: 'final',
+                category: [{ coding: [{ system: SYSTEMS.observationCategory, code: 'vital-signs', display: 'Vital Signs' }] }],
+                code: { coding: [{ system: SYSTEMS.loinc, ...VITAL_CODES[key] }], text: labels.vital(key) },
+                subject: { reference: ref.patient },
+                effectiveDateTime: timestamp,
+                valueCodeableConcept: {
+                    coding: [{ system: SYSTEMS.interpretation, code: LEVEL_CODES[level], display: level }],
+                    text: level
+                }
+            }
+        }));
+
+        const differential = predictions.slice(0, DIFFERENTIAL_SIZE);
+        const report = {
+            resourceType: 'DiagnosticReport',
+            status: 'final',
+            code: { text: 'HealthPulse Pro differential diagnosis' },
+            subject: { reference: ref.patient },
+            issued: timestamp,
+            conclusion: differential.map((p, i) => `${i + 1}. ${p.name} ${p.probability.toFixed(1)}%`).join('; '),
+            conclusionCode: differential.map(p => {
+                const extension = [{ url: SYSTEMS.probabilityExtension, valueDecimal: round(p.probability / 100) }];
+                if (p.interval) {
+                    extension.push({
+                        url: SYSTEMS.intervalExtension,
+                        valueRange: {
+                            low: { value: round(p.interval.lower / 100) },
+                            high: { value: round(p.interval.upper / 100) }
+                        }
+                    });
+                }
+                return { extension, coding: [{ system: SYSTEMS.disease, code: p.name, display: p.name }], text: p.name };
+            })
+        };
+        if (observations.length) report.result = observations.map(o => ({ reference: o.fullUrl }));
+
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp,
+            entry: [
+                { fullUrl: ref.patient, resource: patient },
+                { fullUrl: ref.questionnaire, resource: questionnaireResponse },
+                ...observations,
+                { fullUrl: ref.report, resource: report }
+            ]
+        };
+    }
+
+    // One answered symptom; a detailed Yes ({ answer, severity, duration }) nests its detail
+    function questionnaireItem(id, response, labels) {
+        const detailed = response !== null && typeof response === 'object';
+        const answer = detailed ? response.answer : response;
+        const value = { valueCoding: { system: SYSTEMS.answer, code: ANSWERS[answer], display: answer } };
+
+        const detail = [];
+        if (detailed && answer === 'Yes' && SEVERITY_CODES[response.severity]) {
+            detail.push({ linkId: `${id}.severity`, text: 'Severity', answer: [{ valueCoding: { system: SYSTEMS.snomed, ...SEVERITY_CODES[response.severity] } }] });
+        }
+        if (detailed && answer === 'Yes' && DURATIONS[response.duration]) {
+            detail.push({ linkId: `${id}.duration`, text: 'Duration', answer: [{ valueCoding: { system: SYSTEMS.duration, code: response.duration, display: DURATIONS[response.duration] } }] });
+        }
+        if (detail.length) value.item = detail;
+
+        return { linkId: id, text: labels.symptom(id), answer: [value] };
+    }
+
+    // { severity, duration } read back from the items nested under a Yes answer
+    function readDetail(value) {
+        const detail = {};
+        (value.item || []).forEach(item => {
+            const coding = item.answer && item.answer[0] && item.answer[0].valueCoding;
+            if (!coding) return;
+            const severity = Object.keys(SEVERITY_CODES).find(key => coding.system === SYSTEMS.snomed && SEVERITY_CODES[key].code === coding.code);
+            if (severity) detail.severity = severity;
+            else if (coding.system === SYSTEMS.duration && DURATIONS[coding.code]) detail.duration = coding.code;
+        });
+        return detail;
+    }
+
+    function round(value) {
+        return Math.round(value * 1e6) / 1e6;
+    }
+
+    /**
+     * Read a Bundle produced by toBundle() (or hand-written to the same profile) back into
+     * selections. Throws when the Bundle has no Patient, uses unknown answer codes or
+     * carries an age, age range or conclusion without the values it needs.
+     *
+     * @returns {{ age: number|null, ageRange: { min, max }|null, gender: string|null,
+     *   vitals: object, responses: object, differential: { name, probability }[] }}
+     */
+    function fromBundle(bundle) {
+        if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+            throw new Error('Not a FHIR Bundle');
+        }
+        const resources = bundle.entry.map(e => e.resource).filter(Boolean);
+        const ofType = type => resources.filter(r => r.resourceType === type);
+
+        const [patient] = ofType('Patient');
+        if (!patient) throw new Error('Bundle has no Patient resource');
+
+        const extension = url => (patient.extension || []).find(e => e.url === url);
+        const age = extension(SYSTEMS.ageExtension);
+        const range = extension(SYSTEMS.ageRangeExtension);
+        const quantity = (value, label) => {
+            if (!value || typeof value.value !== 'number' || !Number.isFinite(value.value)) {
+                throw new Error(`Patient ${label} has no numeric value`);
+            }
+            return value.value;
+        };
+        const gender = ['male', 'female'].includes(patient.gender)
+            ? patient.gender.charAt(0).toUpperCase() + patient.gender.slice(1)
+            : null;
+
+        const answerByCode = Object.fromEntries(Object.entries(ANSWERS).map(([answer, code]) => [code, answer]));
+        const responses = {};
+        ofType('QuestionnaireResponse').forEach(qr => (qr.item || []).forEach(item => {
+            const value = item.answer && item.answer[0];
+            const answer = value && value.valueCoding && answerByCode[value.valueCoding.code];
+            if (!answer) throw new Error(`Unrecognized answer for "${item.linkId}"`);
+            const detail = answer === 'Yes' ? readDetail(value) : {};
+            responses[item.linkId] = Object.keys(detail).length ? { answer, ...detail } : answer;
+        }));
+
+        const vitals = {};
+        const levelByCode = Object.fromEntries(Object.entries(LEVEL_CODES).map(([level, code]) => [code, level]));
+        ofType('Observation').forEach(obs => {
+            const loinc = ((obs.code && obs.code.coding) || []).find(c => c.system === SYSTEMS.loinc);
+            const key = loinc && Object.keys(VITAL_CODES).find(k => VITAL_CODES[k].code === loinc.code);
+            const value = ((obs.valueCodeableConcept && obs.valueCodeableConcept.coding) || [])
+                .find(c => c.system === SYSTEMS.interpretation);
+            if (key && value && levelByCode[value.code]) vitals[key] = levelByCode[value.code];
+        });
+
+        const [report] = ofType('DiagnosticReport');
+        const differential = ((report && report.conclusionCode) || []).map((cc, i) => {
+            const probability = (cc.extension || []).find(e => e.url === SYSTEMS.probabilityExtension);
+            const name = cc.text || ((cc.coding || [])[0] || {}).display;
+            if (!name) throw new Error(`DiagnosticReport conclusion ${i + 1} has no text or display name`);
+            return {
+                name,
+                probability: probability && Number.isFinite(probability.valueDecimal) ? Math.round(probability.valueDecimal * 1e6) / 1e4 : null
+            };
+        });
+
+        return {
+            age: age ? quantity(age.valueAge, 'age') : null,
+            ageRange: range ? {
+                min: quantity(range.valueRange && range.valueRange.low, 'age range low'),
+                max: quantity(range.valueRange && range.valueRange.high, 'age range high')
+            } : null,
+            gender,
+            vitals,
+            responses,
+            differential
+        };
+    }
+
+    return { toBundle, fromBundle, SYSTEMS, VITAL_CODES };
+});
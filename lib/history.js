@@ -0,0 +1,159 @@
+/**
+ * HealthPulse Pro: Assessment History
+ * Saves completed assessments in IndexedDB so a patient can reopen earlier results and
+ * compare two assessments side by side. The store takes the IndexedDB factory as an
+ * argument; compareAssessments() is pure and shared with the Node tests.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./engine.js'));
+    else root.AssessmentHistory = factory(root.ClinicalEngine);
+})(typeof self !== 'undefined' ? self : this, function (ClinicalEngine) {
+
+    const DB_NAME = 'healthpulse-pro';
+    const DB_VERSION = 1;
+    const STORE = 'assessments';
+
+    // Predictions beyond this rank keep only name and probability
+    const DETAILED_RESULTS = 4;
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openDatabase(indexedDB) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('createdAt', 'createdAt');
+        };
+        return promisify(request);
+    }
+
+    /**
+     * Build the record saved for one completed assessment.
+     *
+     * @param {object} selections - The UI's { age, ageGroup, gender, vitals, responses }.
+     * @param {object[]} predictions - Ranked results of calculateProbabilities().
+     */
+    function createEntry(selections, predictions, extra = {}) {
+        return {
+            createdAt: new Date().toISOString(),
+            profile: {
+                age: selections.age,
+                ageGroup: selections.ageGroup ? selections.ageGroup.label : null,
+                gender: selections.gender,
+                vitals: { ...selections.vitals }
+            },
+            responses: { ...selections.responses },
+            ...extra,
+            predictions: predictions.map((p, i) => {
+                const kept = { name: p.name, probability: p.probability };
+                if (i < DETAILED_RESULTS) {
+                    Object.assign(kept, { countInAge: p.countInAge, interval: p.interval, explanation: p.explanation });
+                }
+                return kept;
+            })
+        };
+    }
+
+    /**
+     * The selections a saved entry was made from, matched to `model`'s age brackets, which
+     * can change between builds: the bracket the saved age falls in, else the one with the
+     * saved label. `ageGroup` is null when a bracket-only entry's bracket no longer exists;
+     * its saved results can still be shown, but not rescored.
+     */
+    function restoreSelections(entry, model) {
+        const { profile } = entry;
+        return {
+            age: profile.age,
+            ageGroup: profile.age !== null
+                ? ClinicalEngine.ageGroupFor(model, profile.age)
+                : model.ageGroups.find(g => g.label === profile.ageGroup) || null,
+            gender: profile.gender,
+            vitals: { ...profile.vitals },
+            responses: { ...entry.responses }
+        };
+    }
+
+    /**
+     * Promise-based access to the saved assessments.
+     *
+     * @param {IDBFactory} indexedDB - Usually `window.indexedDB`.
+     */
+    function createHistoryStore(indexedDB) {
+        let db = null;
+
+        async function transaction(mode, action) {
+            db = db || await openDatabase(indexedDB);
+            return promisify(action(db.transaction(STORE, mode).objectStore(STORE)));
+        }
+
+        return {
+            save: entry => transaction('readwrite', store => store.add(entry)),
+            get: id => transaction('readonly', store => store.get(id)),
+            // Newest first
+            list: async () => (await transaction('readonly', store => store.getAll()))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+            remove: id => transaction('readwrite', store => store.delete(id)),
+            clear: () => transaction('readwrite', store => store.clear())
+        };
+    }
+
+    // Symptom answers may be detailed Yes answers ({ answer, severity, duration }); one
+    // without detail equals the plain answer
+    function sameAnswer(a, b) {
+        const fields = v => (v !== null && typeof v === 'object' ? [v.answer, v.severity || null, v.duration || null] : [v, null, null]);
+        return fields(a).every((value, i) => value === fields(b)[i]);
+    }
+
+    /**
+     * Compare two saved assessments, ordered oldest first whatever order they are
+     * passed in.
+     *
+     * @param {object} [options] - { limit = 10 } diseases from each assessment's top results.
+     * @returns {{ earlier, later, answers: object[], diseases: object[] }} `answers` lists every
+     *   profile field and symptom with { field, key, before, after, changed } (missing values
+     *   are null); `diseases` lists { name, before, after, delta } by largest movement.
+     */
+    function compareAssessments(a, b, options = {}) {
+        const { limit = 10 } = options;
+        const [earlier, later] = a.createdAt <= b.createdAt ? [a, b] : [b, a];
+
+        const answers = [];
+        const addAnswer = (field, key, before, after) => {
+            before = before === undefined ? null : before;
+            after = after === undefined ? null : after;
+            answers.push({ field, key, before, after, changed: !sameAnswer(before, after) });
+        };
+
+        addAnswer('profile', 'age', earlier.profile.age !== null ? earlier.profile.age : earlier.profile.ageGroup,
+            later.profile.age !== null ? later.profile.age : later.profile.ageGroup);
+        addAnswer('profile', 'gender', earlier.profile.gender, later.profile.gender);
+        const vitalKeys = new Set([...Object.keys(earlier.profile.vitals), ...Object.keys(later.profile.vitals)]);
+        vitalKeys.forEach(key => addAnswer('vital', key, earlier.profile.vitals[key], later.profile.vitals[key]));
+
+        const symptomKeys = new Set([...Object.keys(earlier.responses), ...Object.keys(later.responses)]);
+        symptomKeys.forEach(key => addAnswer('symptom', key, earlier.responses[key], later.responses[key]));
+
+        const probabilityIn = entry => Object.fromEntries(entry.predictions.map(p => [p.name, p.probability]));
+        const before = probabilityIn(earlier);
+        const after = probabilityIn(later);
+        const names = new Set([
+            ...earlier.predictions.slice(0, limit).map(p => p.name),
+            ...later.predictions.slice(0, limit).map(p => p.name)
+        ]);
+        const diseases = [...names].map(name => ({
+            name,
+            before: before[name] || 0,
+            after: after[name] || 0,
+            delta: (after[name] || 0) - (before[name] || 0)
+        })).sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+
+        return { earlier, later, answers, diseases };
+    }
+
+    return { createEntry, restoreSelections, createHistoryStore, compareAssessments, DETAILED_RESULTS };
+});
@@ -0,0 +1,90 @@
+/**
+ * HealthPulse Pro: Safe HTML Templating
+ * Every piece of markup the UI builds goes through the `html` tag: interpolated values are
+ * escaped unless they are themselves `html` fragments, so disease names, descriptions and
+ * fetched text from datasets or remote responses can never inject markup. Trusted markup
+ * that is not built by the tag has to be wrapped in raw() explicitly.
+ *
+ * Inline style attributes are not used, so the page can run under a Content-Security-Policy
+ * without 'unsafe-inline'. Geometry computed at render time (bar widths, heat-map
+ * intensities) is written as data-style="prop: value; ..." and applied through the CSSOM
+ * by render().
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SafeHtml = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+    // Only properties the templates set; anything else in data-style is ignored
+    const STYLE_PROPERTIES = ['width', 'left', '--intensity'];
+
+    class Fragment {
+        constructor(markup) {
+            this.markup = markup;
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    function escape(text) {
+        return String(text).replace(/[&<>"'`]/g, ch => ENTITIES[ch]);
+    }
+
+    // null, undefined and false render as nothing so `${cond && html`...`}` reads naturally
+    function serialize(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof Fragment) return value.markup;
+        if (Array.isArray(value)) return value.map(serialize).join('');
+        return escape(value);
+    }
+
+    /**
+     * Template tag: html`<td>${name}</td>` escapes `name`; nested fragments and arrays of
+     * fragments are kept as markup.
+     */
+    function html(strings, ...values) {
+        return new Fragment(strings.reduce((out, str, i) => out + str + (i < values.length ? serialize(values[i]) : ''), ''));
+    }
+
+    /**
+     * Mark a string of markup as trusted. Only for constants in the source, never for
+     * dataset or fetched text.
+     */
+    function raw(markup) {
+        return new Fragment(String(markup));
+    }
+
+    /**
+     * data-style attribute value for numeric geometry, e.g. style({ width: '40%' }).
+     */
+    function style(properties) {
+        return Object.entries(properties).map(([prop, value]) => `${prop}: ${value}`).join('; ');
+    }
+
+    function applyStyles(element) {
+        element.querySelectorAll('[data-style]').forEach(el => {
+            el.getAttribute('data-style').split(';').forEach(declaration => {
+                const colon = declaration.indexOf(':');
+                const prop = declaration.slice(0, colon).trim();
+                if (colon > 0 && STYLE_PROPERTIES.includes(prop)) el.style.setProperty(prop, declaration.slice(colon + 1).trim());
+            });
+            el.removeAttribute('data-style');
+        });
+    }
+
+    /**
+     * Replace an element's content with a fragment. Plain strings are rejected so unescaped
+     * markup cannot reach innerHTML by accident.
+     */
+    function render(element, fragment) {
+        if (!(fragment instanceof Fragment)) throw new TypeError('render() takes an html`` fragment');
+        element.innerHTML = fragment.markup;
+        applyStyles(element);
+    }
+
+    return { html, raw, escape, style, render, Fragment };
+});
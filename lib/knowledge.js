@@ -0,0 +1,130 @@
+/**
+ * HealthPulse Pro: Knowledge Base
+ * Read-only views over a built model for browsing what the datasets say about each
+ * disease: the diseases with case records plus the reference-only ones that appear in
+ * the metadata datasets alone, their learned symptom prevalence and demographics, and
+ * which diseases share a symptom.
+ *
+ * Diseases are keyed the way the model keys its metadata: the lower-cased canonical name.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.KnowledgeBase = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const AGE_BIN = 10; // Years per age histogram bar
+
+    /**
+     * @param {object} model - Built or hydrated model.
+     * @returns {object} { diseases, types(), filter(criteria), disease(key), symptom(id) }
+     */
+    function createKnowledgeBase(model) {
+        const entries = new Map();
+
+        const add = (name, records) => {
+            const key = name.toLowerCase();
+            if (entries.has(key)) return;
+            const metadata = model.diseaseMetadata[key] || {};
+            entries.set(key, {
+                key,
+                name,
+                records,
+                type: metadata.type || null,
+                contagious: metadata.contagious === undefined ? null : metadata.contagious,
+                chronic: metadata.chronic === undefined ? null : metadata.chronic
+            });
+        };
+        Object.entries(model.diseases).forEach(([name, disease]) => add(name, disease.count));
+        // Names that matched no recorded disease are keyed as written (see ClinicalEngine)
+        Object.values(model.diseaseNames.unmatched).forEach(names => names.forEach(name => add(name, 0)));
+
+        const diseases = [...entries.values()].sort((a, b) => a.name.localeCompare(b.name));
+
+        /**
+         * Diseases matching every given criterion. `query` matches part of the name;
+         * `contagious` and `chronic` are true, false or null (not recorded); an
+         * omitted or undefined criterion matches everything.
+         */
+        function filter(criteria = {}) {
+            const query = (criteria.query || '').trim().toLowerCase();
+            return diseases.filter(d => (!query || d.key.includes(query))
+                && (!criteria.type || d.type === criteria.type)
+                && (criteria.contagious === undefined || d.contagious === criteria.contagious)
+                && (criteria.chronic === undefined || d.chronic === criteria.chronic));
+        }
+
+        /**
+         * Everything known about one disease, or null for an unknown key.
+         * `prevalence` is the share of records with each symptom among those that recorded
+         * it; `mentions` are symptoms only named in the descriptive datasets.
+         */
+        function disease(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            const counts = model.diseases[entry.name] || null;
+            const prevalence = counts
+                ? Object.entries(counts.observed)
+                    .map(([id, observed]) => ({ id, cases: counts.symptoms[id] || 0, observed, rate: (counts.symptoms[id] || 0) / observed }))
+                    .filter(s => s.cases > 0)
+                    .sort((a, b) => b.rate - a.rate || a.id.localeCompare(b.id))
+                : [];
+            const learned = new Set(prevalence.map(s => s.id));
+
+            return {
+                ...entry,
+                share: model.totalCases ? entry.records / model.totalCases : 0,
+                metadata: model.diseaseMetadata[key] || {},
+                precautions: model.precautions[key] || [],
+                prevalence,
+                mentions: (model.diseaseSymptomMap[key] || []).filter(id => !learned.has(id)),
+                ages: counts ? ageHistogram(counts.ages) : [],
+                genders: counts ? Object.entries(counts.genders).map(([gender, n]) => ({ gender, count: n })).sort((a, b) => b.count - a.count) : [],
+                vitals: counts ? counts.vitals : {}
+            };
+        }
+
+        /**
+         * Diseases that share a symptom: those with recorded cases of it by prevalence,
+         * then those whose descriptions mention it, by name.
+         */
+        function symptom(id) {
+            const withSymptom = [];
+            diseases.forEach(d => {
+                const counts = model.diseases[d.name];
+                const cases = counts ? counts.symptoms[id] || 0 : 0;
+                if (cases > 0) {
+                    withSymptom.push({ key: d.key, name: d.name, cases, rate: cases / counts.observed[id] });
+                } else if ((model.diseaseSymptomMap[d.key] || []).includes(id)) {
+                    withSymptom.push({ key: d.key, name: d.name, cases: 0, rate: null });
+                }
+            });
+            return withSymptom.sort((a, b) => (b.rate === null ? -1 : b.rate) - (a.rate === null ? -1 : a.rate) || a.name.localeCompare(b.name));
+        }
+
+        return {
+            diseases,
+            types: () => [...new Set(diseases.map(d => d.type).filter(Boolean))].sort(),
+            filter,
+            disease,
+            symptom
+        };
+    }
+
+    /**
+     * Record counts per AGE_BIN-year band, from the youngest to the oldest band seen.
+     */
+    function ageHistogram(ages) {
+        if (ages.length === 0) return [];
+        const first = Math.floor(Math.min(...ages) / AGE_BIN);
+        const last = Math.floor(Math.max(...ages) / AGE_BIN);
+        const bins = [];
+        for (let bin = first; bin <= last; bin++) {
+            bins.push({ from: bin * AGE_BIN, to: bin * AGE_BIN + AGE_BIN - 1, count: 0 });
+        }
+        ages.forEach(age => { bins[Math.floor(age / AGE_BIN) - first].count++; });
+        return bins;
+    }
+
+    return { AGE_BIN, createKnowledgeBase, ageHistogram };
+});
@@ -0,0 +1,328 @@
+/**
+ * HealthPulse Pro: Symptom Ontology
+ * Maps the free-text symptom phrasing of every dataset onto canonical symptom IDs, so
+ * "Difficulty Breathing", "shortness of breath" and "breathlessness" are one feature.
+ * Matching is done on a bag of stemmed words after stripping parentheticals, trailing
+ * "especially/particularly..." clauses and severity qualifiers.
+ * search() adds a typo-tolerant lookup over labels and synonyms for free-text entry.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SymptomOntology = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Canonical concepts by body-system category: { category: { id: [synonyms] } }.
+    // The label of a concept is its ID with dashes read as spaces.
+    const CONCEPTS = {
+        respiratory: {
+            'shortness-of-breath': ['difficulty breathing', 'breathlessness', 'trouble breathing', 'labored breathing', 'dyspnea', 'respiratory distress'],
+            'cough': ['coughing', 'dry cough', 'cough with phlegm', 'productive cough'],
+            'wheezing': ['wheeze'],
+            'chest-tightness': ['tight chest'],
+            'rapid-breathing': ['fast breathing', 'tachypnea'],
+            'sore-throat': ['throat pain', 'painful throat'],
+            'runny-nose': ['nasal discharge', 'rhinorrhea', 'thick nasal discharge'],
+            'nasal-congestion': ['stuffy nose', 'blocked nose', 'congestion'],
+            'sneezing': ['sneeze'],
+            'chest-pain': ['chest discomfort', 'chest pain or discomfort']
+        },
+        gastrointestinal: {
+            'nausea': ['nauseous', 'queasiness'],
+            'vomiting': ['throwing up', 'emesis'],
+            'abdominal-pain': ['stomach pain', 'abdominal discomfort', 'abdominal pain or discomfort', 'stomach ache', 'belly pain'],
+            'diarrhea': ['loose stools', 'diarrhoea'],
+            'constipation': [],
+            'loss-of-appetite': ['appetite loss', 'decreased appetite', 'poor appetite'],
+            'bloating': ['abdominal distension', 'abdominal bloating'],
+            'heartburn': ['acid reflux'],
+            'jaundice': ['yellowing of the skin', 'yellow skin']
+        },
+        neurological: {
+            'headache': ['headaches', 'head pain'],
+            'dizziness': ['lightheadedness', 'dizziness or lightheadedness', 'light headedness'],
+            'confusion': ['mental confusion', 'disorientation'],
+            'seizures': ['seizure', 'convulsions'],
+            'memory-loss': ['memory impairment', 'forgetfulness'],
+            'numbness': ['numbness or tingling', 'tingling or numbness'],
+            'tingling': ['pins and needles'],
+            'tremors': ['tremor', 'trembling', 'shaking']
+        },
+        general: {
+            'fever': ['high temperature', 'pyrexia', 'high fever'],
+            'fatigue': ['tiredness', 'exhaustion', 'tired'],
+            'weakness': ['general weakness'],
+            'muscle-pain': ['body aches', 'muscle aches', 'myalgia', 'aching muscles'],
+            'chills': ['shivering'],
+            'sweating': ['perspiration'],
+            'night-sweats': [],
+            'weight-loss': ['losing weight'],
+            'weight-gain': ['gaining weight'],
+            'swelling': ['swollen', 'edema', 'oedema']
+        },
+        dermatological: {
+            'rash': ['skin rash', 'red rash'],
+            'itching': ['itchy', 'itchy skin', 'pruritus', 'itch'],
+            'skin-redness': ['redness', 'red skin', 'red'],
+            'swollen-lymph-nodes': ['lymph node enlargement', 'enlarged lymph nodes'],
+            'hives': ['urticaria'],
+            'bruising': ['easy bruising'],
+            'pale-skin': ['pallor', 'paleness']
+        },
+        sensory: {
+            'blurred-vision': ['blurry vision', 'blurred or distorted vision', 'blurred or decreased vision'],
+            'sensitivity-to-light': ['photophobia', 'light sensitivity', 'increased sensitivity to light'],
+            'eye-pain': ['eye pain or discomfort', 'painful eyes'],
+            'red-eyes': ['eye redness', 'bloodshot eyes'],
+            'hearing-loss': ['loss of hearing', 'gradual hearing loss'],
+            'loss-of-taste-or-smell': ['loss of taste', 'loss of smell']
+        },
+        musculoskeletal: {
+            'joint-pain': ['arthralgia', 'painful joints'],
+            'back-pain': ['lower back pain', 'backache'],
+            'stiffness': ['joint stiffness'],
+            'stiff-neck': ['neck stiffness']
+        },
+        psychiatric: {
+            'anxiety': ['nervousness', 'excessive worrying'],
+            'depression': ['low mood', 'depressed mood'],
+            'insomnia': ['sleeplessness', 'difficulty sleeping', 'sleep disturbances'],
+            'irritability': []
+        },
+        cardiovascular: {
+            'palpitations': ['heart palpitations'],
+            'rapid-heart-rate': ['rapid heartbeat', 'increased heart rate', 'tachycardia', 'racing heart'],
+            'high-blood-pressure': ['elevated blood pressure']
+        },
+        urinary: {
+            'frequent-urination': ['polyuria', 'urinating often'],
+            'painful-urination': ['burning sensation during urination', 'dysuria', 'burning urination'],
+            'blood-in-urine': ['hematuria'],
+            'increased-thirst': ['excessive thirst', 'polydipsia']
+        }
+    };
+
+    // Words that grade a symptom rather than name it; dropped when the full phrase is unknown
+    const QUALIFIERS = new Set([
+        'sudden', 'severe', 'mild', 'moderate', 'persistent', 'intense', 'high', 'chronic', 'recurrent',
+        'occasional', 'extreme', 'acute', 'slight', 'constant', 'unexplained', 'unintentional', 'excessive',
+        'significant', 'gradual', 'often', 'sometimes'
+    ]);
+    const STOPWORDS = new Set(['of', 'the', 'a', 'an', 'in', 'on', 'to', 'at', 'with', 'and']);
+
+    function stem(word) {
+        let w = word;
+        if (w.length <= 3) return w;
+        w = w.replace(/ies$/, 'y').replace(/([^s])s$/, '$1');
+        const suffix = w.match(/(ness|ing|ed|ly)$/);
+        if (suffix && w.length - suffix[0].length >= 3) w = w.slice(0, -suffix[0].length);
+        if (w.length > 3) w = w.replace(/[ey]$/, '');
+        return w;
+    }
+
+    /**
+     * Lower-case a raw phrase and strip parentheticals, trailing
+     * "especially/particularly/such as..." clauses and punctuation.
+     */
+    function clean(raw) {
+        return String(raw || '')
+            .toLowerCase()
+            .replace(/\(.*?\)/g, ' ')
+            .replace(/\b(especially|particularly|such as)\b.*$/, ' ')
+            .replace(/[^a-z0-9\s'-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function tokens(text) {
+        return text.split(/[\s-]+/).filter(w => w && !STOPWORDS.has(w)).map(stem);
+    }
+
+    // Word order does not matter: "appetite loss" and "loss of appetite" share a key
+    function keyOf(text) {
+        return tokens(text).sort().join(' ');
+    }
+
+    function withoutQualifiers(text) {
+        return text.split(' ').filter(w => !QUALIFIERS.has(w)).join(' ');
+    }
+
+    function labelFromId(id) {
+        return id.replace(/-/g, ' ');
+    }
+
+    // Optimal string alignment distance: edits, with adjacent swaps counting as one
+    function editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    /**
+     * How well one typed word matches one word of a name: 3 exact, 2 prefix, 1 within the
+     * typo allowance (one edit from 4 letters, two from 7), 0 otherwise. A partly typed
+     * word is also compared against the same-length start of the name word.
+     */
+    function wordMatch(typed, word) {
+        if (typed === word) return 3;
+        if (word.startsWith(typed)) return 2;
+        const allowance = typed.length >= 7 ? 2 : typed.length >= 4 ? 1 : 0;
+        if (!allowance) return 0;
+        const distance = Math.min(editDistance(typed, word), editDistance(typed, word.slice(0, typed.length)));
+        return distance <= allowance ? 1 : 0;
+    }
+
+    /**
+     * Create an ontology instance. Canonical concepts are shared; phrases that match
+     * none of them are registered as new, dataset-specific concepts on this instance.
+     *
+     * @param {{ id: string, label: string }[]} [registered] - Dataset-specific concepts to
+     *   restore, as returned by registered() on the instance that created them.
+     */
+    function createOntology(registered = []) {
+        const index = new Map(); // stem key -> id
+        const entries = new Map(); // id -> { id, label, category, canonical, tokens, synonyms }
+
+        const add = (id, label, category, canonical, synonyms = []) => {
+            entries.set(id, { id, label, category, canonical, tokens: tokens(label), synonyms });
+        };
+
+        Object.entries(CONCEPTS).forEach(([category, concepts]) => {
+            Object.entries(concepts).forEach(([id, synonyms]) => {
+                add(id, labelFromId(id), category, true, synonyms);
+                [labelFromId(id), ...synonyms].forEach(s => index.set(keyOf(clean(s)), id));
+            });
+        });
+        registered.forEach(({ id, label }) => {
+            add(id, label, 'other', false);
+            index.set(keyOf(label), id);
+        });
+
+        /**
+         * Find the concept for a phrase without registering anything.
+         */
+        function lookup(raw) {
+            const text = clean(raw);
+            if (!text) return null;
+            return index.get(keyOf(text)) || index.get(keyOf(withoutQualifiers(text))) || null;
+        }
+
+        /**
+         * Map a single symptom phrase onto a concept ID, registering a new concept when
+         * nothing matches. Returns null for phrases with no usable words.
+         */
+        function resolve(raw) {
+            const known = lookup(raw);
+            if (known) return known;
+
+            const text = withoutQualifiers(clean(raw));
+            if (text.length < 3) return null;
+
+            const key = keyOf(text);
+            if (!key) return null;
+            if (index.has(key)) return index.get(key);
+
+            let id = text.replace(/[\s']+/g, '-');
+            while (entries.has(id)) id += '-x';
+            add(id, text, 'other', false);
+            index.set(key, id);
+            return id;
+        }
+
+        /**
+         * Resolve one comma-separated fragment. "Nausea or vomiting" becomes both
+         * concepts when each alternative is itself a known concept.
+         */
+        function resolveAll(raw) {
+            const whole = lookup(raw);
+            if (whole) return [whole];
+
+            const parts = clean(raw).split(/\bor\b/).map(p => p.trim()).filter(Boolean);
+            if (parts.length > 1) {
+                const ids = parts.map(lookup);
+                if (ids.every(Boolean)) return [...new Set(ids)];
+            }
+
+            const id = resolve(raw);
+            return id ? [id] : [];
+        }
+
+        /**
+         * Parse a dataset's comma-separated symptom text into unique concept IDs.
+         * Parentheticals are removed first so commas inside them do not split phrases.
+         */
+        function parseList(text) {
+            const ids = String(text || '')
+                .replace(/\([^)]*\)?/g, ' ')
+                .split(',')
+                .flatMap(resolveAll);
+            return [...new Set(ids)];
+        }
+
+        /**
+         * Typo-tolerant search over concept labels and synonyms. Every typed word must
+         * match a word of the name; results are ranked by match strength, preferring the
+         * concept's own label and then shorter labels.
+         *
+         * @param {string} query - Free text, possibly partly typed or misspelled.
+         * @param {object} [options] - { ids: concept IDs to search (default all), limit = 8 }
+         * @returns {{ id: string, label: string, match: string }[]} `match` is the name that matched.
+         */
+        function search(query, options = {}) {
+            const { limit = 8 } = options;
+            const words = clean(query).split(/[\s-]+/).filter(Boolean);
+            const typed = words.some(w => !STOPWORDS.has(w)) ? words.filter(w => !STOPWORDS.has(w)) : words;
+            if (!typed.length) return [];
+
+            const ids = options.ids || [...entries.keys()];
+            const results = [];
+            ids.forEach(id => {
+                const entry = entries.get(id) || { label: labelFromId(id), synonyms: [] };
+                let best = null;
+                [entry.label, ...entry.synonyms].forEach((name, i) => {
+                    const nameWords = clean(name).split(/[\s-]+/);
+                    let score = 0;
+                    for (const w of typed) {
+                        const match = Math.max(...nameWords.map(nw => wordMatch(w, nw)));
+                        if (!match) return;
+                        score += match;
+                    }
+                    // The concept's own label wins ties over its synonyms
+                    const rank = score + (i === 0 ? 0.5 : 0);
+                    if (!best || rank > best.rank) best = { rank, match: name };
+                });
+                if (best) results.push({ id, label: entry.label, match: best.match, rank: best.rank });
+            });
+
+            return results
+                .sort((a, b) => b.rank - a.rank || a.label.length - b.label.length || a.label.localeCompare(b.label))
+                .slice(0, limit)
+                .map(({ id, label, match }) => ({ id, label, match }));
+        }
+
+        return {
+            lookup,
+            resolve,
+            resolveAll,
+            parseList,
+            search,
+            label: id => (entries.has(id) ? entries.get(id).label : labelFromId(id)),
+            category: id => (entries.has(id) ? entries.get(id).category : 'other'),
+            isCanonical: id => entries.has(id) && entries.get(id).canonical,
+            tokens: id => (entries.has(id) ? entries.get(id).tokens : tokens(labelFromId(id))),
+            concepts: () => [...entries.values()],
+            registered: () => [...entries.values()].filter(e => !e.canonical).map(({ id, label }) => ({ id, label })),
+            categories: () => Object.keys(CONCEPTS)
+        };
+    }
+
+    return { createOntology, stem, clean, editDistance, CONCEPTS };
+});
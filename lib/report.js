@@ -0,0 +1,305 @@
+/**
+ * HealthPulse Pro: Clinical PDF Report
+ * Lays out an assessment on a jsPDF document: flowing text and tables that break across
+ * A4 pages, a header and a "Page n of m" footer with the model/dataset stamp on every
+ * page, the full ranked differential as a probability bar chart and every question and
+ * answer. DOM-free: the caller collects the report data (see write()) from what is on
+ * screen, so the PDF shows exactly those results.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ClinicalReport = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // A4 in millimetres; body text flows between `top` and `bottom`
+    const PAGE = { width: 210, height: 297, margin: 20, top: 30, bottom: 274 };
+    const LINE_HEIGHT = 0.5; // mm of line pitch per point of font size
+
+    const COLORS = {
+        text: [0, 0, 0],
+        body: [80, 80, 80],
+        muted: [110, 110, 110],
+        faint: [150, 150, 150],
+        heading: [0, 51, 102],
+        alert: [180, 40, 40],
+        supporting: [0, 128, 96],
+        rule: [200, 200, 200],
+        tableHeader: [235, 240, 247],
+        bar: [129, 140, 248],
+        interval: [45, 160, 140],
+        emergency: [220, 38, 38],
+        urgent: [217, 119, 6]
+    };
+
+    const DISCLAIMER = 'Informational only: this report is generated by a statistical model and is not a substitute for professional medical advice, diagnosis or treatment.';
+
+    /**
+     * A cursor over the document that starts a new page whenever the next line or row
+     * would pass the bottom margin.
+     */
+    function createLayout(doc) {
+        const width = PAGE.width - PAGE.margin * 2;
+        let y = PAGE.top;
+
+        function font(size, color = COLORS.text, style = 'normal') {
+            doc.setFont('helvetica', style);
+            doc.setFontSize(size);
+            doc.setTextColor(...color);
+        }
+
+        function ensureSpace(height) {
+            if (y + height <= PAGE.bottom) return false;
+            doc.addPage();
+            y = PAGE.top;
+            return true;
+        }
+
+        // Wrapped text, placed line by line so a long paragraph continues on the next page
+        function paragraph(value, { size = 10, color = COLORS.body, style = 'normal', indent = 0, after = 3 } = {}) {
+            font(size, color, style);
+            const pitch = size * LINE_HEIGHT;
+            doc.splitTextToSize(String(value), width - indent).forEach(line => {
+                ensureSpace(pitch);
+                doc.text(line, PAGE.margin + indent, y);
+                y += pitch;
+            });
+            y += after;
+        }
+
+        // Keeps a heading together with at least the first lines of its section
+        function heading(title, color = COLORS.heading) {
+            ensureSpace(20);
+            y += 2;
+            paragraph(title, { size: 13, color, style: 'bold', after: 2 });
+        }
+
+        function gap(height) {
+            y += height;
+        }
+
+        /**
+         * Table with a shaded header row, repeated at the top of every page it spans.
+         * Columns: { label, width (mm), align?, draw?(x, top, width, height, value) }; a
+         * column with draw() is painted by it instead of printing the value.
+         */
+        function table(columns, rows, { size = 9 } = {}) {
+            const pitch = size * LINE_HEIGHT;
+            const pad = 1.5;
+            const xs = [];
+            columns.reduce((x, col) => { xs.push(x); return x + col.width; }, PAGE.margin);
+
+            const header = () => {
+                const height = pitch + pad * 2;
+                doc.setFillColor(...COLORS.tableHeader);
+                doc.rect(PAGE.margin, y, width, height, 'F');
+                font(size, COLORS.heading, 'bold');
+                columns.forEach((col, i) => cellText(col, xs[i], y + pad + pitch * 0.8, col.label));
+                y += height;
+            };
+            const cellText = (col, x, baseline, text) => {
+                if (col.align === 'right') doc.text(text, x + col.width - pad, baseline, { align: 'right' });
+                else doc.text(text, x + pad, baseline);
+            };
+
+            ensureSpace(pitch * 3 + pad * 4);
+            header();
+            rows.forEach(row => {
+                font(size, COLORS.text);
+                const cells = columns.map((col, i) => (col.draw ? [] : doc.splitTextToSize(String(row[i]), col.width - pad * 2)));
+                const height = Math.max(1, ...cells.map(lines => lines.length)) * pitch + pad * 2;
+                if (ensureSpace(height)) header();
+                font(size, COLORS.text);
+                columns.forEach((col, i) => {
+                    if (col.draw) col.draw(xs[i] + pad, y + pad, col.width - pad * 2, height - pad * 2, row[i]);
+                    else cells[i].forEach((line, n) => cellText(col, xs[i], y + pad + pitch * (n + 0.8), line));
+                });
+                y += height;
+                doc.setDrawColor(...COLORS.rule);
+                doc.setLineWidth(0.1);
+                doc.line(PAGE.margin, y, PAGE.margin + width, y);
+            });
+            y += 5;
+        }
+
+        // Filled alert box with a bold title and wrapped text
+        function banner(title, text, color) {
+            font(10);
+            const lines = doc.splitTextToSize(text, width - 10);
+            const height = 12 + lines.length * 5;
+            ensureSpace(height);
+            doc.setFillColor(...color);
+            doc.rect(PAGE.margin, y, width, height, 'F');
+            font(12, [255, 255, 255], 'bold');
+            doc.text(title, PAGE.margin + 5, y + 7);
+            font(10, [255, 255, 255]);
+            doc.text(lines, PAGE.margin + 5, y + 13);
+            y += height + 6;
+        }
+
+        return { width, font, ensureSpace, paragraph, heading, gap, table, banner, get y() { return y; } };
+    }
+
+    // Probability bar with its 95% interval as a thin line; value = { probability, interval }
+    function probabilityBar(doc) {
+        return (x, top, width, height, value) => {
+            const mid = top + height / 2;
+            doc.setFillColor(240, 240, 240);
+            doc.rect(x, mid - 1.5, width, 3, 'F');
+            doc.setFillColor(...COLORS.bar);
+            if (value.probability > 0) doc.rect(x, mid - 1.5, Math.max(0.3, width * value.probability / 100), 3, 'F');
+            if (value.interval) {
+                doc.setDrawColor(...COLORS.interval);
+                doc.setLineWidth(0.4);
+                doc.line(x + width * value.interval.lower / 100, mid, x + width * value.interval.upper / 100, mid);
+            }
+        };
+    }
+
+    // Header and footer on every page, drawn once the page count is known
+    function decoratePages(doc, report) {
+        const pages = doc.getNumberOfPages();
+        const right = PAGE.width - PAGE.margin;
+        for (let page = 1; page <= pages; page++) {
+            doc.setPage(page);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(10);
+            doc.setTextColor(...COLORS.heading);
+            doc.text('HealthPulse Pro · Clinical Intelligence Report', PAGE.margin, 15);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(...COLORS.muted);
+            doc.text(report.generatedAt, right, 15, { align: 'right' });
+            doc.setDrawColor(...COLORS.heading);
+            doc.setLineWidth(0.4);
+            doc.line(PAGE.margin, 18, right, 18);
+
+            doc.setDrawColor(...COLORS.rule);
+            doc.setLineWidth(0.2);
+            doc.line(PAGE.margin, PAGE.height - 19, right, PAGE.height - 19);
+            doc.setFontSize(7);
+            doc.setTextColor(...COLORS.faint);
+            doc.text(doc.splitTextToSize(DISCLAIMER, right - PAGE.margin - 25), PAGE.margin, PAGE.height - 15);
+            doc.text(report.stamp, PAGE.margin, PAGE.height - 8);
+            doc.setFontSize(8);
+            doc.text(`Page ${page} of ${pages}`, right, PAGE.height - 8, { align: 'right' });
+        }
+    }
+
+    /**
+     * Write an assessment report onto a fresh jsPDF document.
+     *
+     * @param {object} report
+     * @param {string} report.generatedAt - Display date.
+     * @param {string} report.stamp - Model/dataset version line for the footer.
+     * @param {string[]} report.profile - Age, gender and vitals as display text.
+     * @param {?{ level, label, title, advice, escalated }} report.triage
+     * @param {object[]} report.predictions - The ranking shown on screen, best first:
+     *   { name, probability, interval?, flags: string[], causes: [label, text][],
+     *   explanation: [{ impact, text }] }.
+     * @param {{ description, treatments, precautions: string[] }} report.primary - Text
+     *   shown for the leading diagnosis.
+     * @param {?{ conditions: string, tips: string[] }} report.infectionControl
+     * @param {{ question, answer, source }[]} report.answers - In the order asked; `answer` is
+     *   display text, including any severity and duration.
+     * @param {object} [options] - { secondary = 3 } conditions described in detail after
+     *   the primary one.
+     */
+    function write(doc, report, options = {}) {
+        const { secondary = 3 } = options;
+        const layout = createLayout(doc);
+        const [primary] = report.predictions;
+
+        layout.paragraph('Clinical Intelligence Report', { size: 20, color: COLORS.text, style: 'bold', after: 2 });
+        layout.paragraph(`Profile: ${report.profile.join(' | ')}`, { size: 10, color: COLORS.muted, after: 6 });
+
+        if (report.triage && report.triage.escalated) {
+            layout.banner(`${report.triage.label.toUpperCase()}: ${report.triage.title}`, report.triage.advice, COLORS[report.triage.level]);
+        } else if (report.triage) {
+            layout.paragraph(`Triage: ${report.triage.label} · ${report.triage.title}`, { size: 10, color: COLORS.muted, after: 6 });
+        }
+
+        // Leading diagnosis
+        layout.heading('Primary Diagnosis');
+        const interval = primary.interval ? ` · 95% interval ${primary.interval.lower.toFixed(1)}-${primary.interval.upper.toFixed(1)}%` : '';
+        layout.paragraph(`${primary.name} (${primary.probability.toFixed(1)}%)${interval}`, { size: 14, color: COLORS.text, style: 'bold', after: 1 });
+        if (primary.flags.length) layout.paragraph(primary.flags.join(' · '), { size: 9, color: COLORS.muted, after: 2 });
+        layout.paragraph(report.primary.description, { after: 6 });
+
+        layout.heading('Recommended Treatments');
+        layout.paragraph(report.primary.treatments, { color: COLORS.text, after: 6 });
+
+        if (report.primary.precautions.length) {
+            layout.heading('Recommended Precautions');
+            report.primary.precautions.forEach(tip => layout.paragraph(`- ${tip}`, { color: COLORS.text, after: 1 }));
+            layout.gap(5);
+        }
+
+        if (primary.causes.length) {
+            layout.heading('Causes & Pathogens');
+            primary.causes.forEach(([label, value]) => layout.paragraph(`${label}: ${value}`, { color: COLORS.text, after: 1 }));
+            layout.gap(5);
+        }
+
+        if (report.infectionControl) {
+            layout.heading('Isolation & Infection Control', COLORS.alert);
+            layout.paragraph(report.infectionControl.conditions, { color: COLORS.text, after: 1 });
+            report.infectionControl.tips.forEach(tip => layout.paragraph(`- ${tip}`, { color: COLORS.text, after: 1 }));
+            layout.gap(5);
+        }
+
+        const evidence = (pred, indent) => pred.explanation.forEach(t => layout.paragraph(
+            `${t.impact > 0 ? '+' : ''}${t.impact.toFixed(2)}  ${t.text}`,
+            { color: t.impact > 0 ? COLORS.supporting : COLORS.alert, indent, after: 0 }
+        ));
+        if (primary.explanation.length) {
+            layout.heading('Why This Result');
+            evidence(primary, 0);
+            layout.gap(6);
+        }
+
+        // Runners-up in detail
+        const others = report.predictions.slice(1, secondary + 1);
+        if (others.length) {
+            layout.heading('Other Potential Conditions');
+            others.forEach(p => {
+                layout.paragraph(`${p.name}: ${p.probability.toFixed(1)}%`, { color: COLORS.text, style: 'bold', after: 1 });
+                if (p.flags.length) layout.paragraph(p.flags.join(' · '), { size: 9, color: COLORS.muted, indent: 6, after: 1 });
+                p.causes.forEach(([label, value]) => layout.paragraph(`${label}: ${value}`, { size: 9, color: COLORS.muted, indent: 6, after: 0 }));
+                evidence(p, 6);
+                layout.gap(4);
+            });
+        }
+
+        // Every condition the model ranked
+        layout.heading('Ranked Differential');
+        layout.table([
+            { label: '#', width: 10, align: 'right' },
+            { label: 'Condition', width: 66 },
+            { label: 'Probability', width: 22, align: 'right' },
+            { label: '95% interval', width: 26, align: 'right' },
+            { label: '', width: 46, draw: probabilityBar(doc) }
+        ], report.predictions.map((p, i) => [
+            i + 1,
+            p.name,
+            `${p.probability.toFixed(1)}%`,
+            p.interval ? `${p.interval.lower.toFixed(1)}-${p.interval.upper.toFixed(1)}%` : '-',
+            p
+        ]));
+
+        layout.heading('Questions & Answers');
+        if (report.answers.length) {
+            layout.table([
+                { label: '#', width: 10, align: 'right' },
+                { label: 'Symptom', width: 80 },
+                { label: 'Answer', width: 50 },
+                { label: 'Source', width: 30 }
+            ], report.answers.map((a, i) => [i + 1, a.question, a.answer, a.source]));
+        } else {
+            layout.paragraph('No symptom questions were answered.');
+        }
+
+        decoratePages(doc, report);
+        return doc;
+    }
+
+    return { PAGE, DISCLAIMER, createLayout, write };
+});
@@ -0,0 +1,281 @@
+/**
+ * HealthPulse Pro: Scoring Profiles
+ * The weights and thresholds lib/engine.js scores evidence with, as named, versioned
+ * profiles that can be switched, tweaked and compared. A profile is plain JSON so it
+ * can be posted to the inference worker and kept in localStorage as-is.
+ *
+ * Symptom answers are scored in tiers, in one of two layouts. With `answers` and `mentions`,
+ * every disease has one p = P(S | D) (symptomProbability() in lib/engine.js): its weighted
+ * record counts plus pseudo-records at the rate its text suggests, the likelihood of the
+ * `mentions` tier for its ClinicalEngine.mentionScore(). With `recorded` and `text` (the v1
+ * layout, see byBasis()), p is the raw counted frequency when the disease has records of the
+ * symptom; otherwise the symptom is matched against the disease's text and a `text` tier
+ * adds weight x log(likelihood). An `answers` or `recorded` tier adds weight x log(p) for
+ * Yes and Maybe or weight x log(1 - p) for No. The first tier whose `above` the value
+ * exceeds applies (`above: null` always does); an answer with no applicable tier adds
+ * nothing. Each tier's `match` credit counts towards the specificity bonus,
+ * log(1 + matches x perMatch) x weight.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ScoringProfiles = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PROFILES = {
+        'smoothed-heuristic': {
+            id: 'smoothed-heuristic',
+            name: 'Smoothed heuristic',
+            version: 1,
+            description: 'The weighted heuristic retuned for one P(S | D) per disease: even weights on every answer, denied symptoms counted against a disease, several likely matches rewarded.',
+            alpha: 1, // Laplace pseudo-count per outcome
+            temperature: null, // Softmax temperature; null uses the model's calibration
+            genderWeight: 1.5,
+            // One weight across a Yes or Maybe's tiers, so a likelier symptom never scores worse
+            answers: {
+                Yes: [{ above: 0.3, weight: 1.5, match: 1 }, { above: null, weight: 1.5, match: 0 }],
+                Maybe: [{ above: 0.3, weight: 0.75, match: 0.5 }, { above: null, weight: 0.75, match: 0 }],
+                No: [{ above: null, weight: 1.5, match: 0 }]
+            },
+            mentions: [
+                { above: 0.7, likelihood: 0.9 },
+                { above: 0.3, likelihood: 0.7 },
+                { above: null, likelihood: 0.2 }
+            ],
+            specificity: { perMatch: 0.15, weight: 2.0 },
+            severity: { mild: 0.6, moderate: 1.0, severe: 1.4 } // Scales a symptom's whole term
+        },
+        'weighted-heuristic': {
+            id: 'weighted-heuristic',
+            name: 'Weighted heuristic',
+            version: 1,
+            description: 'Hand-tuned weights that stress common symptoms, penalize missing ones and reward several matches.',
+            alpha: 1,
+            temperature: 3, // The calibration fitted while it was the default; the model's now fits the current one
+            genderWeight: 1.5,
+            recorded: {
+                Yes: [{ above: 0.3, weight: 3.0, match: 1 }, { above: null, weight: 1.5, match: 0 }],
+                Maybe: [{ above: 0.3, weight: 1.0, match: 0.5 }],
+                No: [{ above: 0.5, weight: 3.0, match: 0 }, { above: 0.3, weight: 1.5, match: 0 }]
+            },
+            text: {
+                Yes: [
+                    { above: 0.7, likelihood: 0.9, weight: 2.0, match: 1 },
+                    { above: 0.3, likelihood: 0.7, weight: 1.0, match: 0.5 },
+                    { above: null, likelihood: 0.2, weight: 0.5, match: 0 }
+                ],
+                Maybe: [{ above: 0.5, likelihood: 0.7, weight: 0.8, match: 0.3 }],
+                No: [{ above: 0.7, likelihood: 0.3, weight: 1.5, match: 0 }]
+            },
+            specificity: { perMatch: 0.15, weight: 2.0 },
+            severity: { mild: 0.6, moderate: 1.0, severe: 1.4 }
+        },
+        'naive-bayes': {
+            id: 'naive-bayes',
+            name: 'Pure naive Bayes',
+            version: 2,
+            description: 'Every answer counts once at its likelihood: no extra weights, thresholds or bonus, and an unscaled posterior.',
+            alpha: 1,
+            temperature: 1,
+            genderWeight: 1,
+            answers: {
+                Yes: [{ above: null, weight: 1, match: 0 }],
+                Maybe: [],
+                No: [{ above: null, weight: 1, match: 0 }]
+            },
+            mentions: [
+                { above: 0.7, likelihood: 0.9 },
+                { above: 0.3, likelihood: 0.7 },
+                { above: null, likelihood: 0.2 }
+            ],
+            specificity: { perMatch: 0, weight: 0 },
+            severity: { mild: 1, moderate: 1, severe: 1 }
+        }
+    };
+    const DEFAULT_PROFILE = 'smoothed-heuristic';
+
+    const ANSWERS = ['Yes', 'Maybe', 'No'];
+    const TIER_FIELDS = { above: 'above', likelihood: 'likelihood', weight: 'weight', match: 'match credit' };
+    const BASES = [['recorded', 'Recorded'], ['text', 'Text match']]; // v1 layout, see byBasis()
+
+    /**
+     * A bundled profile by ID, a profile object checked with check(), or the default.
+     * @throws {Error} For an unknown ID or an invalid profile.
+     */
+    function resolve(profile) {
+        if (profile === undefined || profile === null) return PROFILES[DEFAULT_PROFILE];
+        if (typeof profile === 'string') {
+            if (!PROFILES[profile]) throw new Error(`Unknown scoring profile: ${profile}`);
+            return PROFILES[profile];
+        }
+        const problems = check(profile);
+        if (problems.length > 0) throw new Error(`Invalid scoring profile: ${problems.join('; ')}`);
+        return profile;
+    }
+
+    /**
+     * Whether a profile is in the v1 layout, which scores a symptom by `recorded` tiers when
+     * the disease has records of it and by `text` tiers otherwise, rather than by `answers`
+     * tiers on one P(S | D).
+     */
+    function byBasis(profile) {
+        return Boolean(profile.recorded || profile.text);
+    }
+
+    /**
+     * Problems that stop a profile from scoring, as readable strings (empty when usable).
+     */
+    function check(profile) {
+        const problems = [];
+        const number = (value, label, test, expected) => {
+            if (typeof value !== 'number' || !Number.isFinite(value) || !test(value)) problems.push(`${label} must be ${expected}`);
+        };
+        const positive = v => v > 0;
+        const nonNegative = v => v >= 0;
+
+        if (!profile || typeof profile !== 'object') return ['not an object'];
+        if (!profile.id || !profile.name) problems.push('id and name are required');
+        // A custom profile must name the bundled profile it started from (see customize())
+        if (profile.basedOn !== undefined && !PROFILES[(profile.basedOn || {}).id]) {
+            problems.push(`based on an unknown profile: ${(profile.basedOn || {}).id}`);
+        }
+        number(profile.alpha, 'alpha', positive, 'above 0');
+        if (profile.temperature !== null) number(profile.temperature, 'temperature', positive, 'above 0 or null');
+        number(profile.genderWeight, 'genderWeight', nonNegative, '0 or more');
+
+        const checkTiers = (tiers, label, keys) => {
+            if (!Array.isArray(tiers)) {
+                problems.push(`${label} must be a list of tiers`);
+                return;
+            }
+            tiers.forEach((tier, i) => {
+                if (tier.above !== null) number(tier.above, `${label}.${i}.above`, v => v >= 0 && v <= 1, 'between 0 and 1 or null');
+                keys.forEach(key => key === 'likelihood'
+                    ? number(tier.likelihood, `${label}.${i}.likelihood`, v => v > 0 && v < 1, 'between 0 and 1')
+                    : number(tier[key], `${label}.${i}.${key}`, nonNegative, '0 or more'));
+            });
+        };
+        if (byBasis(profile)) {
+            BASES.forEach(([basis]) => ANSWERS.forEach(answer => checkTiers((profile[basis] || {})[answer], `${basis}.${answer}`,
+                basis === 'text' ? ['likelihood', 'weight', 'match'] : ['weight', 'match'])));
+        } else {
+            ANSWERS.forEach(answer => checkTiers((profile.answers || {})[answer], `answers.${answer}`, ['weight', 'match']));
+            checkTiers(profile.mentions, 'mentions', ['likelihood']);
+        }
+
+        const specificity = profile.specificity || {};
+        number(specificity.perMatch, 'specificity.perMatch', nonNegative, '0 or more');
+        number(specificity.weight, 'specificity.weight', nonNegative, '0 or more');
+        ['mild', 'moderate', 'severe'].forEach(level => {
+            number((profile.severity || {})[level], `severity.${level}`, nonNegative, '0 or more');
+        });
+        return problems;
+    }
+
+    /**
+     * The tier that applies to a value (P(S | D) or a mention score), or null.
+     */
+    function pickTier(tiers, value) {
+        return (tiers || []).find(tier => tier.above === null || value > tier.above) || null;
+    }
+
+    /**
+     * Every tweakable number in a profile as { path, label, value, optional } for an
+     * editor; `optional` fields may be null (see the profile comments).
+     */
+    function fields(profile) {
+        const list = [
+            { path: 'alpha', label: 'Laplace smoothing α', value: profile.alpha },
+            { path: 'temperature', label: 'Softmax temperature (blank: calibrated)', value: profile.temperature, optional: true },
+            { path: 'genderWeight', label: 'Gender weight', value: profile.genderWeight }
+        ];
+        const addTiers = (tiers, path, title) => tiers.forEach((tier, i) => Object.keys(TIER_FIELDS).filter(key => key in tier).forEach(key => {
+            list.push({
+                path: `${path}.${i}.${key}`,
+                label: `${title} · tier ${i + 1} · ${key === 'above' ? 'above (blank: always)' : TIER_FIELDS[key]}`,
+                value: tier[key],
+                optional: key === 'above'
+            });
+        }));
+        if (byBasis(profile)) {
+            BASES.forEach(([basis, title]) => ANSWERS.forEach(answer => addTiers(profile[basis][answer], `${basis}.${answer}`, `${title} · ${answer}`)));
+        } else {
+            ANSWERS.forEach(answer => addTiers(profile.answers[answer], `answers.${answer}`, `Answer · ${answer}`));
+            addTiers(profile.mentions, 'mentions', 'Text prior');
+        }
+        list.push(
+            { path: 'specificity.perMatch', label: 'Specificity bonus per match', value: profile.specificity.perMatch },
+            { path: 'specificity.weight', label: 'Specificity bonus weight', value: profile.specificity.weight },
+            ...Object.entries(profile.severity).map(([level, value]) => ({ path: `severity.${level}`, label: `Severity weight · ${level}`, value }))
+        );
+        return list;
+    }
+
+    /**
+     * A copy of `profile` with one field (a fields() path) changed. A bundled profile's
+     * copy becomes a custom profile that records the ID and version it was based on.
+     */
+    function customize(profile, path, value) {
+        const copy = JSON.parse(JSON.stringify(profile));
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((node, key) => node[key], copy)[last] = value;
+        if (profile.basedOn) return copy;
+        return { ...copy, id: 'custom', name: `${profile.name} (custom)`, basedOn: { id: profile.id, version: profile.version } };
+    }
+
+    /**
+     * "Smoothed heuristic v1", or for a custom profile the version it was based on.
+     */
+    function label(profile) {
+        return profile.basedOn ? `${profile.name}, based on v${profile.basedOn.version}` : `${profile.name} v${profile.version}`;
+    }
+
+    function formatNumber(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    function describeTiers(tiers, answer, basis) {
+        if (tiers.length === 0) return 'ignored';
+        return tiers.map(tier => {
+            const term = basis === 'text' ? `log ${formatNumber(tier.likelihood)}` : answer === 'No' ? 'log(1 - p)' : 'log p';
+            const when = tier.above === null ? '' : ` above ${formatNumber(tier.above)}`;
+            return `${term} × ${formatNumber(tier.weight)}${when}`;
+        }).join(', else ');
+    }
+
+    /**
+     * The lines describing how symptom answers are scored, in the profile's layout.
+     */
+    function describeSymptoms(profile) {
+        if (byBasis(profile)) {
+            const tiers = basis => ANSWERS.map(a => `${a}: ${describeTiers(profile[basis][a], a, basis)}`).join('; ');
+            return [`Recorded Symptoms (p = P(S | D)): ${tiers('recorded')}`, `Text-Matched Symptoms: ${tiers('text')}`];
+        }
+        const answers = ANSWERS.map(a => `${a}: ${describeTiers(profile.answers[a], a)}`).join('; ');
+        const mentions = profile.mentions
+            .map(tier => `${formatNumber(tier.likelihood)}${tier.above === null ? '' : ` above ${formatNumber(tier.above)}`}`)
+            .join(', else ');
+        return [`Symptom Answers (p = P(S | D)): ${answers}`, `Text Prior by Mention Score: ${mentions || 'none'}`];
+    }
+
+    /**
+     * The profile's settings as short readable lines, for the results view's audit list.
+     * `temperature` is the one actually used (the calibration when the profile has none).
+     */
+    function describe(profile, temperature) {
+        const { specificity, severity } = profile;
+        return [
+            `Scoring Profile: ${label(profile)}`,
+            `Smoothing Algorithm: Laplace (α = ${formatNumber(profile.alpha)})`,
+            `Softmax Temperature: ${temperature.toFixed(2)}${profile.temperature === null ? ' (calibrated)' : ''}`,
+            `Gender Weight: × ${formatNumber(profile.genderWeight)}`,
+            ...describeSymptoms(profile),
+            specificity.perMatch > 0 && specificity.weight > 0
+                ? `Specificity Bonus: log(1 + ${formatNumber(specificity.perMatch)} × matches) × ${formatNumber(specificity.weight)}`
+                : 'Specificity Bonus: none',
+            `Severity Weights: ${Object.entries(severity).map(([level, w]) => `${level} × ${formatNumber(w)}`).join(', ')}`
+        ];
+    }
+
+    return { PROFILES, DEFAULT_PROFILE, resolve, byBasis, check, pickTier, fields, customize, label, describe };
+});
@@ -0,0 +1,149 @@
+/**
+ * HealthPulse Pro: Shareable Assessment Links
+ * Packs the profile and every answer into a short URL-hash token and back. Answers are
+ * keyed by ontology symptom ID, so a link stays valid when the question pool or its
+ * order changes; the token carries a version and other versions are rejected.
+ *
+ * Token: "<version>.<base64url(payload)>", payload fields joined by ";":
+ *   a=<age> | b=<min>-<max>, g=<M|F>, v=<vital code><level code>,...,
+ *   r=<symptom id>:<answer code>[<severity code>][<duration code>],...
+ * Severity and duration codes are lower case and only follow a Yes.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ShareLink = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const VERSION = 1;
+    const HASH_KEY = 'a';
+
+    const ANSWERS = { 'Yes': 'Y', 'Maybe': 'M', 'No': 'N', 'Not Sure': 'U' };
+    const SEVERITIES = { mild: 'm', moderate: 'o', severe: 's' };
+    const DURATIONS = { hours: 'h', days: 'd', weeks: 'w', chronic: 'c' };
+    const GENDERS = { Male: 'M', Female: 'F' };
+    const VITALS = { bloodPressure: 'b', cholesterol: 'c' };
+    const LEVELS = { Low: 'L', Normal: 'N', High: 'H' };
+
+    const invert = map => Object.fromEntries(Object.entries(map).map(([k, v]) => [v, k]));
+
+    function toBase64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(token) {
+        const binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    }
+
+    const answerOf = response => (response !== null && typeof response === 'object' ? response.answer : response);
+
+    function encodeAnswer(response) {
+        const answer = answerOf(response);
+        if (answer !== 'Yes' || typeof response !== 'object') return ANSWERS[answer];
+        return ANSWERS[answer] + (SEVERITIES[response.severity] || '') + (DURATIONS[response.duration] || '');
+    }
+
+    // "Y", "Ys", "Ysw": a plain answer, or a Yes with { severity, duration }
+    function decodeAnswer(code) {
+        const match = /^([YMNU])([mos]?)([hdwc]?)$/.exec(code || '');
+        const answer = match && invert(ANSWERS)[match[1]];
+        if (!answer || (answer !== 'Yes' && (match[2] || match[3]))) return null;
+        if (!match[2] && !match[3]) return answer;
+        const response = { answer };
+        if (match[2]) response.severity = invert(SEVERITIES)[match[2]];
+        if (match[3]) response.duration = invert(DURATIONS)[match[3]];
+        return response;
+    }
+
+    /**
+     * Encode selections ({ age, ageGroup, gender, vitals, responses }) into a link token.
+     */
+    function encode(selections) {
+        const fields = [];
+        if (Number.isFinite(selections.age)) fields.push(`a=${selections.age}`);
+        else if (selections.ageGroup) fields.push(`b=${selections.ageGroup.min}-${selections.ageGroup.max}`);
+        if (GENDERS[selections.gender]) fields.push(`g=${GENDERS[selections.gender]}`);
+
+        const vitals = Object.entries(selections.vitals || {})
+            .filter(([key, level]) => VITALS[key] && LEVELS[level])
+            .map(([key, level]) => VITALS[key] + LEVELS[level]);
+        if (vitals.length) fields.push(`v=${vitals.join(',')}`);
+
+        const responses = Object.entries(selections.responses || {})
+            .filter(([, response]) => ANSWERS[answerOf(response)])
+            .map(([id, response]) => `${id}:${encodeAnswer(response)}`);
+        if (responses.length) fields.push(`r=${responses.join(',')}`);
+
+        return `${VERSION}.${toBase64Url(fields.join(';'))}`;
+    }
+
+    /**
+     * Decode a link token. Throws on a different version or a malformed payload.
+     *
+     * @returns {{ age: number|null, ageRange: { min, max }|null, gender: string|null,
+     *   vitals: object, responses: object }}
+     */
+    function decode(token) {
+        const match = /^(\d+)\.([A-Za-z0-9_-]*)$/.exec(token || '');
+        if (!match) throw new Error('Malformed assessment link');
+        if (Number(match[1]) !== VERSION) {
+            throw new Error(`Assessment link version ${match[1]} is not supported (expected ${VERSION})`);
+        }
+
+        let payload;
+        try {
+            payload = fromBase64Url(match[2]);
+        } catch (err) {
+            throw new Error('Malformed assessment link');
+        }
+
+        const result = { age: null, ageRange: null, gender: null, vitals: {}, responses: {} };
+        const vitals = invert(VITALS);
+        const levels = invert(LEVELS);
+        const genders = invert(GENDERS);
+
+        payload.split(';').filter(Boolean).forEach(field => {
+            const [key, value = ''] = field.split(/=(.*)/);
+            if (key === 'a' && /^\d+(\.\d+)?$/.test(value)) {
+                result.age = Number(value);
+            } else if (key === 'b' && /^\d+-\d+$/.test(value)) {
+                const [min, max] = value.split('-').map(Number);
+                result.ageRange = { min, max };
+            } else if (key === 'g' && genders[value]) {
+                result.gender = genders[value];
+            } else if (key === 'v') {
+                value.split(',').forEach(code => {
+                    if (!vitals[code[0]] || !levels[code.slice(1)]) throw new Error(`Unknown vital "${code}" in assessment link`);
+                    result.vitals[vitals[code[0]]] = levels[code.slice(1)];
+                });
+            } else if (key === 'r') {
+                value.split(',').forEach(pair => {
+                    const [id, code] = pair.split(':');
+                    const response = decodeAnswer(code);
+                    if (!id || !response) throw new Error(`Unknown answer "${pair}" in assessment link`);
+                    result.responses[id] = response;
+                });
+            } else {
+                throw new Error(`Unknown field "${key}" in assessment link`);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Read the token out of a location hash ("#a=1.xyz"); null when there is none.
+     */
+    function fromHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        return params.get(HASH_KEY);
+    }
+
+    function toHash(selections) {
+        return `#${HASH_KEY}=${encode(selections)}`;
+    }
+
+    return { VERSION, encode, decode, fromHash, toHash };
+});
@@ -0,0 +1,109 @@
+/**
+ * HealthPulse Pro: Red-Flag Triage
+ * Declarative rules on symptom and demographic combinations that escalate an assessment
+ * to a triage level independently of the disease ranking. The default rule set lives in
+ * rules/red-flags.json; any rule file with the same shape can be loaded instead.
+ *
+ * Rule: { id, name, level, advice, all?: [symptom IDs], any?: [symptom IDs], minAny? = 1,
+ *   none?: [symptom IDs], only?: [symptom IDs], age?: { min?, max? }, gender?,
+ *   vitals?: { key: [levels] }, answers? = ['Yes'] }
+ * A rule fires when every condition it lists holds. `answers` are the responses that
+ * count a symptom as present; `only` requires every present symptom to be in the list.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Triage = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Most to least severe
+    const LEVELS = ['emergency', 'urgent', 'routine', 'self-care'];
+    const LEVEL_LABELS = { emergency: 'Emergency', urgent: 'Urgent', routine: 'Routine', 'self-care': 'Self-care' };
+
+    const SYMPTOM_LISTS = ['all', 'any', 'none', 'only'];
+    // Every key matches() checks; a rule needs at least one
+    const CONDITIONS = [...SYMPTOM_LISTS, 'age', 'gender', 'vitals'];
+
+    /**
+     * Validate a parsed rule file ({ version, default, rules }) and fill in defaults.
+     * Throws naming the first invalid rule.
+     */
+    function parseRules(ruleSet) {
+        if (!ruleSet || !Array.isArray(ruleSet.rules)) throw new Error('Red-flag rule file has no "rules" array');
+        const fallback = ruleSet.default || 'routine';
+        if (!LEVELS.includes(fallback)) throw new Error(`Unknown default triage level "${fallback}"`);
+
+        const seen = new Set();
+        const rules = ruleSet.rules.map((rule, i) => {
+            const fail = reason => { throw new Error(`Red-flag rule "${rule.id || `#${i + 1}`}": ${reason}`); };
+            if (!rule.id || !rule.name) fail('needs an id and a name');
+            if (seen.has(rule.id)) fail('duplicate id');
+            seen.add(rule.id);
+            if (!LEVELS.includes(rule.level)) fail(`unknown level "${rule.level}"`);
+            SYMPTOM_LISTS.forEach(list => {
+                if (rule[list] !== undefined && !(Array.isArray(rule[list]) && rule[list].length)) {
+                    fail(`"${list}" must be a non-empty list of symptom IDs`);
+                }
+            });
+            if (!CONDITIONS.some(key => rule[key] !== undefined)) fail('has no conditions');
+            return { minAny: 1, answers: ['Yes'], advice: '', ...rule };
+        });
+
+        return { version: ruleSet.version || 1, default: fallback, rules };
+    }
+
+    /**
+     * Age condition. With only an age bracket the rule matches when its range overlaps the
+     * bracket, so red flags err towards escalation.
+     */
+    function ageMatches(range, selections) {
+        const min = range.min !== undefined ? range.min : -Infinity;
+        const max = range.max !== undefined ? range.max : Infinity;
+        if (Number.isFinite(selections.age)) return selections.age >= min && selections.age <= max;
+        const group = selections.ageGroup;
+        return Boolean(group) && group.max >= min && group.min <= max;
+    }
+
+    function matches(rule, selections) {
+        const responses = selections.responses || {};
+        // Detailed Yes answers are { answer: 'Yes', severity, duration }
+        const answerOf = id => (responses[id] !== null && typeof responses[id] === 'object' ? responses[id].answer : responses[id]);
+        const present = id => rule.answers.includes(answerOf(id));
+
+        if (rule.all && !rule.all.every(present)) return false;
+        if (rule.any && rule.any.filter(present).length < rule.minAny) return false;
+        if (rule.none && rule.none.some(present)) return false;
+        if (rule.only && Object.keys(responses).some(id => present(id) && !rule.only.includes(id))) return false;
+        if (rule.age && !ageMatches(rule.age, selections)) return false;
+        if (rule.gender && rule.gender !== selections.gender) return false;
+        if (rule.vitals) {
+            const vitals = selections.vitals || {};
+            if (!Object.entries(rule.vitals).every(([key, levels]) => levels.includes(vitals[key]))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Triage one assessment.
+     *
+     * @param {object} ruleSet - parseRules() output.
+     * @param {object} selections - The UI's { age, ageGroup, gender, vitals, responses }.
+     * @returns {{ level: string, rule: object|null, triggered: object[] }} The most severe
+     *   triggered rule sets the level; with none, the rule set's default applies.
+     */
+    function evaluate(ruleSet, selections) {
+        const triggered = ruleSet.rules
+            .filter(rule => matches(rule, selections))
+            .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+        const rule = triggered[0] || null;
+        return { level: rule ? rule.level : ruleSet.default, rule, triggered };
+    }
+
+    /**
+     * Whether a level warrants the prominent results banner.
+     */
+    function isEscalated(level) {
+        return level === 'emergency' || level === 'urgent';
+    }
+
+    return { LEVELS, LEVEL_LABELS, parseRules, evaluate, isEscalated };
+});
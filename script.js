@@ -1,50 +1,68 @@
 /**
- * HealthPulse Pro: Clinical Bayesian Engine (Single Source Edition)
- * Robust probabilistic inference using the Disease & Patient Profile dataset.
+ * HealthPulse Pro: Clinical Bayesian Engine (UI Controller)
+ * Loads the bundled datasets and drives the questionnaire and results views.
+ * All inference lives in lib/engine.js; all markup is built with SafeHtml (lib/html.js).
  */
 
+const { html, render } = SafeHtml;
+
 const state = {
-    records: [],
-    diseases: {}, // { name: { count: 0, symptoms: {}, ageGroups: {} } }
-    symptoms: [], // Primary symptoms from main dataset
-    secondarySymptoms: [], // Additional symptoms from Diseases_Symptoms.csv
-    allSymptoms: [], // Combined primary + secondary (10-15 questions)
-    ageGroups: [],
-    precautions: {}, // { diseaseName: [p1, p2, p3, p4] }
-    diseaseMetadata: {}, // { diseaseName: { description, treatments } }
-    diseaseSymptomMap: {}, // { diseaseName: [symptom keywords] }
-    totalCases: 0,
-    minQuestions: 10,
+    model: null, // Built by ClinicalEngine.buildModel(): diseases, symptom pools, age groups, metadata
+    sources: null, // Parsed datasets (re-used to retrain evaluation folds; fetched on demand after a compiled load)
+    evaluation: null, // Latest ModelEvaluation report
+    dataReport: {}, // { fileName: { total, parsed, skipped, errors: [{ line, reason }] } }
+    dataVersion: null, // From "Medical dataset/manifest.json"
+    redFlags: null, // Triage.parseRules() of rules/red-flags.json; null when it failed to load
+    triage: null, // Triage.evaluate() result for the results on screen
+    inference: null, // { worker, pending, nextId } while worker.js runs the engine
+    scoring: false, // A question is being chosen; answer clicks are ignored meanwhile
+    minQuestions: 5, // Never stop before this many answers, however confident
     maxQuestions: 15,
+    stopLead: ClinicalEngine.CONFIDENT_LEAD, // Stop asking once the top diagnosis is this many times as likely as the runner-up
+    predictions: null, // Last rendered results, reused by the PDF export
+    description: null, // Description shown with them, once final (bundled, fetched or local)
+    history: null, // AssessmentHistory store; null when IndexedDB is unavailable
+    historySelection: [], // Up to two entry IDs picked for comparison
+    knowledge: null, // KnowledgeBase.createKnowledgeBase() of the model, built when the view first opens
+    knowledgeSelection: null, // { kind: 'disease' | 'symptom', id, from? } shown in the Knowledge Base
+    batch: null, // Batch scoring: { file, parsed, mapping, results, errors, sort } once a cases CSV is loaded
+    scoringProfile: null, // ScoringProfiles profile every engine call scores with; chosen in the Scoring Profiles view
+    otherSymptoms: [], // Symptom IDs added through free-text search
+    suggestions: [], // Current autocomplete results
+    activeSuggestion: -1,
     selections: {
+        age: null, // Exact age in years; null when a bracket was picked instead
         ageGroup: null,
         gender: null,
+        vitals: {}, // { bloodPressure: 'High', ... }; absent when skipped
         responses: {}
     },
+    retiredAgeGroup: null, // Saved bracket of a reopened assessment that the model no longer has, see openAssessment()
+    askedSymptoms: [], // Questions in the order they were asked (drives Back)
+    askedScores: [], // { confidence, lead } when each of askedSymptoms was chosen, shown with it again after Back
     currentIndex: 0,
+    currentConfidence: 0,
+    currentLead: 1, // How many times as likely as the runner-up the top diagnosis is
     view: 'home'
 };
 
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
-    const startTime = Date.now();
+    state.scoringProfile = loadScoringProfile();
     setupUIListeners();
+    registerServiceWorker();
+    state.history = window.indexedDB ? AssessmentHistory.createHistoryStore(window.indexedDB) : null;
     try {
-        await loadClinicalData();
-        await loadPrecautionData();
-        await loadDiseaseMetadata();
-        await loadSecondarySymptoms();
-        combineSymptoms();
+        await loadModel();
+        state.redFlags = await loadRedFlags();
         finalizeModel();
-
-        // Ensure loading screen displays for at least 3 seconds
-        const elapsedTime = Date.now() - startTime;
-        const remainingTime = Math.max(0, 3000 - elapsedTime);
-
-        setTimeout(() => {
-            hideLoading();
-        }, remainingTime);
+        renderDataStatus();
+        window.addEventListener('online', renderDataStatus);
+        window.addEventListener('offline', renderDataStatus);
+        restoreFromHash();
+        window.addEventListener('hashchange', restoreFromHash);
+        hideLoading();
     } catch (err) {
         console.error('System Failure:', err);
         updateStatus('Critical Data Synchronization Error', 'loading');
@@ -52,111 +70,107 @@ async function init() {
 }
 
 // 1. DATA PROCESSING
-async function loadClinicalData() {
-    const resp = await fetch('./Medical dataset/Disease_symptom_and_patient_profile_dataset.csv');
-    if (!resp.ok) throw new Error('Clinical dataset not found');
-    const text = await resp.text();
-    const rows = text.trim().split('\n').map(line => line.split(',').map(v => v.trim()));
-
-    const headers = rows[0];
-    const data = rows.slice(1);
-
-    // Schema: Disease, Fever, Cough, Fatigue, Difficulty Breathing, Age, Gender, Blood Pressure, Cholesterol, Outcome Variable
-    const ageIdx = headers.indexOf('Age');
-    const genderIdx = headers.indexOf('Gender');
-    const symHeaders = headers.slice(1, ageIdx);
-    state.symptoms = symHeaders.map(s => s.toLowerCase());
-
-    data.forEach(row => {
-        const dName = row[0];
-        const age = parseInt(row[ageIdx]);
-        const gender = row[genderIdx];
-
-        if (!state.diseases[dName]) {
-            state.diseases[dName] = { count: 0, symptoms: {}, genders: {}, ages: [] };
-        }
 
-        state.diseases[dName].count++;
-        state.diseases[dName].ages.push(age);
-        if (gender) {
-            state.diseases[dName].genders[gender.toLowerCase()] = (state.diseases[dName].genders[gender.toLowerCase()] || 0) + 1;
-        }
-        state.totalCases++;
+/**
+ * Load the compiled model artifact (see scripts/compile-model.js), falling back to building
+ * the model from the raw CSVs when the artifact is missing, in an older format or compiled
+ * from other datasets than the deployed ones. Scoring is then handed to the worker.
+ */
+async function loadModel() {
+    const manifest = await fetchManifest();
+    state.dataVersion = manifest ? manifest.version : null;
 
-        symHeaders.forEach((h, i) => {
-            const symName = h.toLowerCase();
-            if (row[i + 1] === 'Yes') {
-                state.diseases[dName].symptoms[symName] = (state.diseases[dName].symptoms[symName] || 0) + 1;
-            }
-        });
+    let artifact;
+    try {
+        artifact = await fetchArtifact(manifest);
+        state.model = ModelArtifact.hydrate(artifact);
+    } catch (err) {
+        console.warn('Compiled model unavailable, building from CSV:', err.message);
+        state.sources = ClinicalEngine.parseSources(await fetchDatasets(file => updateStatus(`Syncing ${file}...`, 'loading')));
+        state.model = ClinicalEngine.buildModel(state.sources);
+        artifact = ModelArtifact.compile(state.model);
+    }
+    Object.assign(state.dataReport, state.model.reports);
 
-        state.records.push({
-            disease: dName,
-            age: age,
-            gender: gender,
-            symptoms: Object.fromEntries(symHeaders.map((h, i) => [h.toLowerCase(), row[i + 1]]))
-        });
+    Object.values(state.model.reports).forEach(report => {
+        if (report.skipped > 0) console.warn(`${report.file}: skipped ${report.skipped} row(s)`, report.errors);
     });
+    startInferenceWorker(artifact);
+}
 
-    calculateAgeGroups();
-    updateStatus('Clinical Data Synchronized', 'loaded');
+async function fetchArtifact(manifest) {
+    updateStatus('Loading compiled model...', 'loading');
+    const resp = await fetch(`./Medical dataset/${ModelArtifact.FILE}`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const artifact = await resp.json();
+    if (manifest && !ModelArtifact.matchesSources(artifact, manifest)) {
+        throw new Error('it was compiled from other versions of the datasets');
+    }
+    return artifact;
+}
+
+/**
+ * Fetch every bundled dataset as raw text, keyed like ClinicalEngine.DATASETS.
+ * Optional datasets that fail to download are recorded in the data report and skipped.
+ */
+async function fetchDatasets(onFile = () => {}) {
+    const texts = {};
+    for (const [key, spec] of Object.entries(ClinicalEngine.DATASETS)) {
+        onFile(spec.file);
+        try {
+            const resp = await fetch(`./Medical dataset/${spec.file}`);
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            texts[key] = await resp.text();
+        } catch (err) {
+            if (!spec.optional) throw new Error(`${spec.file} not found`);
+            console.warn(`${spec.file} failed to load:`, err); // Silent fail for optional data
+            state.dataReport[spec.file] = { file: spec.file, total: 0, parsed: 0, skipped: 0, errors: [{ line: 0, reason: err.message }], missing: true };
+        }
+    }
+    return texts;
 }
 
-async function loadPrecautionData() {
+/**
+ * Load the red-flag triage rules. Without them the results simply show no triage banner.
+ */
+async function loadRedFlags() {
     try {
-        const resp = await fetch('./Medical dataset/Disease precaution.csv');
-        if (!resp.ok) return; // Silent fail for optional data
-        const text = await resp.text();
-        const rows = text.trim().split('\n').map(line => line.split(',').map(v => v.trim()));
-
-        // Skip header
-        rows.slice(1).forEach(row => {
-            const disease = row[0];
-            if (!disease) return;
-            const tips = row.slice(1).filter(tip => tip && tip !== '');
-            state.precautions[disease.toLowerCase()] = tips;
-        });
+        const resp = await fetch('./rules/red-flags.json');
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        return Triage.parseRules(await resp.json());
     } catch (err) {
-        console.warn('Precautions dataset failed to load:', err);
+        console.error('Red-flag rules unavailable:', err);
+        return null;
     }
 }
 
-async function loadDiseaseMetadata() {
+/**
+ * The deployed "Medical dataset/manifest.json" ({ version, files }); null when it is
+ * missing. Offline, the service worker answers with its cached copy.
+ */
+async function fetchManifest() {
     try {
-        const resp = await fetch('./Medical dataset/diseases.csv');
-        if (!resp.ok) return; // Silent fail for optional data
-        const text = await resp.text();
-        const rows = text.trim().split('\n').map(line => {
-            // Handle CSV with quoted fields
-            const matches = line.match(/(?:"([^"]*)"|([^,]+))(?:,|$)/g);
-            return matches ? matches.map(m => m.replace(/^"(.*)",$/, '$1').replace(/,$/, '').trim()) : [];
-        });
-
-        // Skip header: disease_id,name,type,description,symptoms,causes,treatments,related_bacteria,related_virus
-        rows.slice(1).forEach(row => {
-            if (row.length < 7) return;
-            const name = row[1];
-            const description = row[3];
-            const treatments = row[6];
-
-            if (!name) return;
-
-            // Store first occurrence (or you could aggregate multiple entries)
-            if (!state.diseaseMetadata[name.toLowerCase()]) {
-                state.diseaseMetadata[name.toLowerCase()] = {
-                    description: description || null, // Set to null instead of default message
-                    treatments: treatments || 'Consult a healthcare professional.'
-                };
-            }
-        });
+        const resp = await fetch('./Medical dataset/manifest.json');
+        return resp.ok ? await resp.json() : null;
     } catch (err) {
-        console.warn('Disease metadata failed to load:', err);
+        return null;
     }
 }
 
+/**
+ * Register sw.js so the shell, vendored libraries and datasets are available offline.
+ * Browsers refuse service workers on file:// pages; the app then simply stays online-only.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Offline support unavailable:', err));
+}
+
 /**
  * Fetch disease description from the internet using Wikipedia API
- * Limits the description to a maximum of 3 sentences
+ * Limits the description to a maximum of 3 sentences.
+ * Returns null when Wikipedia is unreachable, answers with an error or has no summary,
+ * so the caller falls back to local text and retries on the next run.
  */
 async function fetchDescriptionFromWeb(diseaseName) {
     try {
@@ -170,7 +184,7 @@ async function fetchDescriptionFromWeb(diseaseName) {
 
         if (!response.ok) {
             console.warn('Failed to fetch description from Wikipedia for:', diseaseName);
-            return 'No description available.';
+            return null;
         }
 
         const data = await response.json();
@@ -183,291 +197,151 @@ async function fetchDescriptionFromWeb(diseaseName) {
             console.log('Successfully fetched description:', description.substring(0, 100) + '...');
         }
 
-        return description || 'No description available.';
+        return description || null;
     } catch (err) {
         console.warn('Error fetching description from web:', err);
-        return 'No description available.';
+        return null;
     }
 }
 
-async function loadSecondarySymptoms() {
-    try {
-        const resp = await fetch('./Medical dataset/Diseases_Symptoms.csv');
-        if (!resp.ok) return; // Silent fail for optional data
-        const text = await resp.text();
-        const rows = text.trim().split('\n').map(line => {
-            // Handle CSV with quoted fields
-            const matches = line.match(/(?:"([^"]*)"|([^,]+))(?:,|$)/g);
-            return matches ? matches.map(m => m.replace(/^"(.*)",$/, '$1').replace(/,$/, '').trim()) : [];
-        });
-
-        // Skip header: Name,Symptoms,Treatments,Disease_Code,Contagious,Chronic
-        const symptomCounts = {};
-
-        rows.slice(1).forEach(row => {
-            if (row.length < 2) return;
-            const diseaseName = row[0];
-            const symptomsText = row[1];
-
-            if (!diseaseName || !symptomsText) return;
-
-            // Store disease-symptom mapping for later matching
-            state.diseaseSymptomMap[diseaseName.toLowerCase()] = symptomsText.toLowerCase();
-
-            // Extract individual symptoms (split by comma)
-            const symptoms = symptomsText.split(',').map(s => s.trim().toLowerCase());
-
-            symptoms.forEach(symptom => {
-                if (symptom && symptom.length > 3) { // Filter out very short strings
-                    // Normalize symptom text
-                    const normalized = symptom
-                        .replace(/\(.*?\)/g, '') // Remove parenthetical text
-                        .replace(/especially.*$/i, '') // Remove "especially..." clauses
-                        .replace(/particularly.*$/i, '') // Remove "particularly..." clauses
-                        .trim();
-
-                    if (normalized.length > 3) {
-                        symptomCounts[normalized] = (symptomCounts[normalized] || 0) + 1;
-                    }
-                }
-            });
-        });
-
-        // Get most common symptoms (excluding ones already in primary symptoms)
-        const primarySymptomSet = new Set(state.symptoms);
-        const sortedSymptoms = Object.entries(symptomCounts)
-            .filter(([sym]) => !primarySymptomSet.has(sym))
-            .sort((a, b) => b[1] - a[1])
-            .map(([sym]) => sym);
-
-        // Select diverse symptoms from different categories
-        const selectedSymptoms = [];
-        const categories = {
-            respiratory: ['shortness of breath', 'wheezing', 'chest pain', 'chest tightness', 'rapid breathing'],
-            gastrointestinal: ['nausea', 'vomiting', 'abdominal pain', 'diarrhea', 'stomach pain', 'loss of appetite'],
-            neurological: ['headache', 'dizziness', 'confusion', 'seizures', 'memory loss'],
-            general: ['body aches', 'chills', 'weakness', 'sweating', 'weight loss', 'muscle pain'],
-            dermatological: ['rash', 'itching', 'skin redness', 'swelling', 'hives'],
-            sensory: ['blurred vision', 'sensitivity to light', 'eye pain', 'hearing loss']
-        };
+/**
+ * Stand-in description built from the bundled records, for when Wikipedia has none to give.
+ */
+function localDescription(diseaseName) {
+    const disease = state.model.diseases[diseaseName];
+    if (!disease) return 'No description is available right now.';
+    const common = Object.entries(disease.symptoms)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([id]) => state.model.ontology.label(id).toLowerCase());
+    let text = `${diseaseName} appears in ${disease.count.toLocaleString()} bundled clinical records`;
+    if (common.length) text += `, most often with ${formatList(common)}`;
+    return `${text}. A full description could not be fetched.`;
+}
 
-        // Try to get at least one from each category
-        Object.values(categories).forEach(catSymptoms => {
-            const found = sortedSymptoms.find(s =>
-                catSymptoms.some(cs => s.includes(cs) || cs.includes(s))
-            );
-            if (found && !selectedSymptoms.includes(found)) {
-                selectedSymptoms.push(found);
-            }
-        });
+function finalizeModel() {
+    renderAgeGroups();
+    renderVitalSelectors();
+    renderCoverage();
+}
 
-        // Fill remaining slots with most common symptoms
-        for (const sym of sortedSymptoms) {
-            if (selectedSymptoms.length >= 11) break; // We want 11 secondary (4 primary + 11 = 15 total)
-            if (!selectedSymptoms.includes(sym)) {
-                selectedSymptoms.push(sym);
-            }
-        }
+// 2. BAYESIAN ENGINE (see lib/engine.js, run in worker.js)
 
-        state.secondarySymptoms = selectedSymptoms.slice(0, 11);
-        console.log('Loaded secondary symptoms:', state.secondarySymptoms);
+/**
+ * Start worker.js with the compiled model. Where workers are unavailable (no Worker
+ * support, file:// pages, a failed load) engine calls run on the main thread instead.
+ */
+function startInferenceWorker(artifact) {
+    if (typeof Worker === 'undefined') return;
+    let worker;
+    try {
+        worker = new Worker('worker.js');
     } catch (err) {
-        console.warn('Secondary symptoms failed to load:', err);
+        console.warn('Inference worker unavailable, scoring in-thread:', err.message);
+        return;
     }
-}
-
-function combineSymptoms() {
-    // Combine primary and secondary symptoms
-    // Use all primary symptoms (4) + enough secondary to reach minQuestions (10)
-    const numSecondary = Math.max(
-        state.minQuestions - state.symptoms.length,
-        Math.min(state.secondarySymptoms.length, state.maxQuestions - state.symptoms.length)
-    );
-
-    state.allSymptoms = [
-        ...state.symptoms,
-        ...state.secondarySymptoms.slice(0, numSecondary)
-    ];
 
-    console.log(`Total questions: ${state.allSymptoms.length} (${state.symptoms.length} primary + ${numSecondary} secondary)`);
+    const inference = { worker, pending: new Map(), nextId: 0 };
+    state.inference = inference;
+    worker.onmessage = e => {
+        const { id, result, error } = e.data;
+        if (id === 'load') {
+            if (error) stopInferenceWorker(error);
+            return;
+        }
+        // A late reply to a call already rerun in-thread after the worker stopped
+        const call = inference.pending.get(id);
+        if (!call) return;
+        inference.pending.delete(id);
+        if (error) call.reject(new Error(error));
+        else call.resolve(result);
+    };
+    worker.onerror = e => stopInferenceWorker(e.message);
+    worker.postMessage({ id: 'load', method: 'load', args: [artifact] });
 }
 
-function calculateAgeGroups() {
-    const allAges = state.records.map(r => r.age).sort((a, b) => a - b);
-    const min = allAges[0];
-    const max = allAges[allAges.length - 1];
-
-    // Dynamic Quartile Binning
-    const q1 = allAges[Math.floor(allAges.length * 0.25)];
-    const q2 = allAges[Math.floor(allAges.length * 0.5)];
-    const q3 = allAges[Math.floor(allAges.length * 0.75)];
-
-    state.ageGroups = [
-        { label: `${min}-${q1} yrs`, min, max: q1 },
-        { label: `${q1 + 1}-${q2} yrs`, min: q1 + 1, max: q2 },
-        { label: `${q2 + 1}-${q3} yrs`, min: q2 + 1, max: q3 },
-        { label: `${q3 + 1}-${max} yrs`, min: q3 + 1, max }
-    ];
-
-    // Pre-calculate priors per age group
-    state.ageGroups.forEach(group => {
-        const groupRecords = state.records.filter(r => r.age >= group.min && r.age <= group.max);
-        group.total = groupRecords.length;
-        group.diseasePriors = {};
+function stopInferenceWorker(reason) {
+    if (!state.inference) return;
+    console.warn('Inference worker failed, scoring in-thread:', reason);
+    const { worker, pending } = state.inference;
+    state.inference = null;
+    worker.terminate();
+    pending.forEach(call => Promise.resolve().then(call.inThread).then(call.resolve, call.reject));
+    pending.clear();
+}
 
-        groupRecords.forEach(r => {
-            group.diseasePriors[r.disease] = (group.diseasePriors[r.disease] || 0) + 1;
-        });
+/**
+ * Call a ClinicalEngine function with the loaded model, in the worker when it is running.
+ */
+function callEngine(method, ...args) {
+    const inThread = () => ClinicalEngine[method](state.model, ...args);
+    const inference = state.inference;
+    if (!inference) return Promise.resolve().then(inThread);
+
+    const id = inference.nextId++;
+    return new Promise((resolve, reject) => {
+        inference.pending.set(id, { resolve, reject, inThread });
+        inference.worker.postMessage({ id, method, args });
     });
 }
 
-function finalizeModel() {
-    renderAgeGroups();
+function calculateProbabilities(options) {
+    return callEngine('calculateProbabilities', state.selections, { profile: state.scoringProfile, ...options });
 }
 
-// 2. BAYESIAN ENGINE
-function calculateProbabilities() {
-    const results = [];
-    const Alpha = 1; // Laplace Smoothing
-    const selectedGroup = state.selections.ageGroup;
-
-    Object.keys(state.diseases).forEach(dName => {
-        const disease = state.diseases[dName];
-
-        // 1. Prior P(D | Age)
-        const countInAge = (selectedGroup.diseasePriors[dName] || 0);
-        const pPriorAge = (countInAge + Alpha) / (selectedGroup.total + Alpha * Object.keys(state.diseases).length);
-
-        let logLikelihood = Math.log(pPriorAge);
-        let matchedSymptomCount = 0;
-
-        // 2. Gender Prior P(Gender | Disease)
-        if (state.selections.gender) {
-            const genderKey = state.selections.gender.toLowerCase();
-            const countInGender = disease.genders[genderKey] || 0;
-            const pGenderGivenDisease = (countInGender + Alpha) / (disease.count + Alpha * 2);
-            logLikelihood += Math.log(pGenderGivenDisease) * 1.5; // Increased weight
-        }
-
-        // 3. Likelihood P(S | D) - Primary Symptoms (from main dataset)
-        state.symptoms.forEach(sym => {
-            const userResp = state.selections.responses[sym];
-            if (!userResp) return;
-
-            const countWithSym = disease.symptoms[sym] || 0;
-            const pSymGivenDisease = (countWithSym + Alpha) / (disease.count + Alpha * 2);
-
-            if (userResp === 'Yes') {
-                // Strong positive evidence
-                if (pSymGivenDisease > 0.3) {
-                    logLikelihood += Math.log(pSymGivenDisease) * 3.0; // Strong boost
-                    matchedSymptomCount++;
-                } else {
-                    logLikelihood += Math.log(pSymGivenDisease) * 1.5; // Moderate boost
-                }
-            } else if (userResp === 'Maybe') {
-                // Weak positive evidence
-                if (pSymGivenDisease > 0.3) {
-                    logLikelihood += Math.log(pSymGivenDisease) * 1.0;
-                    matchedSymptomCount += 0.5;
-                }
-            } else if (userResp === 'No') {
-                // NEGATIVE EVIDENCE - crucial for discrimination
-                if (pSymGivenDisease > 0.5) {
-                    // Disease commonly has this symptom, but user doesn't - strong penalty
-                    logLikelihood += Math.log(1 - pSymGivenDisease) * 3.0;
-                } else if (pSymGivenDisease > 0.3) {
-                    // Disease sometimes has this symptom - moderate penalty
-                    logLikelihood += Math.log(1 - pSymGivenDisease) * 1.5;
-                }
-            }
-            // 'Not Sure' - neutral, no change
-        });
-
-        // 4. Secondary Symptoms (from Diseases_Symptoms.csv) - Improved Text Matching
-        state.secondarySymptoms.forEach(sym => {
-            const userResp = state.selections.responses[sym];
-            if (!userResp) return;
-
-            const diseaseSymptomText = state.diseaseSymptomMap[dName.toLowerCase()] || '';
-
-            // Better matching: check for partial word matches
-            const symptomWords = sym.toLowerCase().split(' ');
-            let matchScore = 0;
-            symptomWords.forEach(word => {
-                if (word.length > 3 && diseaseSymptomText.includes(word)) {
-                    matchScore += 1;
-                }
-            });
-            matchScore = matchScore / Math.max(symptomWords.length, 1); // Normalize 0-1
-
-            if (userResp === 'Yes') {
-                if (matchScore > 0.7) {
-                    // Strong match
-                    logLikelihood += Math.log(0.9) * 2.0;
-                    matchedSymptomCount++;
-                } else if (matchScore > 0.3) {
-                    // Partial match
-                    logLikelihood += Math.log(0.7) * 1.0;
-                    matchedSymptomCount += 0.5;
-                } else {
-                    // No match - penalty
-                    logLikelihood += Math.log(0.2) * 0.5;
-                }
-            } else if (userResp === 'Maybe') {
-                if (matchScore > 0.5) {
-                    logLikelihood += Math.log(0.7) * 0.8;
-                    matchedSymptomCount += 0.3;
-                }
-            } else if (userResp === 'No') {
-                // Negative evidence for secondary symptoms
-                if (matchScore > 0.7) {
-                    // Disease has this symptom but user doesn't - penalty
-                    logLikelihood += Math.log(0.3) * 1.5;
-                }
-            }
-        });
-
-        // 5. Bonus for matching multiple symptoms (specificity bonus)
-        if (matchedSymptomCount > 0) {
-            logLikelihood += Math.log(1 + matchedSymptomCount * 0.15) * 2.0;
-        }
-
-        results.push({
-            name: dName,
-            logLikelihood,
-            cases: disease.count,
-            countInAge,
-            matchedSymptoms: matchedSymptomCount
+/**
+ * Recompute the posterior and decide what to ask next.
+ * Resolves to null when the questionnaire should stop.
+ */
+async function nextQuestion() {
+    state.scoring = true;
+    try {
+        const { symptom, confidence, lead } = await callEngine('nextQuestion', state.selections, {
+            asked: state.askedSymptoms.length,
+            minQuestions: state.minQuestions,
+            maxQuestions: state.maxQuestions,
+            lead: state.stopLead,
+            profile: state.scoringProfile
         });
-    });
-
-    // Normalization with better scaling
-    const maxLog = Math.max(...results.map(r => r.logLikelihood));
-    const minLog = Math.min(...results.map(r => r.logLikelihood));
-    const logRange = maxLog - minLog;
-
-    // Apply exponential scaling for better discrimination
-    const exps = results.map(r => {
-        const normalizedLog = (r.logLikelihood - minLog) / (logRange || 1);
-        return { ...r, exp: Math.exp(normalizedLog * 5) }; // Scale factor for discrimination
-    });
-
-    const sumExp = exps.reduce((a, b) => a + b.exp, 0);
-
-    return exps.map(r => ({
-        ...r,
-        probability: (r.exp / sumExp) * 100
-    })).sort((a, b) => b.probability - a.probability);
+        state.currentConfidence = confidence;
+        state.currentLead = lead;
+        return symptom;
+    } finally {
+        state.scoring = false;
+    }
 }
 
 // 3. UI CONTROLLER
 function setupUIListeners() {
-    document.getElementById('start-btn').onclick = () => switchView('symptoms');
+    document.getElementById('start-btn').onclick = startQuestionnaire;
     document.getElementById('back-btn').onclick = handleBack;
     document.getElementById('reset-btn').onclick = resetApp;
     document.getElementById('restart-btn').onclick = resetApp;
     document.getElementById('export-btn').onclick = exportAnalysis;
+    document.getElementById('export-fhir-btn').onclick = exportFhir;
+    document.getElementById('fhir-import').onchange = importFhir;
+    document.getElementById('share-btn').onclick = copyShareLink;
+    document.getElementById('age-input').oninput = handleAgeInput;
+    document.getElementById('symptom-search').oninput = renderSuggestions;
+    document.getElementById('symptom-search').onkeydown = handleSearchKey;
+    document.getElementById('other-back-btn').onclick = () => switchView('symptoms');
+    document.getElementById('run-analysis-btn').onclick = runAnalysis;
+    document.getElementById('compare-history-btn').onclick = compareSelectedHistory;
+    document.getElementById('clear-history-btn').onclick = clearHistory;
+    document.getElementById('run-evaluation-btn').onclick = runEvaluation;
+    document.getElementById('download-evaluation-btn').onclick = downloadEvaluation;
+    document.getElementById('batch-file').onchange = loadBatchFile;
+    document.getElementById('run-batch-btn').onclick = runBatch;
+    document.getElementById('download-batch-btn').onclick = downloadBatchResults;
+    document.getElementById('kb-search').oninput = renderKnowledgeList;
+    ['kb-type', 'kb-contagious', 'kb-chronic'].forEach(id => {
+        document.getElementById(id).onchange = renderKnowledgeList;
+    });
+    document.getElementById('kb-list').onclick = handleKnowledgeClick;
+    document.getElementById('kb-detail').onclick = handleKnowledgeClick;
+    document.getElementById('scoring-profile').onchange = e => setScoringProfile(ScoringProfiles.resolve(e.target.value));
+    document.getElementById('reset-profile-btn').onclick = () => setScoringProfile(ScoringProfiles.resolve(state.scoringProfile.basedOn.id));
+    document.getElementById('compare-profiles-btn').onclick = compareScoringProfiles;
 
     document.querySelectorAll('.gender-chip').forEach(chip => {
         chip.onclick = () => {
@@ -481,9 +355,16 @@ function setupUIListeners() {
     document.querySelectorAll('.resp-btn').forEach(btn => {
         btn.onclick = () => handleSymptomResponse(btn.dataset.value);
     });
+    document.querySelectorAll('.detail-chip').forEach(chip => {
+        chip.onclick = () => handleResponseDetail(chip.dataset.field, chip.dataset.value);
+    });
+    document.getElementById('detail-continue-btn').onclick = advanceQuestion;
 
     document.getElementById('app-nav').onclick = (e) => {
-        if (e.target.dataset.view) switchView(e.target.dataset.view);
+        if (!e.target.dataset.view) return;
+        e.preventDefault();
+        document.querySelectorAll('#app-nav a').forEach(a => a.classList.toggle('active', a === e.target));
+        switchView(e.target.dataset.view);
     };
 }
 
@@ -496,51 +377,265 @@ function handleBack() {
 
 function renderAgeGroups() {
     const container = document.getElementById('age-group-cards');
-    container.innerHTML = state.ageGroups.map((group, idx) => `
+    render(container, html`${state.model.ageGroups.map((group, idx) => html`
         <div class="selection-card" data-idx="${idx}">
             <div class="card-label">Age Bracket</div>
             <div class="card-value">${group.label}</div>
         </div>
-    `).join('');
+    `)}`);
 
     container.querySelectorAll('.selection-card').forEach(card => {
         card.onclick = () => {
             container.querySelectorAll('.selection-card').forEach(c => c.classList.remove('active'));
             card.classList.add('active');
-            state.selections.ageGroup = state.ageGroups[card.dataset.idx];
+            state.selections.ageGroup = state.model.ageGroups[card.dataset.idx];
+            state.selections.age = null;
+            document.getElementById('age-input').value = '';
             checkProfileCompletion();
         };
     });
 }
 
+/**
+ * An exact age takes precedence over the bracket prior; the matching bracket card is
+ * highlighted so the quick-pick stays in sync.
+ */
+function handleAgeInput(e) {
+    const age = parseFloat(e.target.value);
+    const { min, max } = ClinicalEngine.AGE_RANGE;
+    const valid = Number.isFinite(age) && age >= min && age <= max;
+
+    state.selections.age = valid ? age : null;
+    const groups = state.model.ageGroups;
+    const group = valid ? ClinicalEngine.ageGroupFor(state.model, age) : null;
+    state.selections.ageGroup = group;
+
+    document.querySelectorAll('#age-group-cards .selection-card').forEach(card => {
+        card.classList.toggle('active', groups[card.dataset.idx] === group);
+    });
+    checkProfileCompletion();
+}
+
+/**
+ * One chip row per vital sign. "Skip" is the default and leaves the vital out of the
+ * inference entirely.
+ */
+function renderVitalSelectors() {
+    const container = document.getElementById('vital-selectors');
+    render(container, html`${Object.entries(ClinicalEngine.VITALS).map(([key, spec]) => html`
+        <div class="vital-row">
+            <div class="card-label">${spec.label}</div>
+            <div class="vital-selector">
+                ${['', ...ClinicalEngine.VITAL_LEVELS].map(level => html`
+                    <button class="vital-chip ${level ? '' : 'active'}" data-vital="${key}" data-level="${level}">${level || 'Skip'}</button>
+                `)}
+            </div>
+        </div>
+    `)}`);
+
+    container.querySelectorAll('.vital-chip').forEach(chip => {
+        chip.onclick = () => {
+            container.querySelectorAll(`.vital-chip[data-vital="${chip.dataset.vital}"]`).forEach(c => c.classList.remove('active'));
+            chip.classList.add('active');
+            if (chip.dataset.level) state.selections.vitals[chip.dataset.vital] = chip.dataset.level;
+            else delete state.selections.vitals[chip.dataset.vital];
+        };
+    });
+}
+
 function checkProfileCompletion() {
-    if (state.selections.ageGroup && state.selections.gender) {
-        document.getElementById('hero-start-container').classList.remove('hidden');
+    const complete = (state.selections.age !== null || state.selections.ageGroup) && state.selections.gender;
+    document.getElementById('hero-start-container').classList.toggle('hidden', !complete);
+}
+
+async function startQuestionnaire() {
+    if (state.scoring) return;
+    if (state.askedSymptoms.length === 0) {
+        const first = await nextQuestion();
+        if (!first) return showOtherSymptoms();
+        askQuestion(first);
     }
+    switchView('symptoms');
 }
 
-function handleSymptomResponse(val) {
-    const sym = state.allSymptoms[state.currentIndex];
+async function handleSymptomResponse(val) {
+    if (state.scoring) return; // Ignore clicks while the next question is being chosen
+    const sym = state.askedSymptoms[state.currentIndex];
+    const previous = state.selections.responses[sym];
+    const changed = ClinicalEngine.readResponse(previous).answer !== val;
+
+    // A changed answer after going Back invalidates every question chosen after it
+    if (changed) {
+        state.askedSymptoms.splice(state.currentIndex + 1).forEach(s => delete state.selections.responses[s]);
+        state.askedScores.splice(state.currentIndex + 1);
+    }
+
+    // A Yes stays on the question for the optional severity and duration follow-up
+    if (val === 'Yes') {
+        state.selections.responses[sym] = changed || typeof previous !== 'object' ? { answer: 'Yes' } : previous;
+        renderQuestion();
+        return;
+    }
     state.selections.responses[sym] = val;
+    await advanceQuestion();
+}
 
-    if (state.currentIndex < state.allSymptoms.length - 1) {
+/**
+ * Pick (or toggle off) a severity or duration for the current Yes answer.
+ */
+function handleResponseDetail(field, value) {
+    const sym = state.askedSymptoms[state.currentIndex];
+    const response = { ...state.selections.responses[sym] };
+    if (response[field] === value) delete response[field];
+    else response[field] = value;
+    state.selections.responses[sym] = response;
+    renderQuestion();
+}
+
+async function advanceQuestion() {
+    if (state.scoring) return;
+
+    // Replaying after Back: the next question is already known
+    if (state.currentIndex < state.askedSymptoms.length - 1) {
+        state.currentIndex++;
+        renderQuestion();
+        return;
+    }
+
+    const next = await nextQuestion();
+    if (next) {
+        askQuestion(next);
         state.currentIndex++;
         renderQuestion();
     } else {
-        runAnalysis();
+        showOtherSymptoms();
+    }
+}
+
+// Add a question chosen by nextQuestion(), with the scores it was chosen on
+function askQuestion(sym) {
+    state.askedSymptoms.push(sym);
+    state.askedScores.push({ confidence: state.currentConfidence, lead: state.currentLead });
+}
+
+/**
+ * Free-text step after the questionnaire: anything else the patient has is searched
+ * for across the full symptom vocabulary and recorded as a "Yes" response.
+ */
+function showOtherSymptoms() {
+    switchView('other-symptoms');
+    renderOtherSymptoms();
+    document.getElementById('symptom-search').focus();
+}
+
+function renderSuggestions() {
+    const input = document.getElementById('symptom-search');
+    const list = document.getElementById('symptom-suggestions');
+    // Symptoms already answered in the questionnaire or already added are not offered again
+    const ids = state.model.vocabulary.filter(id => !(id in state.selections.responses));
+
+    state.suggestions = input.value.trim() ? state.model.ontology.search(input.value, { ids }) : [];
+    state.activeSuggestion = state.suggestions.length ? 0 : -1;
+
+    render(list, html`${state.suggestions.map((s, i) => html`
+        <li role="option" data-idx="${i}" class="${i === state.activeSuggestion ? 'active' : ''}">
+            <span>${capitalize(s.label)}</span>
+            ${s.match !== s.label && html`<span class="suggestion-match">${s.match}</span>`}
+        </li>
+    `)}`);
+    list.classList.toggle('hidden', state.suggestions.length === 0);
+    input.setAttribute('aria-expanded', String(state.suggestions.length > 0));
+
+    list.querySelectorAll('li').forEach(li => {
+        li.onmousedown = (e) => {
+            e.preventDefault(); // Keep focus in the search box
+            addOtherSymptom(state.suggestions[li.dataset.idx].id);
+        };
+    });
+}
+
+function handleSearchKey(e) {
+    const count = state.suggestions.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!count) return;
+        e.preventDefault();
+        state.activeSuggestion = (state.activeSuggestion + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        document.querySelectorAll('#symptom-suggestions li').forEach((li, i) => li.classList.toggle('active', i === state.activeSuggestion));
+    } else if (e.key === 'Enter' && state.activeSuggestion >= 0) {
+        e.preventDefault();
+        addOtherSymptom(state.suggestions[state.activeSuggestion].id);
+    } else if (e.key === 'Escape') {
+        e.target.value = '';
+        renderSuggestions();
     }
 }
 
+function addOtherSymptom(id) {
+    if (!state.otherSymptoms.includes(id)) state.otherSymptoms.push(id);
+    state.selections.responses[id] = 'Yes';
+    document.getElementById('symptom-search').value = '';
+    renderSuggestions();
+    renderOtherSymptoms();
+}
+
+function removeOtherSymptom(id) {
+    state.otherSymptoms = state.otherSymptoms.filter(s => s !== id);
+    delete state.selections.responses[id];
+    renderOtherSymptoms();
+}
+
+function renderOtherSymptoms() {
+    const container = document.getElementById('other-symptom-list');
+    render(container, state.otherSymptoms.length
+        ? html`${state.otherSymptoms.map(id => html`
+            <span class="other-symptom-chip">
+                ${capitalize(state.model.ontology.label(id))}
+                ${renderDetailSelect(id, 'severity', 'Severity', ClinicalEngine.SEVERITIES)}
+                ${renderDetailSelect(id, 'duration', 'Duration', ClinicalEngine.DURATIONS)}
+                <button class="chip-remove" data-id="${id}" aria-label="Remove">×</button>
+            </span>
+        `)}`
+        : html`<p class="mono other-symptom-empty">No additional symptoms added.</p>`);
+
+    container.querySelectorAll('.chip-remove').forEach(btn => {
+        btn.onclick = () => removeOtherSymptom(btn.dataset.id);
+    });
+    container.querySelectorAll('select').forEach(select => {
+        select.onchange = () => {
+            const response = { ...ClinicalEngine.readResponse(state.selections.responses[select.dataset.id]) };
+            response[select.dataset.field] = select.value || null;
+            state.selections.responses[select.dataset.id] = response;
+        };
+    });
+}
+
+// Severity or duration picker on an added symptom's chip
+function renderDetailSelect(id, field, label, values) {
+    const current = ClinicalEngine.readResponse(state.selections.responses[id])[field];
+    return html`
+        <select data-id="${id}" data-field="${field}" aria-label="${label}">
+            <option value="">${label}</option>
+            ${values.map(value => html`<option value="${value}" ${value === current ? 'selected' : ''}>${capitalize(value)}</option>`)}
+        </select>
+    `;
+}
+
 function renderQuestion() {
     const idx = state.currentIndex;
-    const sym = state.allSymptoms[idx];
+    const sym = state.askedSymptoms[idx];
 
-    // Capitalize first letter for display
-    const displaySym = sym.charAt(0).toUpperCase() + sym.slice(1);
+    const displaySym = capitalize(state.model.ontology.label(sym));
     document.getElementById('current-symptom-name').textContent = `Do you have ${displaySym}?`;
-    document.getElementById('symptom-counter').textContent = `Clinical Indicator ${idx + 1} of ${state.allSymptoms.length}`;
-
-    const progress = ((idx + 1) / state.allSymptoms.length) * 100;
+    // The questionnaire length is dynamic: it ends at maxQuestions or as soon as the
+    // leading diagnosis stands out enough from the runner-up, whichever comes first
+    const limit = Math.min(state.maxQuestions, state.model.allSymptoms.length);
+    const { confidence, lead } = state.askedScores[idx] || { confidence: state.currentConfidence, lead: state.currentLead };
+    document.getElementById('symptom-counter').textContent = `Clinical Indicator ${idx + 1} of up to ${limit} · Leading diagnosis ${confidence.toFixed(0)}%, ${lead.toFixed(1)}× the runner-up`;
+
+    const progress = Math.min(100, Math.max(
+        ((idx + 1) / limit) * 100,
+        (Math.log(lead) / Math.log(state.stopLead)) * 100
+    ));
     document.getElementById('progress-bar').style.width = `${progress}%`;
 
     // Manage Back Button
@@ -552,15 +647,21 @@ function renderQuestion() {
     }
 
     // Reset button highlights and restore previous selection if any
+    const response = ClinicalEngine.readResponse(state.selections.responses[sym]);
     document.querySelectorAll('.resp-btn').forEach(btn => {
         btn.blur(); // Remove focus
         btn.classList.remove('active-response'); // Remove active style
 
         // If there is a saved response, highlight it
-        if (state.selections.responses[sym] === btn.dataset.value) {
+        if (response.answer === btn.dataset.value) {
             btn.classList.add('active-response');
         }
     });
+
+    document.getElementById('response-detail').classList.toggle('hidden', response.answer !== 'Yes');
+    document.querySelectorAll('.detail-chip').forEach(chip => {
+        chip.classList.toggle('active', response[chip.dataset.field] === chip.dataset.value);
+    });
 }
 
 async function runAnalysis() {
@@ -572,19 +673,26 @@ async function runAnalysis() {
         await new Promise(r => setTimeout(r, 600));
     }
 
-    const predictions = calculateProbabilities();
+    const predictions = await calculateProbabilities({ intervals: true, explain: true });
+    saveAssessment(predictions);
     await renderResults(predictions);
 }
 
 async function renderResults(preds) {
     switchView('results');
-    document.getElementById('results-count-summary').textContent = `Calculated using Naive Bayesian Inference based on ${state.records.length} clinical records.`;
+    state.predictions = preds;
+    state.description = null;
+    renderTriage();
+    const profileCount = state.model.recordCounts.profile || 0;
+    const healthcareCount = state.model.recordCounts.healthcare || 0;
+    document.getElementById('results-count-summary').textContent = `Calculated using Naive Bayesian Inference based on ${(profileCount + healthcareCount).toLocaleString()} clinical records (${profileCount.toLocaleString()} patient profiles + ${healthcareCount.toLocaleString()} population records).`;
 
     const primary = preds[0];
     const secondary = preds.slice(1, 4);
+    primary.confidence = ClinicalEngine.confidenceLevel(preds);
 
     // Get disease metadata
-    const metadata = state.diseaseMetadata[primary.name.toLowerCase()] || {};
+    const metadata = state.model.diseaseMetadata[primary.name.toLowerCase()] || {};
     let description = metadata.description;
     const treatments = metadata.treatments || 'Consult a healthcare professional.';
 
@@ -598,42 +706,206 @@ async function renderResults(preds) {
         description = await fetchDescriptionFromWeb(primary.name);
         console.log('Fetched description:', description);
 
-        // Cache the fetched description
-        if (!state.diseaseMetadata[primary.name.toLowerCase()]) {
-            state.diseaseMetadata[primary.name.toLowerCase()] = {};
+        if (description === null) {
+            // Unreachable: show local text but leave the metadata alone so the next run retries
+            description = localDescription(primary.name);
+        } else {
+            // Cache the fetched description
+            if (!state.model.diseaseMetadata[primary.name.toLowerCase()]) {
+                state.model.diseaseMetadata[primary.name.toLowerCase()] = {};
+            }
+            state.model.diseaseMetadata[primary.name.toLowerCase()].description = description;
         }
-        state.diseaseMetadata[primary.name.toLowerCase()].description = description;
     }
 
     // Render the final view with actual description
+    state.description = description;
     renderPrimaryDiagnosis(primary, description, treatments);
 
     // Render secondary results
-    document.getElementById('secondary-list').innerHTML = secondary.map(r => `
+    render(document.getElementById('secondary-list'), html`${secondary.map(r => html`
         <div class="mini-card">
-            <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 1rem;">
-                <h4 style="font-size: 1.2rem;">${r.name}</h4>
-                <span style="color: var(--accent-teal); font-weight: 700;">${r.probability.toFixed(1)}%</span>
+            <div class="mini-card-header">
+                <h4>${r.name}</h4>
+                <span class="mini-card-probability">${r.probability.toFixed(1)}%</span>
             </div>
-            <div style="height: 4px; background: rgba(255,255,255,0.05); border-radius: 2px; margin-top: 1rem;">
-                <div style="width: ${r.probability}%; height: 100%; background: var(--accent-purple); border-radius: 2px;"></div>
+            ${renderDiseaseBadges(r.name)}
+            <div class="mono interval-text">95% interval ${formatInterval(r.interval)}</div>
+            <div class="probability-track">
+                <div class="interval-band" data-style="${SafeHtml.style({ left: `${r.interval.lower}%`, width: `${r.interval.upper - r.interval.lower}%` })}"></div>
+                <div class="probability-fill" data-style="${SafeHtml.style({ width: `${r.probability}%` })}"></div>
             </div>
+            ${renderCauses(r.name)}
+            ${renderExplanation(r, 5)}
         </div>
-    `).join('');
+    `)}`);
+
+    renderInfectionControl([primary, ...secondary]);
+    renderStatisticalNotes();
+}
+
+// "Statistical Parameters" under the results: the settings of the active scoring profile
+function renderStatisticalNotes() {
+    const profile = state.scoringProfile;
+    const notes = ScoringProfiles.describe(profile, ClinicalEngine.scoringTemperature(state.model, profile));
+    render(document.getElementById('stastistic-notes'), html`${notes.map(note => html`<li>${note}</li>`)}`);
+}
+
+/**
+ * Red-flag banner above the ranking, from the answers rather than the probabilities.
+ * Emergency and urgent outcomes get the prominent alert; routine and self-care a quiet note.
+ */
+function renderTriage() {
+    const banner = document.getElementById('triage-banner');
+    state.triage = state.redFlags ? Triage.evaluate(state.redFlags, state.selections) : null;
+    if (!state.triage) {
+        banner.className = 'triage-banner hidden';
+        return;
+    }
+
+    const { level, rule } = state.triage;
+    banner.className = `triage-banner ${level}`;
+    render(banner, html`
+        <div class="triage-level">${Triage.LEVEL_LABELS[level]}</div>
+        <div>
+            <strong>${rule ? rule.name : 'No red flags in your answers'}</strong>
+            <p>${rule ? rule.advice : 'See a doctor if your symptoms persist or get worse.'}</p>
+        </div>
+    `);
+}
+
+/**
+ * "Why this result" panel: a diverging bar per answer, supporting evidence to the right
+ * and contradicting evidence to the left, scaled to the largest term shown.
+ */
+function renderExplanation(pred, limit = 8) {
+    const terms = (pred.explanation || []).slice(0, limit);
+    if (terms.length === 0) return '';
+    const largest = Math.max(...terms.map(t => Math.abs(t.impact)));
+    const hidden = pred.explanation.length - terms.length;
+
+    return html`
+        <details class="explanation">
+            <summary>Why this result</summary>
+            <div class="explanation-chart">
+                ${terms.map(t => {
+                    const width = (Math.abs(t.impact) / largest) * 100;
+                    return html`
+                        <div class="explanation-row ${t.impact > 0 ? 'supporting' : 'contradicting'}">
+                            <span class="explanation-label">${formatExplanationTerm(t)}</span>
+                            <div class="explanation-bar">
+                                <div class="bar-half negative"><span data-style="${SafeHtml.style({ width: `${t.impact < 0 ? width : 0}%` })}"></span></div>
+                                <div class="bar-half positive"><span data-style="${SafeHtml.style({ width: `${t.impact > 0 ? width : 0}%` })}"></span></div>
+                            </div>
+                            <span class="mono explanation-value">${t.impact > 0 ? '+' : ''}${t.impact.toFixed(2)}</span>
+                        </div>
+                    `;
+                })}
+            </div>
+            <p class="explanation-note">Shift in log-odds against the average candidate${hidden > 0 ? ` · ${hidden} smaller factor${hidden === 1 ? '' : 's'} not shown` : ''}.</p>
+        </details>
+    `;
+}
+
+// Tag text for each ClinicalEngine.confidenceLevel() result. The levels measure how far the
+// leader stands out from the alternatives, not a validated diagnostic accuracy.
+const CONFIDENCE_TAGS = {
+    high: 'Clear Lead over Alternatives',
+    moderate: 'Narrow Lead over Alternatives',
+    low: 'Low Confidence · Broad Differential'
+};
+
+// Shown whenever a listed condition is flagged contagious in Diseases_Symptoms.csv
+const INFECTION_CONTROL = [
+    'Stay home and limit contact with others until a clinician confirms you are no longer infectious.',
+    'Wash your hands often with soap for at least 20 seconds, or use an alcohol-based sanitizer.',
+    'Cover coughs and sneezes, and wear a mask around other people.',
+    'Do not share towels, bedding, utensils or drinks; clean shared surfaces daily.',
+    'Tell close contacts, and call ahead before visiting a clinic so staff can prepare.'
+];
+
+/**
+ * Dataset flags for a disease as [kind, text]: type, contagiousness, chronicity and code.
+ */
+function diseaseFlags(name) {
+    const metadata = state.model.diseaseMetadata[name.toLowerCase()] || {};
+    const flags = [];
+    if (metadata.type) flags.push(['type', metadata.type]);
+    if (metadata.contagious !== undefined && metadata.contagious !== null) {
+        flags.push([metadata.contagious ? 'contagious' : 'neutral', metadata.contagious ? 'Contagious' : 'Not contagious']);
+    }
+    if (metadata.chronic !== undefined && metadata.chronic !== null) {
+        flags.push([metadata.chronic ? 'chronic' : 'neutral', metadata.chronic ? 'Chronic' : 'Not chronic']);
+    }
+    if (metadata.code) flags.push(['code mono', metadata.code]);
+    return flags;
+}
+
+// Causes and related pathogens from diseases.csv as [label, text]
+function diseaseCauses(name) {
+    const metadata = state.model.diseaseMetadata[name.toLowerCase()] || {};
+    return [
+        ['Causes', metadata.causes],
+        ['Related bacteria', metadata.relatedBacteria],
+        ['Related virus', metadata.relatedVirus]
+    ].filter(([, value]) => value);
+}
+
+function renderDiseaseBadges(name) {
+    const flags = diseaseFlags(name);
+    if (!flags.length) return '';
+    return html`<div class="disease-badges">${flags.map(([kind, text]) => html`<span class="disease-badge ${kind}">${text}</span>`)}</div>`;
+}
+
+/**
+ * "Causes & pathogens" block; empty when the disease has none recorded.
+ */
+function renderCauses(name) {
+    const rows = diseaseCauses(name);
+    if (!rows.length) return '';
+    return html`
+        <div class="info-block causes-block">
+            <h3>🦠 Causes &amp; Pathogens</h3>
+            <dl class="causes-list">
+                ${rows.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+            </dl>
+        </div>
+    `;
+}
+
+/**
+ * Names of the listed conditions the dataset flags as contagious.
+ */
+function contagiousConditions(preds) {
+    return preds.filter(p => (state.model.diseaseMetadata[p.name.toLowerCase()] || {}).contagious === true).map(p => p.name);
+}
+
+function renderInfectionControl(preds) {
+    const names = contagiousConditions(preds);
+    const container = document.getElementById('infection-control');
+    container.classList.toggle('hidden', names.length === 0);
+    if (!names.length) return;
+    render(container, html`
+        <h3>🧼 Isolation &amp; Infection Control</h3>
+        <p>${formatList(names)} ${names.length > 1 ? 'are' : 'is'} flagged as contagious. Until a clinician rules ${names.length > 1 ? 'them' : 'it'} out:</p>
+        <ul>${INFECTION_CONTROL.map(tip => html`<li>${tip}</li>`)}</ul>
+    `);
 }
 
 /**
  * Render the primary diagnosis card with description and treatments
  */
 function renderPrimaryDiagnosis(primary, description, treatments) {
-    document.getElementById('primary-diagnosis').innerHTML = `
+    const precautionTips = state.model.precautions[primary.name.toLowerCase()] || [];
+    render(document.getElementById('primary-diagnosis'), html`
         <div class="primary-result-card">
             <div class="result-main">
                 <h2>Diagnostic Probability</h2>
                 <h1>${primary.name}</h1>
+                ${renderDiseaseBadges(primary.name)}
                 <div class="result-tags">
-                    <span class="agreement-tag">High Clinical Correlation</span>
-                    <span class="mono" style="opacity: 0.7;">Matched ${primary.countInAge} cases in your age group</span>
+                    <span class="agreement-tag ${primary.confidence}">${CONFIDENCE_TAGS[primary.confidence]}</span>
+                    <span class="mono matched-cases">Matched ${primary.countInAge} cases ${ageScopeText()}</span>
                 </div>
             </div>
             <div class="prob-score-large">
@@ -641,8 +913,10 @@ function renderPrimaryDiagnosis(primary, description, treatments) {
                     <span>${primary.probability.toFixed(1)}%</span>
                     <span class="prob-label">Clinical Probability</span>
                 </div>
+                <div class="mono interval-text">95% interval ${formatInterval(primary.interval)}</div>
             </div>
         </div>
+        ${renderExplanation(primary)}
         
         <div class="disease-info-section">
             <div class="info-block">
@@ -654,33 +928,902 @@ function renderPrimaryDiagnosis(primary, description, treatments) {
                 <h3>💊 Treatment Options</h3>
                 <p class="treatment-info">${treatments}</p>
             </div>
+            ${renderCauses(primary.name)}
         </div>
-    `;
 
-    // Render Precautions
-    const precautionTips = state.precautions[primary.name.toLowerCase()] || [];
-    if (precautionTips.length > 0) {
-        document.getElementById('primary-diagnosis').innerHTML += `
+        ${precautionTips.length > 0 && html`
             <div class="precaution-container">
                 <h3>⚠️ Recommended Precautions</h3>
                 <div class="precaution-grid">
-                    ${precautionTips.map(tip => `
+                    ${precautionTips.map(tip => html`
                         <div class="precaution-item">
                             <span class="dot"></span>
                             <span>${tip}</span>
                         </div>
-                    `).join('')}
+                    `)}
+                </div>
+            </div>
+        `}
+    `);
+}
+
+// 4. MODEL PERFORMANCE
+
+/**
+ * Cross-validate the engine in the browser. Folds run one at a time with a yield in
+ * between so the progress text can repaint.
+ */
+async function runEvaluation() {
+    const btn = document.getElementById('run-evaluation-btn');
+    const status = document.getElementById('evaluation-status');
+    const settings = {
+        ...ModelEvaluation.DEFAULTS,
+        folds: parseInt(document.getElementById('evaluation-folds').value),
+        sample: parseInt(document.getElementById('evaluation-sample').value) || Infinity,
+        calibrate: document.getElementById('evaluation-calibrate').value === '1'
+    };
+
+    btn.disabled = true;
+    try {
+        // A compiled model has no raw records to retrain folds on
+        if (!state.sources) {
+            state.sources = ClinicalEngine.parseSources(await fetchDatasets(file => { status.textContent = `Downloading ${file}...`; }));
+        }
+        const folds = ModelEvaluation.createFolds(state.sources, settings);
+        const outcomes = [];
+        for (let i = 0; i < folds.length; i++) {
+            status.textContent = `Training and scoring fold ${i + 1} of ${folds.length}...`;
+            await new Promise(r => setTimeout(r, 0));
+            outcomes.push(...ModelEvaluation.evaluateFold(state.sources, folds[i]));
+        }
+
+        state.evaluation = ModelEvaluation.buildReport(outcomes, settings);
+        status.textContent = `Evaluated ${state.evaluation.records.toLocaleString()} held-out records across ${settings.folds} folds.`;
+        renderEvaluation(state.evaluation);
+    } catch (err) {
+        console.error('Evaluation failed:', err);
+        status.textContent = `Evaluation failed: ${err.message}`;
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderEvaluation(report) {
+    document.getElementById('evaluation-results').classList.remove('hidden');
+
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    render(document.getElementById('evaluation-summary'), html`${[
+        ['Top-1 Accuracy', pct(report.top1)],
+        ['Top-3 Accuracy', pct(report.top3)],
+        ['Calibration Error (ECE)', pct(report.calibration.ece)],
+        [report.uncalibrated ? 'Fitted Temperature' : 'Temperature', report.temperature.toFixed(2)],
+        ['Log-loss', report.logLoss.toFixed(3)],
+        ['Held-out Records', report.records.toLocaleString()]
+    ].map(([label, value]) => html`
+        <div class="stat-card">
+            <div class="label">${label}</div>
+            <div class="value">${value}</div>
+        </div>
+    `)}`);
+
+    renderCalibrationChart(report.calibration.bins);
+
+    render(document.getElementById('disease-metrics'), html`
+        <thead><tr><th>Disease</th><th>Support</th><th>Predicted</th><th>Precision</th><th>Recall</th></tr></thead>
+        <tbody>
+            ${report.perDisease.slice().sort((a, b) => b.support - a.support).map(d => html`
+                <tr>
+                    <td>${d.name}</td>
+                    <td>${d.support}</td>
+                    <td>${d.predicted}</td>
+                    <td>${pct(d.precision)}</td>
+                    <td>${pct(d.recall)}</td>
+                </tr>
+            `)}
+        </tbody>
+    `);
+
+    renderConfusionMatrix(report);
+}
+
+/**
+ * Reliability diagram: observed top-1 accuracy per confidence bin against the
+ * diagonal of perfect calibration. Empty bins are left out.
+ */
+function renderCalibrationChart(bins) {
+    const size = 300;
+    const pad = 36;
+    const scale = v => pad + v * (size - pad * 2);
+    const y = v => size - scale(v);
+    const barWidth = (size - pad * 2) / bins.length;
+
+    const bars = bins.filter(b => b.count > 0).map(b => html`
+        <rect class="calibration-bar" x="${scale(b.lower) + 1}" y="${y(b.accuracy)}" width="${barWidth - 2}" height="${scale(b.accuracy) - pad}">
+            <title>${(b.lower * 100).toFixed(0)}-${(b.upper * 100).toFixed(0)}% confidence: ${(b.accuracy * 100).toFixed(1)}% correct (${b.count} records)</title>
+        </rect>
+        <circle class="calibration-point" cx="${scale(b.confidence)}" cy="${y(b.accuracy)}" r="4"></circle>
+    `);
+
+    render(document.getElementById('calibration-chart'), html`
+        <svg viewBox="0 0 ${size} ${size}" class="calibration-svg" role="img" aria-label="Reliability curve">
+            <line class="calibration-axis" x1="${pad}" y1="${size - pad}" x2="${size - pad}" y2="${size - pad}"></line>
+            <line class="calibration-axis" x1="${pad}" y1="${pad}" x2="${pad}" y2="${size - pad}"></line>
+            <line class="calibration-ideal" x1="${scale(0)}" y1="${y(0)}" x2="${scale(1)}" y2="${y(1)}"></line>
+            ${bars}
+            <text x="${size / 2}" y="${size - 8}" text-anchor="middle">Predicted confidence</text>
+            <text x="12" y="${size / 2}" text-anchor="middle" transform="rotate(-90 12 ${size / 2})">Observed accuracy</text>
+        </svg>
+    `);
+}
+
+/**
+ * Confusion matrix restricted to the most frequent actual diseases so it stays readable;
+ * the full matrix is in the downloadable JSON.
+ */
+function renderConfusionMatrix(report, limit = 12) {
+    const { labels, matrix } = report.confusion;
+    const bySupport = labels
+        .map((name, i) => ({ name, i, support: matrix[i].reduce((a, b) => a + b, 0) }))
+        .sort((a, b) => b.support - a.support)
+        .slice(0, limit);
+    const max = Math.max(1, ...bySupport.flatMap(r => bySupport.map(c => matrix[r.i][c.i])));
+
+    render(document.getElementById('confusion-matrix'), html`
+        <thead>
+            <tr><th>Actual ↓ / Predicted →</th>${bySupport.map(c => html`<th title="${c.name}">${c.name.slice(0, 10)}</th>`)}</tr>
+        </thead>
+        <tbody>
+            ${bySupport.map(r => html`
+                <tr>
+                    <th>${r.name}</th>
+                    ${bySupport.map(c => {
+                        const n = matrix[r.i][c.i];
+                        return html`<td class="${r.i === c.i ? 'diagonal' : ''}" data-style="${SafeHtml.style({ '--intensity': (n / max).toFixed(2) })}">${n || ''}</td>`;
+                    })}
+                </tr>
+            `)}
+        </tbody>
+    `);
+}
+
+/**
+ * Which diseases lack precautions, a description or symptom text once dataset names are
+ * reconciled (DiseaseNames.coverage()); the least covered diseases are listed first.
+ */
+function renderCoverage() {
+    const report = DiseaseNames.coverage(state.model);
+    const unmatched = Object.values(report.unmatched).reduce((sum, names) => sum + names.length, 0);
+    document.getElementById('coverage-summary').textContent = [
+        `${report.diseases.length} diseases`,
+        `${report.missing.precautions.length} without precautions`,
+        `${report.missing.description.length} without a description`,
+        `${report.missing.symptomText.length} without symptom text`,
+        `${unmatched} dataset names match no recorded disease`
+    ].join(' · ');
+
+    const gaps = d => [d.precautions, d.description, d.symptomText].filter(has => !has).length;
+    const cell = has => html`<td class="${has ? 'covered' : 'missing'}">${has ? '✓' : 'Missing'}</td>`;
+    const rows = report.diseases.slice().sort((a, b) => gaps(b) - gaps(a) || a.name.localeCompare(b.name));
+    render(document.getElementById('coverage-table'), html`
+        <thead><tr><th>Disease</th><th>Records</th><th>Precautions</th><th>Description</th><th>Symptom Text</th><th>Also Listed As</th></tr></thead>
+        <tbody>
+            ${rows.map(d => html`
+                <tr>
+                    <td>${d.name}</td>
+                    <td>${d.records.toLocaleString()}</td>
+                    ${cell(d.precautions)}
+                    ${cell(d.description)}
+                    ${cell(d.symptomText)}
+                    <td class="mono">${[...new Set(d.sources.filter(s => s.name !== d.name).map(s => s.name))].join(', ')}</td>
+                </tr>
+            `)}
+        </tbody>
+    `);
+}
+
+function downloadEvaluation() {
+    if (!state.evaluation) return;
+    downloadJSON(state.evaluation, `HealthPulse_Evaluation_${Date.now()}.json`, 'application/json');
+}
+
+// 5. ASSESSMENT HISTORY
+
+async function saveAssessment(predictions) {
+    if (!state.history) return;
+    try {
+        await state.history.save(AssessmentHistory.createEntry(state.selections, predictions, {
+            askedSymptoms: [...state.askedSymptoms],
+            otherSymptoms: [...state.otherSymptoms]
+        }));
+    } catch (err) {
+        console.warn('Could not save assessment to history:', err);
+    }
+}
+
+async function renderHistory() {
+    const list = document.getElementById('history-list');
+    const status = document.getElementById('history-status');
+    document.getElementById('history-comparison').classList.add('hidden');
+
+    if (!state.history) {
+        status.textContent = 'History is unavailable: this browser does not provide IndexedDB storage.';
+        list.textContent = '';
+        return;
+    }
+
+    let entries;
+    try {
+        entries = await state.history.list();
+    } catch (err) {
+        console.error('Could not read history:', err);
+        status.textContent = `Could not read history: ${err.message}`;
+        return;
+    }
+
+    state.historySelection = state.historySelection.filter(id => entries.some(e => e.id === id));
+    status.textContent = entries.length
+        ? `${entries.length} saved assessment${entries.length === 1 ? '' : 's'}.`
+        : 'No saved assessments yet. Completed analyses are saved here automatically.';
+    updateCompareButton();
+
+    render(list, html`${entries.map(entry => {
+        const [primary] = entry.predictions;
+        return html`
+            <div class="history-item">
+                <label class="history-select">
+                    <input type="checkbox" data-id="${entry.id}" ${state.historySelection.includes(entry.id) ? 'checked' : ''}>
+                </label>
+                <div class="history-summary">
+                    <div class="card-label">${new Date(entry.createdAt).toLocaleString()}</div>
+                    <h4>${primary.name} <span class="history-probability">${primary.probability.toFixed(1)}%</span></h4>
+                    <p class="mono">${formatHistoryProfile(entry.profile)} · ${Object.keys(entry.responses).length} answers</p>
+                </div>
+                <div class="history-item-actions">
+                    <button class="btn-secondary" data-action="open" data-id="${entry.id}">Open</button>
+                    <button class="btn-outline" data-action="delete" data-id="${entry.id}">Delete</button>
                 </div>
             </div>
         `;
+    })}`);
+
+    list.querySelectorAll('input[type="checkbox"]').forEach(box => {
+        box.onchange = () => toggleHistorySelection(Number(box.dataset.id), box.checked);
+    });
+    list.querySelectorAll('button[data-action="open"]').forEach(btn => {
+        btn.onclick = () => openAssessment(Number(btn.dataset.id));
+    });
+    list.querySelectorAll('button[data-action="delete"]').forEach(btn => {
+        btn.onclick = () => deleteAssessment(Number(btn.dataset.id));
+    });
+}
+
+/**
+ * Keep at most two entries selected; picking a third drops the oldest pick.
+ */
+function toggleHistorySelection(id, selected) {
+    state.historySelection = state.historySelection.filter(s => s !== id);
+    if (selected) state.historySelection.push(id);
+    if (state.historySelection.length > 2) {
+        const dropped = state.historySelection.shift();
+        const box = document.querySelector(`#history-list input[data-id="${dropped}"]`);
+        if (box) box.checked = false;
+    }
+    updateCompareButton();
+}
+
+function updateCompareButton() {
+    document.getElementById('compare-history-btn').disabled = state.historySelection.length !== 2;
+}
+
+/**
+ * Reopen a saved assessment in the results view, restoring its answers so the
+ * PDF export describes the same assessment. An assessment made on an age bracket the
+ * model no longer has shows its saved results but cannot be rescored.
+ */
+async function openAssessment(id) {
+    const entry = await state.history.get(id);
+    if (!entry) return renderHistory();
+
+    state.selections = AssessmentHistory.restoreSelections(entry, state.model);
+    state.retiredAgeGroup = state.selections.ageGroup ? null : entry.profile.ageGroup;
+    state.askedSymptoms = entry.askedSymptoms || [];
+    state.askedScores = [];
+    state.otherSymptoms = entry.otherSymptoms || [];
+    state.currentIndex = Math.max(0, state.askedSymptoms.length - 1);
+    await renderResults(entry.predictions);
+}
+
+async function deleteAssessment(id) {
+    await state.history.remove(id);
+    state.historySelection = state.historySelection.filter(s => s !== id);
+    return renderHistory();
+}
+
+async function clearHistory() {
+    if (!state.history || !confirm('Delete every saved assessment? This cannot be undone.')) return;
+    await state.history.clear();
+    state.historySelection = [];
+    return renderHistory();
+}
+
+async function compareSelectedHistory() {
+    const [a, b] = await Promise.all(state.historySelection.map(id => state.history.get(id)));
+    if (!a || !b) return renderHistory();
+    renderComparison(AssessmentHistory.compareAssessments(a, b));
+}
+
+function renderComparison(comparison) {
+    const { earlier, later, answers, diseases } = comparison;
+    const section = document.getElementById('history-comparison');
+    const when = entry => new Date(entry.createdAt).toLocaleString();
+    const answerLabel = a => {
+        if (a.field === 'symptom') return capitalize(state.model.ontology.label(a.key));
+        if (a.field === 'vital') return ClinicalEngine.VITALS[a.key].label;
+        return capitalize(a.key);
+    };
+    const shown = (a, value) => {
+        if (value === null) return html`<span class="unanswered">${a.field === 'vital' ? 'Skipped' : 'Not asked'}</span>`;
+        return a.field === 'symptom' ? ClinicalEngine.describeResponse(value) : value;
+    };
+
+    // Changed answers first, then the rest in their original order
+    const ordered = [...answers.filter(a => a.changed), ...answers.filter(a => !a.changed)];
+
+    render(section, html`
+        <h3>Comparison</h3>
+        <div class="table-scroll">
+            <table class="data-table comparison-table">
+                <thead><tr><th>Answer</th><th>${when(earlier)}</th><th>${when(later)}</th></tr></thead>
+                <tbody>
+                    ${ordered.map(a => html`
+                        <tr class="${a.changed ? 'changed' : ''}">
+                            <td>${answerLabel(a)}</td>
+                            <td>${shown(a, a.before)}</td>
+                            <td>${shown(a, a.after)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+        <div class="table-scroll">
+            <table class="data-table comparison-table">
+                <thead><tr><th>Disease</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${diseases.map(d => html`
+                        <tr>
+                            <td>${d.name}</td>
+                            <td>${d.before.toFixed(1)}%</td>
+                            <td>${d.after.toFixed(1)}%</td>
+                            <td class="delta ${d.delta > 0 ? 'up' : d.delta < 0 ? 'down' : ''}">${d.delta > 0 ? '▲ +' : d.delta < 0 ? '▼ ' : ''}${d.delta.toFixed(1)} pts</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `);
+    section.classList.remove('hidden');
+}
+
+// 6. BATCH SCORING
+
+/**
+ * Read a cases CSV and propose a column mapping; nothing is scored until the user
+ * confirms it with "Score Cases".
+ */
+async function loadBatchFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    const parsed = ClinicalCSV.parseCSV(await file.text(), { file: file.name });
+    state.batch = {
+        file: file.name,
+        parsed,
+        mapping: BatchScoring.suggestMapping(parsed.headers, state.model),
+        results: null,
+        errors: [],
+        sort: { column: 0, descending: false }
+    };
+    document.getElementById('batch-results-section').classList.add('hidden');
+    document.getElementById('batch-errors-section').classList.add('hidden');
+    renderBatchMapping();
+    updateBatchReadiness();
+}
+
+function renderBatchMapping() {
+    const { parsed, mapping } = state.batch;
+    const options = BatchScoring.targets(state.model);
+    const groups = [...new Set(options.map(o => o.group))];
+    const sample = header => (parsed.rows.find(row => row[header] !== '') || {})[header] || '';
+
+    document.getElementById('batch-mapping-section').classList.remove('hidden');
+    const table = document.getElementById('batch-mapping');
+    render(table, html`
+        <thead><tr><th>Column</th><th>First Value</th><th>Maps To</th></tr></thead>
+        <tbody>
+            ${parsed.headers.map(header => html`
+                <tr>
+                    <td>${header}</td>
+                    <td class="mono">${sample(header)}</td>
+                    <td>
+                        <select data-header="${header}">
+                            ${groups.map(group => html`
+                                <optgroup label="${group}">
+                                    ${options.filter(o => o.group === group).map(o => html`
+                                        <option value="${o.value}" ${mapping[header] === o.value ? 'selected' : ''}>${capitalize(o.label)}</option>
+                                    `)}
+                                </optgroup>
+                            `)}
+                        </select>
+                    </td>
+                </tr>
+            `)}
+        </tbody>
+    `);
+    table.querySelectorAll('select').forEach(select => {
+        select.onchange = () => {
+            mapping[select.dataset.header] = select.value;
+            updateBatchReadiness();
+        };
+    });
+}
+
+function updateBatchReadiness() {
+    const { file, parsed, mapping } = state.batch;
+    const problems = BatchScoring.checkMapping(mapping, state.model);
+    const mapped = Object.values(mapping).filter(Boolean).length;
+
+    document.getElementById('run-batch-btn').disabled = problems.length > 0;
+    document.getElementById('batch-status').textContent = problems.length > 0
+        ? `${file}: ${problems.join(' · ')}.`
+        : `${file}: ${parsed.rows.length.toLocaleString()} rows · ${mapped} of ${parsed.headers.length} columns mapped.`;
+}
+
+async function runBatch() {
+    const btn = document.getElementById('run-batch-btn');
+    const status = document.getElementById('batch-status');
+    const batch = state.batch;
+
+    btn.disabled = true;
+    try {
+        const { cases, errors } = BatchScoring.prepareCases(batch.parsed, batch.mapping, state.model);
+        const results = [];
+        for (let i = 0; i < cases.length; i++) {
+            if (i % 25 === 0) status.textContent = `Scoring case ${i + 1} of ${cases.length}...`;
+            results.push(BatchScoring.summarize(cases[i], await callEngine('calculateProbabilities', cases[i].selections, { profile: state.scoringProfile })));
+        }
+
+        batch.results = results;
+        batch.errors = errors;
+        status.textContent = `${batch.file}: scored ${results.length.toLocaleString()} cases · ${errors.length} rows not scored.`;
+        renderBatchErrors();
+        renderBatchResults();
+    } catch (err) {
+        console.error('Batch scoring failed:', err);
+        status.textContent = `Batch scoring failed: ${err.message}`;
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderBatchErrors() {
+    const { errors } = state.batch;
+    document.getElementById('batch-errors-section').classList.toggle('hidden', errors.length === 0);
+    render(document.getElementById('batch-errors'), html`
+        <thead><tr><th>Line</th><th>Reason</th></tr></thead>
+        <tbody>
+            ${errors.map(e => html`<tr><td class="mono">${e.line}</td><td>${e.reason}</td></tr>`)}
+        </tbody>
+    `);
+}
+
+// Result table columns as [label, sort value, cell text], mirroring BatchScoring.toCSV()
+const BATCH_COLUMNS = [
+    ['Line', r => r.line, r => r.line],
+    ['Case ID', r => r.id || '', r => r.id || '—'],
+    ['Age', r => r.age, r => r.age],
+    ['Gender', r => r.gender, r => r.gender],
+    ['Answers', r => r.answered, r => r.answered],
+    ...Array.from({ length: BatchScoring.TOP }, (_, rank) => rank).flatMap(rank => [
+        [`Diagnosis ${rank + 1}`, r => (r.predictions[rank] || {}).name || '', r => (r.predictions[rank] || {}).name || '—'],
+        [`P${rank + 1}`, r => (r.predictions[rank] || {}).probability || 0, r => (r.predictions[rank] ? `${r.predictions[rank].probability.toFixed(1)}%` : '—')]
+    ])
+];
+
+function renderBatchResults() {
+    const { results, sort } = state.batch;
+    const [, value] = BATCH_COLUMNS[sort.column];
+    const compare = (a, b) => (typeof value(a) === 'string' ? value(a).localeCompare(value(b)) : value(a) - value(b));
+    const rows = results.slice().sort((a, b) => (sort.descending ? -compare(a, b) : compare(a, b)));
+
+    document.getElementById('batch-results-section').classList.remove('hidden');
+    const table = document.getElementById('batch-results');
+    render(table, html`
+        <thead><tr>
+            ${BATCH_COLUMNS.map(([label], idx) => html`
+                <th data-column="${idx}" class="${idx === sort.column ? (sort.descending ? 'sorted-desc' : 'sorted-asc') : ''}">${label}</th>
+            `)}
+        </tr></thead>
+        <tbody>
+            ${rows.map(r => html`<tr>${BATCH_COLUMNS.map(([, , cell]) => html`<td>${cell(r)}</td>`)}</tr>`)}
+        </tbody>
+    `);
+    table.querySelectorAll('th').forEach(th => {
+        th.onclick = () => {
+            const column = Number(th.dataset.column);
+            state.batch.sort = { column, descending: column === sort.column && !sort.descending };
+            renderBatchResults();
+        };
+    });
+}
+
+function downloadBatchResults() {
+    if (!state.batch || !state.batch.results) return;
+    downloadText(BatchScoring.toCSV(state.batch.results), `HealthPulse_Batch_${Date.now()}.csv`, 'text/csv');
+}
+
+// 7. KNOWLEDGE BASE
+
+function openKnowledgeBase() {
+    if (!state.knowledge) {
+        state.knowledge = KnowledgeBase.createKnowledgeBase(state.model);
+        render(document.getElementById('kb-type'), html`
+            <option value="">Any</option>
+            ${state.knowledge.types().map(type => html`<option value="${type}">${type}</option>`)}
+        `);
+    }
+    renderKnowledgeList();
+    renderKnowledgeDetail();
+}
+
+// Filter select values: '' matches anything, 'null' means not recorded in the datasets
+function parseFlagFilter(value) {
+    return value === '' ? undefined : JSON.parse(value);
+}
+
+function renderKnowledgeList() {
+    const matches = state.knowledge.filter({
+        query: document.getElementById('kb-search').value,
+        type: document.getElementById('kb-type').value,
+        contagious: parseFlagFilter(document.getElementById('kb-contagious').value),
+        chronic: parseFlagFilter(document.getElementById('kb-chronic').value)
+    });
+    const all = state.knowledge.diseases;
+    const selected = state.knowledgeSelection && state.knowledgeSelection.kind === 'disease' ? state.knowledgeSelection.id : null;
+
+    document.getElementById('kb-status').textContent = `${matches.length} of ${all.length} diseases · ${matches.filter(d => d.records > 0).length} with case records`;
+    render(document.getElementById('kb-list'), html`${matches.map(d => html`
+        <li>
+            <button data-disease="${d.key}" class="${d.key === selected ? 'active' : ''}">
+                <span>${d.name}</span>
+                <span class="mono">${d.records > 0 ? d.records.toLocaleString() : 'ref'}</span>
+            </button>
+        </li>
+    `)}`);
+}
+
+/**
+ * Follow a disease or symptom link in the list or the detail panel.
+ */
+function handleKnowledgeClick(e) {
+    const link = e.target.closest('[data-disease], [data-symptom]');
+    if (!link) return;
+    const current = state.knowledgeSelection;
+    state.knowledgeSelection = link.dataset.disease
+        ? { kind: 'disease', id: link.dataset.disease }
+        : { kind: 'symptom', id: link.dataset.symptom, from: current && current.kind === 'disease' ? current.id : null };
+    renderKnowledgeList();
+    renderKnowledgeDetail();
+}
+
+function renderKnowledgeDetail() {
+    const container = document.getElementById('kb-detail');
+    const selection = state.knowledgeSelection;
+    if (!selection) {
+        render(container, html`<p>Pick a disease to see its symptom prevalence, demographics and reference information.</p>`);
+    } else if (selection.kind === 'disease') {
+        render(container, renderDiseasePage(state.knowledge.disease(selection.id)));
+    } else {
+        render(container, renderSymptomPage(selection));
+    }
+}
+
+// One labelled bar: `fraction` (0-1) sets the width, `text` is shown beside it
+function renderKnowledgeBar(label, fraction, text) {
+    return html`
+        <div class="kb-bar-row">
+            <span>${label}</span>
+            <div class="probability-track"><div class="probability-fill" data-style="${SafeHtml.style({ width: `${(fraction * 100).toFixed(1)}%` })}"></div></div>
+            <span class="mono">${text}</span>
+        </div>
+    `;
+}
+
+function symptomLink(id) {
+    return html`<button class="kb-link" data-symptom="${id}">${capitalize(state.model.ontology.label(id))}</button>`;
+}
+
+function renderDiseasePage(disease) {
+    const { metadata } = disease;
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    const maxAge = Math.max(...disease.ages.map(bin => bin.count));
+    const genderTotal = disease.genders.reduce((sum, g) => sum + g.count, 0);
+
+    return html`
+        <h2>${disease.name}</h2>
+        ${renderDiseaseBadges(disease.name)}
+        <p class="mono">${disease.records > 0
+            ? `${disease.records.toLocaleString()} case records · ${pct(disease.share)} of all records`
+            : 'No case records: reference entry from the metadata datasets'}</p>
+
+        <h4>Description</h4>
+        <p>${metadata.description || 'No description in the bundled datasets.'}</p>
+
+        <div class="kb-columns">
+            <div>
+                <h4>Treatments</h4>
+                <p>${metadata.treatments || 'None recorded.'}</p>
+            </div>
+            <div>
+                <h4>Precautions</h4>
+                ${disease.precautions.length
+                    ? html`<ul>${disease.precautions.map(tip => html`<li>${capitalize(tip)}</li>`)}</ul>`
+                    : html`<p>None recorded.</p>`}
+            </div>
+        </div>
+        ${renderCauses(disease.name)}
+
+        ${disease.prevalence.length > 0 && html`
+            <h4>Symptom Prevalence <span class="mono">(share of records that recorded the symptom)</span></h4>
+            ${disease.prevalence.map(s => renderKnowledgeBar(symptomLink(s.id), s.rate, `${pct(s.rate)} · ${s.cases}/${s.observed}`))}
+        `}
+        ${disease.mentions.length > 0 && html`
+            <h4>${disease.prevalence.length > 0 ? 'Also Described With' : 'Described Symptoms'}</h4>
+            <div class="kb-chips">${disease.mentions.map(symptomLink)}</div>
+        `}
+        ${disease.ages.length > 0 && html`
+            <h4>Age Distribution</h4>
+            ${disease.ages.map(bin => renderKnowledgeBar(`${bin.from}-${bin.to}`, bin.count / maxAge, bin.count.toLocaleString()))}
+        `}
+        ${disease.genders.length > 0 && html`
+            <h4>Gender Split</h4>
+            ${disease.genders.map(g => renderKnowledgeBar(capitalize(g.gender), g.count / genderTotal, `${pct(g.count / genderTotal)} · ${g.count}`))}
+        `}
+    `;
+}
+
+function renderSymptomPage(selection) {
+    const shared = state.knowledge.symptom(selection.id);
+    const from = selection.from && state.knowledge.disease(selection.from);
+    const recorded = shared.filter(d => d.rate !== null);
+    const described = shared.filter(d => d.rate === null);
+    const diseaseLink = d => html`<button class="kb-link" data-disease="${d.key}">${d.name}</button>`;
+
+    return html`
+        ${from && html`<button class="kb-link" data-disease="${from.key}">← Back to ${from.name}</button>`}
+        <h2>${capitalize(state.model.ontology.label(selection.id))}</h2>
+        <p class="mono">Shared by ${shared.length} diseases · ${recorded.length} with case records</p>
+        ${recorded.length > 0 && html`
+            <h4>Prevalence in Case Records</h4>
+            ${recorded.map(d => renderKnowledgeBar(diseaseLink(d), d.rate, `${(d.rate * 100).toFixed(1)}% · ${d.cases}`))}
+        `}
+        ${described.length > 0 && html`
+            <h4>Described in Reference Datasets</h4>
+            <div class="kb-chips">${described.map(diseaseLink)}</div>
+        `}
+    `;
+}
+
+// 8. SCORING PROFILES
+
+const PROFILE_STORAGE_KEY = 'healthpulse-scoring-profile';
+const PROFILE_COMPARISON_TOP = 5; // Diagnoses listed per profile in the comparison
+
+/**
+ * The profile chosen on this device: a bundled profile's ID (so its newer versions are
+ * picked up) or a whole custom profile, kept in localStorage. Anything missing or no
+ * longer valid, such as a custom profile based on a bundled one that has since been
+ * renamed or removed, falls back to the default profile.
+ */
+function loadScoringProfile() {
+    try {
+        return ScoringProfiles.resolve(JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)));
+    } catch (err) {
+        return ScoringProfiles.resolve();
+    }
+}
+
+function setScoringProfile(profile) {
+    state.scoringProfile = profile;
+    try {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile.basedOn ? profile : profile.id));
+    } catch (err) {
+        console.warn('Could not save the scoring profile:', err);
+    }
+    renderScoringSettings();
+}
+
+function renderScoringSettings() {
+    const profile = state.scoringProfile;
+    render(document.getElementById('scoring-profile'), html`
+        ${Object.values(ScoringProfiles.PROFILES).map(p => html`
+            <option value="${p.id}" ${p.id === profile.id ? 'selected' : ''}>${ScoringProfiles.label(p)}</option>
+        `)}
+        ${profile.basedOn ? html`<option value="custom" selected disabled>${ScoringProfiles.label(profile)}</option>` : ''}
+    `);
+    document.getElementById('reset-profile-btn').disabled = !profile.basedOn;
+    document.getElementById('scoring-status').textContent = profile.basedOn
+        ? `Your changes to ${ScoringProfiles.PROFILES[profile.basedOn.id].name} v${profile.basedOn.version}; Discard Changes goes back to the bundled values.`
+        : profile.description;
+
+    const table = document.getElementById('scoring-fields');
+    render(table, html`
+        <thead><tr><th>Setting</th><th>Value</th></tr></thead>
+        <tbody>
+            ${ScoringProfiles.fields(profile).map(field => html`
+                <tr>
+                    <td>${field.label}</td>
+                    <td><input type="number" step="any" data-path="${field.path}" value="${field.value === null ? '' : field.value}"></td>
+                </tr>
+            `)}
+        </tbody>
+    `);
+    table.querySelectorAll('input').forEach(input => {
+        input.onchange = () => tweakScoringProfile(input);
+    });
+}
+
+/**
+ * Apply one edited field as a custom profile. Values the engine cannot score with are
+ * rejected with the reason and the field is put back.
+ */
+function tweakScoringProfile(input) {
+    const field = ScoringProfiles.fields(state.scoringProfile).find(f => f.path === input.dataset.path);
+    const value = input.value.trim() === '' ? null : Number(input.value);
+    const changed = ScoringProfiles.customize(state.scoringProfile, field.path, value);
+    const problems = ScoringProfiles.check(changed);
+
+    if (problems.length > 0) {
+        document.getElementById('scoring-status').textContent = `${field.label}: not applied, ${problems.join(' · ')}.`;
+        input.value = field.value === null ? '' : field.value;
+        return;
+    }
+    setScoringProfile(changed);
+}
+
+/**
+ * Rerun the current answers under every bundled profile, and the active one when it is
+ * custom, for a side-by-side ranking. The results view keeps the active profile's scores.
+ */
+async function compareScoringProfiles() {
+    const status = document.getElementById('profile-comparison-status');
+    const answered = Object.keys(state.selections.responses).length;
+    if (!state.selections.ageGroup && state.retiredAgeGroup) {
+        status.textContent = `This saved assessment used the ${state.retiredAgeGroup} age bracket, which the current model no longer has: its results can only be shown as saved.`;
+        return;
+    }
+    if (!state.selections.ageGroup || answered === 0) {
+        status.textContent = 'No assessment to compare yet: set a profile and answer at least one question first.';
+        return;
+    }
+
+    const btn = document.getElementById('compare-profiles-btn');
+    btn.disabled = true;
+    try {
+        const profiles = Object.values(ScoringProfiles.PROFILES);
+        if (state.scoringProfile.basedOn) profiles.push(state.scoringProfile);
+        const runs = [];
+        for (const profile of profiles) {
+            runs.push({ profile, predictions: await calculateProbabilities({ profile }) });
+        }
+        status.textContent = `${answered} answer${answered === 1 ? '' : 's'} rerun under ${runs.length} profiles.`;
+        renderProfileComparison(runs);
+    } catch (err) {
+        console.error('Profile comparison failed:', err);
+        status.textContent = `Comparison failed: ${err.message}`;
+    } finally {
+        btn.disabled = false;
     }
 }
 
+function renderProfileComparison(runs) {
+    const ranks = Array.from({ length: PROFILE_COMPARISON_TOP }, (_, rank) => rank);
+    render(document.getElementById('profile-comparison'), html`
+        <thead><tr>
+            <th>Rank</th>
+            ${runs.map(({ profile }) => html`
+                <th class="${profile === state.scoringProfile ? 'active-profile' : ''}">${ScoringProfiles.label(profile)}</th>
+            `)}
+        </tr></thead>
+        <tbody>
+            ${ranks.map(rank => html`
+                <tr>
+                    <td class="mono">${rank + 1}</td>
+                    ${runs.map(({ predictions }) => html`
+                        <td>${predictions[rank].name} <span class="mono">${predictions[rank].probability.toFixed(1)}%</span></td>
+                    `)}
+                </tr>
+            `)}
+        </tbody>
+    `);
+}
+
 // UTILS
+function downloadJSON(data, filename, type) {
+    downloadText(JSON.stringify(data, null, 2), filename, type);
+}
+
+function downloadText(text, filename, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function formatHistoryProfile(profile) {
+    const age = profile.age !== null ? `Age ${profile.age}` : profile.ageGroup;
+    const vitals = Object.entries(profile.vitals).map(([key, level]) => `${ClinicalEngine.VITALS[key].label} ${level}`);
+    return [age, profile.gender, ...vitals].join(' · ');
+}
+
+function formatExplanationTerm(term) {
+    if (term.term === 'specificity') return `${term.label}: ${term.answer ? `${term.answer} matched` : 'none'}`;
+    return `${capitalize(term.label)}: ${term.answer}`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// "a", "a and b", "a, b and c"
+function formatList(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '';
+}
+
+function ageScopeText() {
+    const age = state.selections.age;
+    if (age === null) return 'in your age group';
+    return `aged ${Math.max(0, age - ClinicalEngine.NEARBY_AGE)}-${age + ClinicalEngine.NEARBY_AGE}`;
+}
+
+function formatInterval(interval) {
+    return interval ? `${interval.lower.toFixed(1)}–${interval.upper.toFixed(1)}%` : 'n/a';
+}
+
 function switchView(id) {
     document.querySelectorAll('.view').forEach(v => v.classList.add('hidden'));
     document.getElementById(`view-${id}`).classList.remove('hidden');
     if (id === 'symptoms') renderQuestion();
+    if (id === 'history') renderHistory();
+    if (id === 'knowledge') openKnowledgeBase();
+    if (id === 'scoring') renderScoringSettings();
+}
+
+/**
+ * Summarize the per-file parse reports in the sidebar badge; the tooltip lists
+ * every skipped row so data problems are visible instead of silently dropped.
+ */
+function renderDataStatus() {
+    const reports = Object.values(state.dataReport);
+    const skipped = reports.reduce((sum, r) => sum + r.skipped, 0);
+    const missing = reports.filter(r => r.missing).length;
+    const records = reports.reduce((sum, r) => sum + r.parsed, 0);
+
+    const offline = navigator.onLine === false;
+    let msg = `${offline ? 'Offline' : `${reports.length - missing} Datasets Synchronized`} · ${records.toLocaleString()} rows`;
+    if (state.dataVersion) msg += ` · data version ${state.dataVersion}`;
+    if (skipped > 0) msg += ` · ${skipped} skipped`;
+    if (missing > 0) msg += ` · ${missing} unavailable`;
+    updateStatus(msg, offline ? 'offline' : skipped > 0 || missing > 0 ? 'warning' : 'loaded');
+
+    document.getElementById('data-status').title = reports.map(r => {
+        const lines = [`${r.file}: ${r.parsed}/${r.total} rows parsed`];
+        r.errors.slice(0, 5).forEach(err => lines.push(`  line ${err.line}: ${err.reason}`));
+        if (r.errors.length > 5) lines.push(`  …and ${r.errors.length - 5} more`);
+        return lines.join('\n');
+    }).join('\n');
 }
 
 function updateStatus(msg, status) {
@@ -697,93 +1840,212 @@ function hideLoading() {
 }
 
 function resetApp() {
-    state.selections = { ageGroup: null, gender: null, responses: {} };
+    state.selections = { age: null, ageGroup: null, gender: null, vitals: {}, responses: {} };
+    state.retiredAgeGroup = null;
+    state.askedSymptoms = [];
+    state.askedScores = [];
+    state.otherSymptoms = [];
+    state.predictions = null;
+    state.description = null;
     state.currentIndex = 0;
+    state.currentConfidence = 0;
+    state.currentLead = 1;
     document.querySelectorAll('.selection-card').forEach(c => c.classList.remove('active'));
+    document.getElementById('age-input').value = '';
     document.querySelectorAll('.gender-chip').forEach(c => c.classList.remove('active'));
+    document.querySelectorAll('.vital-chip').forEach(c => c.classList.toggle('active', !c.dataset.level));
     document.getElementById('hero-start-container').classList.add('hidden');
+    if (ShareLink.fromHash(location.hash)) history.replaceState(null, '', location.pathname + location.search);
     switchView('home');
 }
 
-async function exportAnalysis() {
+/**
+ * PDF of the results on screen (see lib/report.js): the same ranking, description and
+ * triage the user saw, plus every answer and the model/dataset version.
+ */
+function exportAnalysis() {
+    if (!state.predictions) return;
     const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-
-    // 1. Header
-    doc.setFontSize(22);
-    doc.setTextColor(5, 8, 15); // Dark background color as text? No, let's use standard black for PDF readability
-    doc.setTextColor(0, 0, 0);
-    doc.text("HealthPulse Pro", 20, 20);
-
-    doc.setFontSize(12);
-    doc.setTextColor(100, 100, 100);
-    doc.text("Clinical Intelligence Report", 20, 28);
-
-    doc.setLineWidth(0.5);
-    doc.line(20, 32, 190, 32);
-
-    // 2. Metadata
-    const date = new Date().toLocaleString();
-    doc.setFontSize(10);
-    doc.setTextColor(50, 50, 50);
-    doc.text(`Date: ${date}`, 20, 40);
-    doc.text(`Profile: ${state.selections.ageGroup.label} | ${state.selections.gender}`, 20, 46);
-
-    // 3. Primary Diagnosis
-    const preds = calculateProbabilities(); // Recalculate or store previous results? safely recalculate
-    const primary = preds[0];
-    const metadata = state.diseaseMetadata[primary.name.toLowerCase()] || {};
-
-    doc.setFontSize(16);
-    doc.setTextColor(0, 51, 102); // Dark Blue
-    doc.text("Primary Diagnosis", 20, 60);
-
-    doc.setFontSize(14);
-    doc.setTextColor(0, 0, 0);
-    doc.text(`${primary.name} (${primary.probability.toFixed(1)}%)`, 20, 70);
-
-    doc.setFontSize(10);
-    doc.setTextColor(80, 80, 80);
-    const splitDesc = doc.splitTextToSize(metadata.description || "No description available.", 170);
-    doc.text(splitDesc, 20, 80);
-
-    let yPos = 80 + (splitDesc.length * 5) + 10;
-
-    // Treatments
-    doc.setFontSize(12);
-    doc.setTextColor(0, 51, 102);
-    doc.text("Recommended Treatments", 20, yPos);
-    yPos += 8;
-
-    doc.setFontSize(10);
-    doc.setTextColor(0, 0, 0);
-    const splitTreat = doc.splitTextToSize(metadata.treatments || "Consult a healthcare professional.", 170);
-    doc.text(splitTreat, 20, yPos);
-
-    yPos += (splitTreat.length * 5) + 15;
-
-    // 4. Secondary Diagnoses
-    doc.setFontSize(12);
-    doc.setTextColor(0, 51, 102);
-    doc.text("Other Potential Conditions", 20, yPos);
-    yPos += 8;
-
-    preds.slice(1, 4).forEach(p => {
-        doc.setFontSize(10);
-        doc.setTextColor(0, 0, 0);
-        doc.text(`- ${p.name}: ${p.probability.toFixed(1)}%`, 20, yPos);
-        yPos += 6;
+    const preds = state.predictions;
+    const [primary] = preds;
+    const metadata = state.model.diseaseMetadata[primary.name.toLowerCase()] || {};
+    const vitals = Object.entries(state.selections.vitals).map(([key, level]) => `${ClinicalEngine.VITALS[key].label}: ${level}`);
+    const age = state.selections.age !== null ? `Age ${state.selections.age}`
+        : state.selections.ageGroup ? state.selections.ageGroup.label : state.retiredAgeGroup;
+    const contagious = contagiousConditions(preds.slice(0, 4));
+    const triage = state.triage;
+
+    const report = {
+        generatedAt: new Date().toLocaleString(),
+        stamp: reportStamp(),
+        profile: [age, state.selections.gender, ...vitals],
+        triage: triage && {
+            level: triage.level,
+            label: Triage.LEVEL_LABELS[triage.level],
+            title: triage.rule ? triage.rule.name : 'No red flags in the answers',
+            advice: triage.rule ? triage.rule.advice : '',
+            escalated: Triage.isEscalated(triage.level)
+        },
+        predictions: preds.map((p, i) => ({
+            name: p.name,
+            probability: p.probability,
+            interval: p.interval,
+            flags: diseaseFlags(p.name).map(([, text]) => text),
+            causes: diseaseCauses(p.name),
+            explanation: (p.explanation || []).slice(0, i === 0 ? 8 : 3).map(t => ({ impact: t.impact, text: formatExplanationTerm(t) }))
+        })),
+        primary: {
+            description: state.description || metadata.description || localDescription(primary.name),
+            treatments: metadata.treatments || 'Consult a healthcare professional.',
+            precautions: state.model.precautions[primary.name.toLowerCase()] || []
+        },
+        infectionControl: contagious.length ? {
+            conditions: `${formatList(contagious)} ${contagious.length > 1 ? 'are' : 'is'} flagged as contagious. Until a clinician rules ${contagious.length > 1 ? 'them' : 'it'} out:`,
+            tips: INFECTION_CONTROL
+        } : null,
+        answers: answeredQuestions()
+    };
+
+    ClinicalReport.write(new jsPDF(), report).save(`HealthPulse_Report_${Date.now()}.pdf`);
+}
+
+/**
+ * Every answer in the order it was given: questionnaire first, then symptoms added by
+ * search, then any restored from a link or file without a question order.
+ */
+function answeredQuestions() {
+    const { responses } = state.selections;
+    const ordered = [...new Set([...state.askedSymptoms, ...state.otherSymptoms, ...Object.keys(responses)])];
+    return ordered.filter(id => responses[id] !== undefined).map(id => ({
+        question: capitalize(state.model.ontology.label(id)),
+        answer: ClinicalEngine.describeResponse(responses[id]),
+        source: state.askedSymptoms.includes(id) ? 'Questionnaire' : state.otherSymptoms.includes(id) ? 'Added' : 'Restored'
+    }));
+}
+
+// Footer line identifying the model and data behind a report
+function reportStamp() {
+    const profile = state.scoringProfile;
+    const parts = [
+        `Model format ${ModelArtifact.FORMAT}`,
+        `scoring ${ScoringProfiles.label(profile)}`,
+        `temperature ${ClinicalEngine.scoringTemperature(state.model, profile).toFixed(2)}`
+    ];
+    if (state.dataVersion) parts.push(`data version ${state.dataVersion}`);
+    if (state.redFlags) parts.push(`red-flag rules v${state.redFlags.version}`);
+    parts.push(`${state.model.totalCases.toLocaleString()} records`);
+    return parts.join(' · ');
+}
+
+/**
+ * FHIR R4 export of the current results for intake systems that cannot ingest PDFs.
+ */
+async function exportFhir() {
+    const preds = state.predictions || await calculateProbabilities({ intervals: true });
+    const bundle = FhirInterchange.toBundle({
+        selections: state.selections,
+        predictions: preds,
+        labels: {
+            symptom: id => state.model.ontology.label(id),
+            vital: key => ClinicalEngine.VITALS[key].label
+        }
     });
+    downloadJSON(bundle, `HealthPulse_FHIR_${Date.now()}.json`, 'application/fhir+json');
+}
 
-    // 5. Disclaimer
-    yPos = 280; // Bottom of page
-    doc.setFontSize(8);
-    doc.setTextColor(150, 150, 150);
-    doc.text("DISCLAIMER: This report is generated by an AI-based system and is for informational purposes only.", 20, yPos);
-    doc.text("It is not a substitute for professional medical advice, diagnosis, or treatment.", 20, yPos + 4);
+/**
+ * Rehydrate the selections from a FHIR Bundle and show the results they produce
+ * with the current model.
+ */
+async function importFhir(e) {
+    const file = e.target.files[0];
+    const status = document.getElementById('import-status');
+    if (!file) return;
 
-    // Save
-    doc.save(`HealthPulse_Report_${Date.now()}.pdf`);
+    let imported;
+    try {
+        imported = FhirInterchange.fromBundle(JSON.parse(await file.text()));
+    } catch (err) {
+        status.textContent = `Could not import ${file.name}: ${err.message}`;
+        return;
+    } finally {
+        e.target.value = '';
+    }
+
+    if (!restoreSelections(imported)) {
+        status.textContent = `Could not import ${file.name}: the bundle needs a gender and an age matching this model.`;
+        return;
+    }
+    status.textContent = `Imported ${Object.keys(imported.responses).length} answers from ${file.name}.`;
+    await runAnalysis();
+}
+
+/**
+ * Copy a link that reopens these results; the answers travel in the URL hash.
+ */
+async function copyShareLink() {
+    const button = document.getElementById('share-btn');
+    const url = `${location.origin}${location.pathname}${location.search}${ShareLink.toHash(state.selections)}`;
+    history.replaceState(null, '', url);
+    try {
+        await navigator.clipboard.writeText(url);
+        button.textContent = 'Link Copied';
+    } catch (err) {
+        window.prompt('Copy this link to share the assessment:', url);
+    }
+    setTimeout(() => { button.textContent = 'Copy Share Link'; }, 2000);
+}
+
+/**
+ * Open a shared link: rebuild the selections from the hash and go straight to the
+ * recomputed results. Returns false when the page has no assessment hash.
+ */
+async function restoreFromHash() {
+    const token = ShareLink.fromHash(location.hash);
+    if (!token) return false;
+    const status = document.getElementById('import-status');
+
+    let shared;
+    try {
+        shared = ShareLink.decode(token);
+    } catch (err) {
+        status.textContent = `Could not open the shared link: ${err.message}`;
+        return false;
+    }
+    if (!restoreSelections(shared)) {
+        status.textContent = 'Could not open the shared link: it needs a gender and an age matching this model.';
+        return false;
+    }
+    status.textContent = `Opened a shared assessment with ${Object.keys(shared.responses).length} answers.`;
+    await renderResults(await calculateProbabilities({ intervals: true, explain: true }));
+    return true;
+}
+
+/**
+ * Load decoded selections ({ age, ageRange, gender, vitals, responses }, as read from a
+ * FHIR Bundle or share link) into the state. Returns false when the profile cannot be
+ * matched to one of the model's age groups.
+ */
+function restoreSelections(restored) {
+    const groups = state.model.ageGroups;
+    const ageGroup = restored.age !== null
+        ? ClinicalEngine.ageGroupFor(state.model, restored.age)
+        : restored.ageRange && groups.find(g => g.min === restored.ageRange.min && g.max === restored.ageRange.max);
+    if (!ageGroup || !restored.gender) return false;
+
+    state.selections = {
+        age: restored.age,
+        ageGroup,
+        gender: restored.gender,
+        vitals: restored.vitals,
+        responses: restored.responses
+    };
+    // Nothing was asked or added here: answeredQuestions() lists these as 'Restored'
+    state.askedSymptoms = [];
+    state.askedScores = [];
+    state.otherSymptoms = [];
+    state.currentIndex = 0;
+    return true;
 }
 
 
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * HealthPulse Pro: Headless Batch Scoring
+ * Scores every row of a CSV of cases (age, gender and one column per symptom) and writes
+ * the top three diagnoses per case as CSV. Rows that fail validation are listed on stderr
+ * with their line number and reason.
+ *
+ * Usage: node scripts/batch.js cases.csv [--map "Header=target"]... [--mapping] [--profile id] [--out results.csv]
+ *
+ * Columns are mapped from their headers (see lib/batch.js); --mapping prints that mapping
+ * and exits. --map overrides one column: the target is id, age, gender, vital:<key>,
+ * symptom:<id> or a symptom name, and "Header=" ignores the column. --profile scores with
+ * a bundled scoring profile other than the default (see lib/scoring.js).
+ */
+const fs = require('fs');
+const ClinicalCSV = require('../lib/csv.js');
+const BatchScoring = require('../lib/batch.js');
+const ScoringProfiles = require('../lib/scoring.js');
+const { loadModel } = require('./datasets.js');
+
+function parseArgs(argv) {
+    const options = { map: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--mapping') options.mapping = true;
+        else if (flag === '--map') options.map.push(argv[++i]);
+        else if (flag === '--profile') options.profile = ScoringProfiles.resolve(argv[++i]);
+        else if (flag === '--out') options.out = argv[++i];
+        else if (!flag.startsWith('--') && !options.file) options.file = flag;
+        else throw new Error(`Unknown option: ${flag}`);
+    }
+    if (!options.file) throw new Error('Usage: node scripts/batch.js cases.csv [--map "Header=target"]... [--mapping] [--profile id] [--out results.csv]');
+    return options;
+}
+
+function applyOverrides(mapping, overrides, model) {
+    const valid = new Set(BatchScoring.targets(model).map(t => t.value));
+    overrides.forEach(override => {
+        const eq = override.lastIndexOf('=');
+        const header = override.slice(0, eq);
+        if (eq < 0 || !(header in mapping)) throw new Error(`--map ${override}: no column named "${header}"`);
+
+        const value = override.slice(eq + 1).trim();
+        const symptom = model.ontology.lookup(value);
+        const target = !value || valid.has(value) ? value : `symptom:${symptom}`;
+        if (!valid.has(target)) throw new Error(`--map ${override}: "${value}" is not a field, vital or question symptom`);
+        mapping[header] = target;
+    });
+    return mapping;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const parsed = ClinicalCSV.parseCSV(fs.readFileSync(options.file, 'utf8'), { file: options.file });
+    const model = loadModel();
+    const mapping = applyOverrides(BatchScoring.suggestMapping(parsed.headers, model), options.map, model);
+
+    if (options.mapping) {
+        const width = Math.max(...parsed.headers.map(h => h.length));
+        process.stdout.write(parsed.headers.map(h => `${h.padEnd(width)}  ${mapping[h] || '(ignored)'}`).join('\n') + '\n');
+        return;
+    }
+
+    const { cases, errors } = BatchScoring.prepareCases(parsed, mapping, model);
+    const results = BatchScoring.scoreCases(model, cases, { profile: options.profile });
+    errors.forEach(e => process.stderr.write(`${options.file}:${e.line}: ${e.reason}\n`));
+
+    const csv = BatchScoring.toCSV(results);
+    if (options.out) {
+        fs.writeFileSync(options.out, csv);
+        process.stderr.write(`Scored ${results.length} cases · ${errors.length} rows not scored · wrote ${options.out}\n`);
+    } else {
+        process.stdout.write(csv);
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * HealthPulse Pro: Model Compiler
+ * Builds the model from the bundled CSVs and writes it as the compact JSON artifact the
+ * browser loads instead ("Medical dataset/model.json"), then refreshes the manifest.
+ * Run it whenever a dataset or the model-building code in lib/engine.js changes.
+ *
+ * Usage: node scripts/compile-model.js
+ */
+const fs = require('fs');
+const path = require('path');
+const ModelArtifact = require('../lib/artifact.js');
+const { DATA_DIR, MANIFEST_FILE, loadModel, hashDatasets, createManifest } = require('./datasets.js');
+
+try {
+    const artifact = ModelArtifact.compile(loadModel(), { sources: hashDatasets() });
+    const json = JSON.stringify(artifact);
+    fs.writeFileSync(path.join(DATA_DIR, ModelArtifact.FILE), json + '\n');
+
+    const manifest = createManifest();
+    fs.writeFileSync(path.join(DATA_DIR, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+    process.stderr.write(`Wrote ${ModelArtifact.FILE} (${(json.length / 1024).toFixed(0)} KB) · data version ${manifest.version}\n`);
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
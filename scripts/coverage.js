@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * HealthPulse Pro: Dataset Coverage Report
+ * Reconciles disease names across the bundled datasets (lib/diseases.js) and lists which
+ * diseases lack precautions, a description or symptom text, plus every dataset name that
+ * matched no recorded disease.
+ *
+ * Usage: node scripts/coverage.js [--json] [--missing] [--out report.json]
+ *
+ * --missing lists only diseases with at least one gap; --json prints the full report.
+ */
+const fs = require('fs');
+const DiseaseNames = require('../lib/diseases.js');
+const { loadModel } = require('./datasets.js');
+
+const COLUMNS = [['precautions', 'Precautions'], ['description', 'Description'], ['symptomText', 'Symptom text']];
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--json') options.json = true;
+        else if (flag === '--missing') options.missing = true;
+        else if (flag === '--out') options.out = argv[++i];
+        else throw new Error(`Unknown option: ${flag}`);
+    }
+    return options;
+}
+
+function formatText(report, options) {
+    const diseases = options.missing ? report.diseases.filter(d => COLUMNS.some(([field]) => !d[field])) : report.diseases;
+    const width = Math.max(7, ...diseases.map(d => d.name.length));
+    const pad = (text, n) => String(text).padEnd(n);
+
+    const lines = [
+        [pad('Disease', width), pad('Records', 8), ...COLUMNS.map(([, label]) => pad(label, 13)), 'Also listed as'].join('  '),
+        ...diseases.map(d => [
+            pad(d.name, width),
+            pad(d.records, 8),
+            ...COLUMNS.map(([field]) => pad(d[field] ? 'yes' : '-', 13)),
+            [...new Set(d.sources.filter(s => s.name !== d.name).map(s => s.name))].join('; ')
+        ].join('  ').trimEnd()),
+        '',
+        `${report.diseases.length} diseases · ` + COLUMNS.map(([field, label]) => `${report.missing[field].length} without ${label.toLowerCase()}`).join(' · ')
+    ];
+    Object.entries(report.unmatched).forEach(([file, names]) => {
+        lines.push(`${file}: ${names.length} names match no recorded disease`);
+    });
+    return lines.join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const report = DiseaseNames.coverage(loadModel());
+
+    const output = options.json ? JSON.stringify(report, null, 2) : formatText(report, options);
+    if (options.out) {
+        fs.writeFileSync(options.out, output + '\n');
+        process.stderr.write(`Wrote ${options.out}\n`);
+    } else {
+        process.stdout.write(output + '\n');
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
@@ -0,0 +1,65 @@
+/**
+ * HealthPulse Pro: Node Dataset Loader
+ * Reads the bundled CSVs from disk and builds the same model the browser builds,
+ * for the test suite and the headless scripts.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ClinicalEngine = require('../lib/engine.js');
+const ModelArtifact = require('../lib/artifact.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'Medical dataset');
+
+/**
+ * Read every bundled dataset as text, keyed like ClinicalEngine.DATASETS.
+ * Optional datasets that are missing on disk are left out.
+ */
+function readDatasets(dir = DATA_DIR) {
+    const texts = {};
+    Object.entries(ClinicalEngine.DATASETS).forEach(([key, spec]) => {
+        const file = path.join(dir, spec.file);
+        if (!fs.existsSync(file)) {
+            if (!spec.optional) throw new Error(`${spec.file} not found in ${dir}`);
+            return;
+        }
+        texts[key] = fs.readFileSync(file, 'utf8');
+    });
+    return texts;
+}
+
+function loadModel(dir = DATA_DIR) {
+    return ClinicalEngine.buildModelFromText(readDatasets(dir));
+}
+
+/**
+ * SHA-256 of every dataset CSV on disk, keyed by file name.
+ */
+function hashDatasets(dir = DATA_DIR) {
+    return hashFiles(dir, Object.values(ClinicalEngine.DATASETS).map(spec => spec.file));
+}
+
+/**
+ * Describe the deployed data files (datasets and the compiled model) for the service
+ * worker: a SHA-256 per file plus a short data version that changes whenever any file does.
+ */
+function createManifest(dir = DATA_DIR) {
+    const files = hashFiles(dir, [...Object.values(ClinicalEngine.DATASETS).map(spec => spec.file), ModelArtifact.FILE]);
+    const version = sha256(Object.entries(files).map(([name, hash]) => `${name}:${hash}`).join('\n')).slice(0, 10);
+    return { version, files };
+}
+
+function hashFiles(dir, names) {
+    const files = {};
+    names.forEach(name => {
+        const file = path.join(dir, name);
+        if (fs.existsSync(file)) files[name] = sha256(fs.readFileSync(file));
+    });
+    return files;
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = { DATA_DIR, MANIFEST_FILE: 'manifest.json', readDatasets, loadModel, hashDatasets, createManifest };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * HealthPulse Pro: Headless Model Evaluation
+ * Cross-validates the engine on the bundled datasets and prints the report as JSON.
+ *
+ * Usage: node scripts/evaluate.js [--folds 5] [--sample 5000] [--seed 42] [--calibrate] [--out report.json]
+ *
+ * --calibrate fits the softmax temperature on the out-of-fold scores; copy the printed
+ * value into CALIBRATION in lib/engine.js to ship it.
+ */
+const fs = require('fs');
+const ClinicalEngine = require('../lib/engine.js');
+const ModelEvaluation = require('../lib/evaluation.js');
+const { readDatasets } = require('./datasets.js');
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (flag === '--calibrate') {
+            options.calibrate = true;
+            continue;
+        }
+        if (flag === '--folds') options.folds = parseInt(value);
+        else if (flag === '--sample') options.sample = parseInt(value);
+        else if (flag === '--seed') options.seed = parseInt(value);
+        else if (flag === '--out') options.out = value;
+        else throw new Error(`Unknown option: ${flag}`);
+        i++;
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const sources = ClinicalEngine.parseSources(readDatasets());
+
+    const report = ModelEvaluation.crossValidate(sources, {
+        ...options,
+        onProgress: (done, total) => process.stderr.write(`Fold ${done}/${total} complete\n`)
+    });
+
+    if (options.calibrate) {
+        process.stderr.write(`Fitted temperature ${report.temperature.toFixed(2)} · log-loss ${report.uncalibrated.logLoss.toFixed(3)} -> ${report.logLoss.toFixed(3)} · ECE ${report.uncalibrated.ece.toFixed(3)} -> ${report.calibration.ece.toFixed(3)}\n`);
+    }
+
+    const json = JSON.stringify(report, null, 2);
+    if (options.out) {
+        fs.writeFileSync(options.out, json);
+        process.stderr.write(`Top-1 ${(report.top1 * 100).toFixed(1)}% · Top-3 ${(report.top3 * 100).toFixed(1)}% · wrote ${options.out}\n`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * HealthPulse Pro: Dataset Manifest
+ * Rewrites "Medical dataset/manifest.json" from the CSVs and model.json on disk. The
+ * service worker compares its version with the cached copy to decide when to refetch the
+ * data files. scripts/compile-model.js runs this step too.
+ *
+ * Usage: node scripts/manifest.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, MANIFEST_FILE, createManifest } = require('./datasets.js');
+
+try {
+    const manifest = createManifest();
+    fs.writeFileSync(path.join(DATA_DIR, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+    process.stderr.write(`Data version ${manifest.version} · ${Object.keys(manifest.files).length} files\n`);
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
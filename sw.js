@@ -0,0 +1,152 @@
+/**
+ * HealthPulse Pro: Service Worker
+ * Precaches the app shell, the vendored libraries and fonts, the compiled model and the
+ * datasets so the app starts without a network.
+ *
+ * - App shell: network first, falling back to the cache, so deploys show up on the next load.
+ * - Data files (model.json and the CSVs): served from the cache and refetched together
+ *   whenever the deployed "Medical dataset/manifest.json" (see scripts/manifest.js)
+ *   reports a new data version.
+ * - Disease descriptions from Wikipedia: network first, falling back to the last copy seen.
+ */
+const SHELL_CACHE = 'healthpulse-shell-v1';
+const DATA_CACHE = 'healthpulse-data';
+const DESCRIPTION_CACHE = 'healthpulse-descriptions';
+
+const DATA_DIR = './Medical dataset/';
+const MANIFEST_URL = `${DATA_DIR}manifest.json`;
+const DESCRIPTION_ORIGIN = 'https://en.wikipedia.org';
+
+const SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './script.js',
+    './worker.js',
+    './lib/html.js',
+    './lib/csv.js',
+    './lib/ontology.js',
+    './lib/diseases.js',
+    './lib/scoring.js',
+    './lib/engine.js',
+    './lib/artifact.js',
+    './lib/evaluation.js',
+    './lib/history.js',
+    './lib/fhir.js',
+    './lib/share.js',
+    './lib/triage.js',
+    './lib/report.js',
+    './lib/batch.js',
+    './lib/knowledge.js',
+    './rules/red-flags.json',
+    './vendor/jspdf/jspdf.umd.min.js',
+    './vendor/fonts/fonts.css',
+    './vendor/fonts/plus-jakarta-sans-latin-300-normal.woff2',
+    './vendor/fonts/plus-jakarta-sans-latin-400-normal.woff2',
+    './vendor/fonts/plus-jakarta-sans-latin-500-normal.woff2',
+    './vendor/fonts/plus-jakarta-sans-latin-600-normal.woff2',
+    './vendor/fonts/plus-jakarta-sans-latin-700-normal.woff2',
+    './vendor/fonts/jetbrains-mono-latin-400-normal.woff2',
+    './vendor/fonts/jetbrains-mono-latin-500-normal.woff2'
+];
+
+const dataUrl = file => new URL(DATA_DIR + file, self.location).href;
+const isManifest = url => url.href === new URL(MANIFEST_URL, self.location).href;
+const isDataset = url => url.href.startsWith(new URL(DATA_DIR, self.location).href);
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL);
+        await syncDatasets();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE, DESCRIPTION_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === DESCRIPTION_ORIGIN) {
+        event.respondWith(networkFirst(request, DESCRIPTION_CACHE));
+    } else if (url.origin !== self.location.origin) {
+        return;
+    } else if (isManifest(url)) {
+        event.respondWith(syncDatasets().then(manifest => manifestResponse(manifest)));
+    } else if (isDataset(url)) {
+        event.respondWith(cacheFirst(request, DATA_CACHE));
+    } else {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Fetch the deployed manifest and, when its version differs from the cached one, refetch
+ * every dataset it lists before replacing the cached manifest. Resolves to the manifest
+ * now in the cache (null when there is none and the network is unavailable).
+ */
+async function syncDatasets() {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(MANIFEST_URL);
+    const current = cached ? await cached.json() : null;
+
+    let deployed;
+    try {
+        const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+        if (!response.ok) return current;
+        deployed = await response.json();
+    } catch (err) {
+        return current; // Offline: keep serving what we have
+    }
+    if (current && current.version === deployed.version) return current;
+
+    const files = Object.keys(deployed.files);
+    const responses = await Promise.all(files.map(file => fetch(dataUrl(file), { cache: 'no-cache' })));
+    if (responses.some(r => !r.ok)) return current; // Half-deployed; try again next start
+
+    await Promise.all(responses.map((r, i) => cache.put(dataUrl(files[i]), r)));
+    await cache.put(MANIFEST_URL, manifestResponse(deployed));
+    return deployed;
+}
+
+function manifestResponse(manifest) {
+    if (!manifest) return new Response('{}', { status: 503, headers: { 'Content-Type': 'application/json' } });
+    return new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } });
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        // An error page is no better than the last good copy
+        return response.ok ? response : (await cachedCopy(cache, request)) || response;
+    } catch (err) {
+        const cached = await cachedCopy(cache, request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+function cachedCopy(cache, request) {
+    return cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+}
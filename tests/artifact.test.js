@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ClinicalEngine = require('../lib/engine.js');
+const ModelArtifact = require('../lib/artifact.js');
+const { DATA_DIR, loadModel, hashDatasets } = require('../scripts/datasets.js');
+
+const built = loadModel();
+const artifact = ModelArtifact.compile(built, { sources: hashDatasets() });
+const restored = ModelArtifact.hydrate(JSON.parse(JSON.stringify(artifact)));
+
+function selections(model, age, responses) {
+    return {
+        age,
+        ageGroup: model.ageGroups.find(g => age >= g.min && age <= g.max),
+        gender: 'Female',
+        vitals: { bloodPressure: 'High' },
+        responses
+    };
+}
+
+test('the restored model scores like the one built from CSV', () => {
+    const responses = { fever: 'Yes', cough: 'Maybe', headache: 'No', 'night-sweats': 'Yes' };
+    const before = ClinicalEngine.calculateProbabilities(built, selections(built, 41, responses), { explain: true });
+    const after = ClinicalEngine.calculateProbabilities(restored, selections(restored, 41, responses), { explain: true });
+
+    // Densities are rounded, so diseases tied on score may swap places; compare by name
+    assert.equal(after.length, before.length);
+    assert.equal(after[0].name, before[0].name);
+    const byName = Object.fromEntries(before.map(p => [p.name, p]));
+    after.forEach(p => {
+        const original = byName[p.name];
+        assert.ok(Math.abs(p.probability - original.probability) < 1e-4, p.name);
+        assert.equal(p.countInAge, original.countInAge);
+        assert.deepEqual(p.explanation.map(e => e.label), original.explanation.map(e => e.label));
+    });
+
+    const next = model => ClinicalEngine.nextQuestion(model, selections(model, 41, { fever: 'Yes' }), { asked: 1 }).symptom;
+    assert.equal(next(restored), next(built));
+    assert.deepEqual(restored.recordCounts, { profile: 349, healthcare: 25000 });
+    assert.equal(restored.ontology.label('night-sweats'), built.ontology.label('night-sweats'));
+});
+
+test('the shipped artifact is up to date with the datasets and engine', () => {
+    const shipped = JSON.parse(fs.readFileSync(path.join(DATA_DIR, ModelArtifact.FILE), 'utf8'));
+    assert.deepEqual(shipped, JSON.parse(JSON.stringify(artifact)), 'run `node scripts/compile-model.js`');
+});
+
+test('artifacts from another format or other source files are detected', () => {
+    assert.throws(() => ModelArtifact.hydrate({ ...artifact, format: ModelArtifact.FORMAT + 1 }), /not supported/);
+
+    const manifest = { files: { ...artifact.sources, [ModelArtifact.FILE]: 'ignored' } };
+    assert.equal(ModelArtifact.matchesSources(artifact, manifest), true);
+    manifest.files['diseases.csv'] = '0'.repeat(64);
+    assert.equal(ModelArtifact.matchesSources(artifact, manifest), false);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV } = require('../lib/csv.js');
+const BatchScoring = require('../lib/batch.js');
+const { loadModel } = require('../scripts/datasets.js');
+
+const model = loadModel();
+
+const CASES = [
+    'Case ID,Age,Sex,Fever,Cough,Difficulty Breathing,Blood Pressure,Notes',
+    'A1,34,F,yes,Yes,,High,"seen twice, improving"',
+    'A2,abc,X,yes,1,,,',
+    'A3,70,male,,,,,',
+    'A4,50,M,y,maybe,sure,Normal,',
+    'A5,61,Female,no,0,Not sure,,'
+].join('\n');
+
+test('headers map onto profile fields, vitals and question symptoms', () => {
+    const { headers } = parseCSV(CASES);
+    assert.deepEqual(BatchScoring.suggestMapping(headers, model), {
+        'Case ID': 'id',
+        Age: 'age',
+        Sex: 'gender',
+        Fever: 'symptom:fever',
+        Cough: 'symptom:cough',
+        'Difficulty Breathing': 'symptom:shortness-of-breath', // Ontology synonym
+        'Blood Pressure': 'vital:bloodPressure',
+        Notes: ''
+    });
+    assert.deepEqual(BatchScoring.checkMapping({ Age: 'age', Fever: 'symptom:fever', Temp: 'symptom:fever' }, model), [
+        'No column is mapped to gender',
+        'More than one column is mapped to symptom:fever'
+    ]);
+});
+
+test('invalid rows are reported with their line and reason, valid ones become selections', () => {
+    const parsed = parseCSV(CASES);
+    const { cases, errors } = BatchScoring.prepareCases(parsed, BatchScoring.suggestMapping(parsed.headers, model), model);
+
+    assert.deepEqual(errors, [
+        { line: 3, reason: 'Case A2: Age "abc" is not a number between 0 and 120; Gender "X" is not Male or Female' },
+        { line: 4, reason: 'Case A3: No symptom answers' },
+        { line: 5, reason: 'Case A4: Difficulty Breathing "sure" is not Yes, No, Maybe or Not Sure' }
+    ]);
+    assert.deepEqual(cases.map(c => [c.line, c.id]), [[2, 'A1'], [6, 'A5']]);
+
+    const { selections } = cases[0];
+    assert.equal(selections.gender, 'Female');
+    assert.deepEqual(selections.vitals, { bloodPressure: 'High' });
+    assert.deepEqual(selections.responses, { fever: 'Yes', cough: 'Yes' });
+    assert.ok(selections.age >= selections.ageGroup.min && selections.age <= selections.ageGroup.max);
+    assert.deepEqual(cases[1].selections.responses, { fever: 'No', cough: 'No', 'shortness-of-breath': 'Not Sure' });
+
+    assert.throws(() => BatchScoring.prepareCases(parsed, { Age: 'age', Fever: 'symptom:fever' }, model), /gender/);
+});
+
+test('each case keeps its top three diagnoses and exports as CSV', () => {
+    const parsed = parseCSV(CASES);
+    const { cases } = BatchScoring.prepareCases(parsed, BatchScoring.suggestMapping(parsed.headers, model), model);
+    const results = BatchScoring.scoreCases(model, cases);
+
+    assert.equal(results.length, 2);
+    results.forEach(r => {
+        assert.equal(r.predictions.length, BatchScoring.TOP);
+        assert.ok(r.predictions[0].probability >= r.predictions[1].probability);
+    });
+
+    const rows = parseCSV(BatchScoring.toCSV(results)).rows;
+    assert.deepEqual(Object.keys(rows[0]).slice(0, 7), ['Line', 'Case ID', 'Age', 'Gender', 'Answers', 'Diagnosis 1', 'Probability 1 (%)']);
+    assert.deepEqual([rows[0]['Case ID'], rows[0].Gender, rows[0].Answers], ['A1', 'Female', '2']);
+    assert.equal(rows[0]['Diagnosis 1'], results[0].predictions[0].name);
+    assert.equal(rows[0]['Probability 1 (%)'], results[0].predictions[0].probability.toFixed(1));
+});
+
+test('uploaded text that a spreadsheet would run as a formula is exported as plain text', () => {
+    const result = { line: 2, age: 40, answered: 1, predictions: [{ name: 'Asthma', probability: 50 }] };
+    const ids = ['=HYPERLINK("http://x","y")', '+1', '-2+3', '@SUM(A1)', 'A-1'];
+    const rows = parseCSV(BatchScoring.toCSV(ids.map(id => ({ ...result, id, gender: '=1+1' })), 1)).rows;
+    assert.deepEqual(rows.map(r => r['Case ID']), ['\'=HYPERLINK("http://x","y")', "'+1", "'-2+3", "'@SUM(A1)", 'A-1']);
+    assert.ok(rows.every(r => r.Gender === "'=1+1"));
+    assert.equal(rows[0].Age, '40');
+});
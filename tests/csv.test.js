@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV, stringify } = require('../lib/csv.js');
+
+test('parses quoted commas, doubled quotes, blank cells and CRLF', () => {
+    const { headers, rows, report } = parseCSV('a,b,c\r\n1,"x, ""y""",\r\n2,,z\r\n');
+    assert.deepEqual(headers, ['a', 'b', 'c']);
+    assert.deepEqual(rows, [{ a: '1', b: 'x, "y"', c: '' }, { a: '2', b: '', c: 'z' }]);
+    assert.equal(report.skipped, 0);
+});
+
+test('keeps embedded newlines inside quoted fields', () => {
+    const { rows } = parseCSV('name,notes\nA,"line one\nline two"\nB,plain');
+    assert.equal(rows[0].notes, 'line one\nline two');
+    assert.equal(rows[1].name, 'B');
+});
+
+test('reports malformed rows with their line numbers', () => {
+    const { rows, report } = parseCSV('a,b\n1,2\n3\n4,5"6\n7,"open', { file: 'bad.csv' });
+    assert.deepEqual(rows, [{ a: '1', b: '2' }]);
+    assert.equal(report.file, 'bad.csv');
+    assert.equal(report.total, 4);
+    assert.equal(report.skipped, 3);
+    assert.deepEqual(report.errors.map(e => e.line), [3, 4, 5]);
+});
+
+test('skips rows with empty required values and flags missing columns', () => {
+    const kept = parseCSV('Disease,Tip\n,x\nFlu,rest', { required: ['Disease'] });
+    assert.deepEqual(kept.rows, [{ Disease: 'Flu', Tip: 'rest' }]);
+    assert.equal(kept.report.skipped, 1);
+
+    const missing = parseCSV('Name,Tip\nFlu,rest', { required: ['Disease'] });
+    assert.equal(missing.rows.length, 0);
+    assert.match(missing.report.errors[0].reason, /Missing required column/);
+});
+
+test('stringify() round-trips through the parser', () => {
+    const rows = [['Case', 'Notes'], ['A1', 'fever, "high"\nsince Monday'], ['A2', null], ['A3', ' padded ']];
+    const text = stringify(rows);
+    assert.equal(text.split('\r\n')[0], 'Case,Notes');
+    const parsed = parseCSV(text, { trim: false });
+    assert.deepEqual(parsed.rows.map(r => [r.Case, r.Notes]), [['A1', 'fever, "high"\nsince Monday'], ['A2', ''], ['A3', ' padded ']]);
+    assert.deepEqual(parsed.lines, [2, 4, 5]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiseaseNames = require('../lib/diseases.js');
+const { loadModel } = require('../scripts/datasets.js');
+
+const model = loadModel();
+
+test('names that differ only by qualifiers share a key', () => {
+    assert.equal(DiseaseNames.keyOf('Dengue Fever'), DiseaseNames.keyOf('Dengue'));
+    assert.equal(DiseaseNames.keyOf("Parkinson's"), DiseaseNames.keyOf("Parkinson's Disease"));
+    assert.equal(DiseaseNames.keyOf('Urinary Tract Infection (UTI)'), DiseaseNames.keyOf('Urinary tract infection'));
+    assert.equal(DiseaseNames.keyOf('Eating Disorders (Anorexia,...'), 'eating');
+    assert.equal(DiseaseNames.keyOf('Peptic ulcer diseae'), 'peptic ulcer'); // Typo in a generic word
+    assert.notEqual(DiseaseNames.keyOf('Kidney Disease'), DiseaseNames.keyOf('Chronic Kidney Disease'));
+});
+
+test('the index resolves aliases, truncations and typos to one canonical name', () => {
+    const index = DiseaseNames.createIndex(['Myocardial Infarction (Heart...', 'Osteoarthritis', 'Hepatitis', 'Sinus Congestion', 'Sinus Congestion (Chronic)']);
+    assert.deepEqual(index.names(), ['Hepatitis', 'Myocardial Infarction (Heart Attack)', 'Osteoarthritis', 'Sinus Congestion']);
+
+    assert.deepEqual(index.match('Heart attack'), { name: 'Myocardial Infarction (Heart Attack)', match: 'alias' });
+    assert.deepEqual(index.match('Osteoarthristis'), { name: 'Osteoarthritis', match: 'fuzzy' });
+    assert.deepEqual(index.match('Sinus Congesti...'), { name: 'Sinus Congestion', match: 'prefix' });
+    assert.deepEqual(DiseaseNames.createIndex(['Common Cold']).match('Cold'), { name: 'Common Cold', match: 'alias' });
+    // Short distinguishing words are never treated as typos
+    assert.equal(index.resolve('Hepatitis C'), null);
+});
+
+test('the report records every spelling against its file', () => {
+    const index = DiseaseNames.createIndex(['Typhoid Fever']);
+    index.resolve('Typhoid', 'precautions.csv');
+    index.resolve('Typhoid', 'precautions.csv');
+    index.resolve('Leprosy', 'diseases.csv');
+    assert.deepEqual(index.report(), {
+        aliases: { 'Typhoid Fever': [{ file: 'precautions.csv', name: 'Typhoid', match: 'normalized' }] },
+        unmatched: { 'diseases.csv': ['Leprosy'] }
+    });
+});
+
+test('the bundled datasets join on canonical disease names', () => {
+    assert.equal(Object.keys(model.diseases).length, 125);
+    ['Chronic Obstructive Pulmonary...', "Parkinson's", 'Anxiety', 'Urinary Tract Infection'].forEach(name => {
+        assert.ok(!model.diseases[name], name);
+    });
+    assert.ok(model.diseases["Parkinson's Disease"].count > 800);
+
+    assert.ok(model.precautions['dengue fever'].length > 0);
+    assert.ok(model.precautions['hiv/aids'].length > 0);
+    assert.match(model.diseaseMetadata['dengue fever'].description, /\w/);
+    assert.ok(model.diseaseSymptomMap["parkinson's disease"].length > 0); // "Parkinson Disease" in Diseases_Symptoms.csv
+});
+
+test('the coverage report lists what each disease lacks', () => {
+    const report = DiseaseNames.coverage(model);
+    const dengue = report.diseases.find(d => d.name === 'Dengue Fever');
+    assert.deepEqual([dengue.precautions, dengue.description], [true, true]);
+    assert.ok(dengue.sources.some(s => s.name === 'Dengue' && s.file === 'diseases.csv'));
+
+    assert.ok(report.missing.precautions.includes('Appendicitis'));
+    assert.ok(!report.missing.description.includes('Dengue Fever'));
+    assert.ok(report.unmatched['diseases.csv'].includes('Leprosy'));
+});
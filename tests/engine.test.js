@@ -0,0 +1,349 @@
+/**
+ * Engine regression suite: builds the model from the bundled CSVs on disk and checks
+ * known cases. Run from the repository root with `npm test` (after `npm install`, which
+ * fetches the FHIR schema and validator tests/fhir.test.js uses).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClinicalEngine = require('../lib/engine.js');
+const ScoringProfiles = require('../lib/scoring.js');
+const { loadModel } = require('../scripts/datasets.js');
+
+const model = loadModel();
+
+function ageGroupFor(age) {
+    return model.ageGroups.find(g => age >= g.min && age <= g.max);
+}
+
+function rankOf(preds, name) {
+    return preds.findIndex(p => p.name === name);
+}
+
+function score(age, gender, responses) {
+    return ClinicalEngine.calculateProbabilities(model, { ageGroup: ageGroupFor(age), gender, responses });
+}
+
+test('model is trained on both record datasets', () => {
+    assert.equal(model.records.filter(r => r.source === 'profile').length, 349);
+    assert.equal(model.records.filter(r => r.source === 'healthcare').length, 25000);
+    assert.equal(model.totalCases, 25349);
+    assert.equal(Object.keys(model.reports).length, 5);
+    Object.values(model.reports).forEach(report => assert.equal(report.skipped, 0, report.file));
+});
+
+test('synonymous symptoms share one canonical feature', () => {
+    assert.ok(model.symptoms.includes('shortness-of-breath'));
+    assert.ok(!model.allSymptoms.includes('difficulty-breathing'));
+    assert.equal(new Set(model.allSymptoms).size, model.allSymptoms.length);
+    // Profile "Difficulty Breathing" and Healthcare "shortness of breath" are counted together
+    assert.equal(model.diseases['Asthma'].observed['shortness-of-breath'], model.diseases['Asthma'].count);
+});
+
+test('disease metadata carries type, causes, pathogens and dataset flags', () => {
+    const pneumonia = model.diseaseMetadata['pneumonia'];
+    assert.equal(pneumonia.type, 'Viral');
+    assert.match(pneumonia.causes, /Infection of the lungs/);
+    assert.ok(pneumonia.relatedBacteria && pneumonia.relatedVirus);
+    assert.deepEqual([pneumonia.code, pneumonia.contagious, pneumonia.chronic], ['D216', true, true]);
+
+    // Flags only, from Diseases_Symptoms.csv
+    const migraine = model.diseaseMetadata['migraine'];
+    assert.deepEqual([migraine.code, migraine.contagious, migraine.chronic], ['D203', false, true]);
+    assert.equal(migraine.description, undefined);
+});
+
+test('age brackets cover every record', () => {
+    assert.equal(model.ageGroups.length, 4);
+    const covered = model.ageGroups.reduce((sum, g) => sum + g.total, 0);
+    assert.equal(covered, model.records.length);
+});
+
+test('age densities are smoothed distributions over the age range', () => {
+    const years = ClinicalEngine.AGE_RANGE.max - ClinicalEngine.AGE_RANGE.min + 1;
+    Object.entries(model.ageDensities).forEach(([name, table]) => {
+        assert.equal(table.length, years, name);
+        assert.ok(table.every(p => p > 0), name);
+        const mass = table.reduce((a, b) => a + b, 0);
+        assert.ok(mass > 0.9 && mass <= 1.0001, `${name} density mass ${mass}`);
+    });
+});
+
+test('exact ages inside one bracket get different priors', () => {
+    const group = ageGroupFor(30);
+    const at = age => ClinicalEngine.calculateProbabilities(model, { age, ageGroup: group, gender: 'Female', responses: {} });
+    const young = at(group.min);
+    const old = at(group.max);
+    assert.notDeepEqual(young.map(p => p.name), old.map(p => p.name));
+    assert.ok(young.every(p => Number.isFinite(p.probability)));
+});
+
+test('fractional ages fall in the bracket of their completed years', () => {
+    const labelOf = age => ClinicalEngine.ageGroupFor(model, age).label;
+    const [first, second, , last] = model.ageGroups;
+    assert.equal(labelOf(first.max + 0.5), first.label);
+    assert.equal(labelOf(second.max + 0.99), second.label);
+    assert.equal(labelOf(second.min), second.label);
+    assert.equal(labelOf(0.5), first.label);
+    assert.equal(labelOf(last.max + 10), last.label);
+});
+
+test('probabilities are a sorted distribution over every disease', () => {
+    const preds = score(40, 'Female', { fever: 'Yes', cough: 'No' });
+    assert.equal(preds.length, Object.keys(model.diseases).length);
+    const total = preds.reduce((sum, p) => sum + p.probability, 0);
+    assert.ok(Math.abs(total - 100) < 1e-9);
+    for (let i = 1; i < preds.length; i++) {
+        assert.ok(preds[i - 1].probability >= preds[i].probability);
+    }
+});
+
+test('temperature flattens the posterior without changing the ranking', () => {
+    const selections = { ageGroup: ageGroupFor(40), gender: 'Female', responses: { fever: 'Yes', cough: 'No' } };
+    const sharp = ClinicalEngine.calculateProbabilities(model, selections, { temperature: 1 });
+    const soft = ClinicalEngine.calculateProbabilities(model, selections, { temperature: 4 });
+    assert.deepEqual(soft.map(p => p.name), sharp.map(p => p.name));
+    assert.ok(soft[0].probability < sharp[0].probability);
+});
+
+test('bootstrap intervals bracket each probability and are reproducible', () => {
+    const selections = { ageGroup: ageGroupFor(25), gender: 'Male', responses: { fever: 'Yes', cough: 'Yes' } };
+    const preds = ClinicalEngine.calculateProbabilities(model, selections, { intervals: { replicates: 50 } });
+    preds.slice(0, 10).forEach(p => {
+        assert.ok(p.interval.lower <= p.interval.upper, p.name);
+        assert.ok(p.interval.lower <= p.probability + 0.5 && p.interval.upper >= p.probability - 0.5, p.name);
+    });
+    const again = ClinicalEngine.probabilityIntervals(model, selections, { replicates: 50 });
+    assert.deepEqual(again[preds[0].name], preds[0].interval);
+});
+
+test('confidence level follows the lead over the runner-up and band separation', () => {
+    const lead = (probability, lower, upper) => ({ probability, interval: { lower, upper } });
+    assert.equal(ClinicalEngine.confidenceLevel([lead(80, 70, 88), lead(10, 5, 15)]), 'high');
+    assert.equal(ClinicalEngine.confidenceLevel([lead(12, 8, 16), lead(3, 1, 6)]), 'high');
+    assert.equal(ClinicalEngine.confidenceLevel([lead(12, 5, 20), lead(3, 1, 7)]), 'moderate');
+    assert.equal(ClinicalEngine.confidenceLevel([lead(65, 30, 80), lead(30, 20, 50)]), 'moderate');
+    assert.equal(ClinicalEngine.confidenceLevel([lead(3, 2, 4), lead(2.9, 2, 4)]), 'low');
+    assert.equal(ClinicalEngine.confidenceLevel([lead(12, 8, 16), lead(3, 1, 6)], 5), 'moderate');
+});
+
+test('a clear-cut answer set reaches high confidence on the calibrated scale', () => {
+    const responses = {
+        'shortness-of-breath': 'Yes', cough: 'Yes', fatigue: 'No', fever: 'Yes', 'chest-pain': 'Yes',
+        'muscle-pain': 'Yes', 'back-pain': 'Yes', 'joint-pain': 'Yes', 'sore-throat': 'No'
+    };
+    const preds = ClinicalEngine.calculateProbabilities(model, { age: 35, ageGroup: ageGroupFor(35), gender: 'Female', responses }, { intervals: true });
+    assert.equal(preds[0].name, 'Pneumonia');
+    assert.equal(ClinicalEngine.confidenceLevel(preds), 'high');
+});
+
+test('"Not Sure" answers are neutral', () => {
+    const base = score(40, 'Male', { fever: 'Yes' });
+    const unsure = score(40, 'Male', { fever: 'Yes', headache: 'Not Sure', rash: 'Not Sure' });
+    assert.deepEqual(unsure.map(p => p.name), base.map(p => p.name));
+});
+
+test('profile vitals are counted per disease', () => {
+    const bp = model.diseases['Hypertension'].vitals.bloodPressure;
+    assert.equal(bp.total, bp.Low + bp.Normal + bp.High);
+    assert.ok(bp.High > bp.Low);
+    assert.equal(model.records.find(r => r.source === 'profile').vitals.bloodPressure, 'Low');
+});
+
+test('high blood pressure shifts weight from respiratory to hypertensive conditions', () => {
+    const selections = { ageGroup: ageGroupFor(50), gender: 'Female', responses: { fatigue: 'Yes' } };
+    const ratio = preds => preds.find(p => p.name === 'Hypertension').probability / preds.find(p => p.name === 'Asthma').probability;
+    const without = ClinicalEngine.calculateProbabilities(model, selections);
+    const withBP = ClinicalEngine.calculateProbabilities(model, { ...selections, vitals: { bloodPressure: 'High' } });
+    assert.ok(ratio(withBP) > ratio(without));
+});
+
+test('skipped vitals are neutral', () => {
+    const selections = { ageGroup: ageGroupFor(50), gender: 'Male', responses: { fever: 'Yes' } };
+    const base = ClinicalEngine.calculateProbabilities(model, selections);
+    const skipped = ClinicalEngine.calculateProbabilities(model, { ...selections, vitals: { bloodPressure: null, cholesterol: null } });
+    assert.deepEqual(skipped.map(p => p.probability), base.map(p => p.probability));
+});
+
+test('free-text symptoms from any dataset count as positive evidence', () => {
+    assert.ok(model.vocabulary.includes('night-sweats'));
+    assert.ok(model.vocabulary.length > model.allSymptoms.length);
+    const base = { age: 50, gender: 'Female', responses: { fever: 'No' } };
+    const probabilityOf = (preds, name) => preds.find(p => p.name === name).probability;
+    const without = ClinicalEngine.calculateProbabilities(model, base);
+    const withPain = ClinicalEngine.calculateProbabilities(model, { ...base, responses: { ...base.responses, 'joint-pain': 'Yes' } });
+    assert.ok(probabilityOf(withPain, 'Rheumatoid Arthritis') > probabilityOf(without, 'Rheumatoid Arthritis'));
+});
+
+test('explanations account for the whole score difference between diagnoses', () => {
+    const selections = { age: 25, gender: 'Male', vitals: { bloodPressure: 'High' }, responses: { fever: 'Yes', cough: 'No', rash: 'Not Sure' } };
+    const preds = ClinicalEngine.calculateProbabilities(model, selections, { explain: true });
+    const [first, second] = preds;
+    const total = p => p.explanation.reduce((sum, e) => sum + e.impact, 0);
+    const logOdds = Math.log(first.probability / second.probability);
+    assert.ok(Math.abs(total(first) - total(second) - logOdds) < 1e-9);
+
+    const terms = first.explanation.map(e => e.key);
+    assert.ok(terms.includes('fever') && terms.includes('bloodPressure') && terms.includes('age'));
+    assert.ok(!terms.includes('rash'), '"Not Sure" contributes nothing');
+    assert.ok(!('ledger' in first));
+});
+
+test('a Yes without detail scores the same as a plain Yes', () => {
+    const plain = score(40, 'Female', { fever: 'Yes', cough: 'No' });
+    const detailed = score(40, 'Female', { fever: { answer: 'Yes', severity: null }, cough: { answer: 'No', severity: 'severe' } });
+    assert.deepEqual(detailed.map(p => p.probability), plain.map(p => p.probability));
+    assert.deepEqual(ClinicalEngine.readResponse({ answer: 'Maybe', duration: 'weeks' }), { answer: 'Maybe', severity: null, duration: null });
+    assert.equal(ClinicalEngine.describeResponse({ answer: 'Yes', severity: 'severe', duration: 'weeks' }), 'Yes (severe, for weeks)');
+});
+
+test('severity scales the evidence a symptom contributes', () => {
+    const selections = severity => ({ age: 35, gender: 'Male', responses: { cough: { answer: 'Yes', severity } } });
+    const impactOn = (preds, name) => preds.find(p => p.name === name).explanation.find(e => e.key === 'cough').impact;
+    const [mild, severe] = ['mild', 'severe'].map(level => ClinicalEngine.calculateProbabilities(model, selections(level), { explain: true }));
+    const top = severe[0].name;
+    assert.ok(Math.abs(impactOn(severe, top)) > Math.abs(impactOn(mild, top)));
+    assert.equal(severe[0].explanation.find(e => e.key === 'cough').answer, 'Yes (severe)');
+});
+
+test('long-standing symptoms favour diseases flagged chronic, recent ones acute', () => {
+    const flag = name => model.diseaseMetadata[name.toLowerCase()].chronic;
+    assert.equal(flag('Asthma'), true);
+    const acute = Object.keys(model.diseases).find(name => (model.diseaseMetadata[name.toLowerCase()] || {}).chronic === false);
+    const ratio = duration => {
+        const preds = ClinicalEngine.calculateProbabilities(model, { age: 45, gender: 'Female', responses: { fatigue: { answer: 'Yes', duration } } }, { explain: true });
+        const probabilityOf = name => preds.find(p => p.name === name).probability;
+        return probabilityOf('Asthma') / probabilityOf(acute);
+    };
+    assert.ok(ratio('chronic') > ratio('weeks'));
+    assert.ok(ratio('weeks') > ratio('hours'));
+
+    const preds = ClinicalEngine.calculateProbabilities(model, { age: 45, gender: 'Female', responses: { fatigue: { answer: 'Yes', duration: 'chronic' } } }, { explain: true });
+    const term = preds.find(p => p.name === 'Asthma').explanation.find(e => e.term === 'duration');
+    assert.deepEqual([term.label, term.answer], ['Symptom duration', 'chronic']);
+    assert.ok(term.impact > 0);
+});
+
+test('scoring profiles: the default is the smoothed heuristic, naive Bayes scores differently', () => {
+    const selections = { age: 34, gender: 'Female', responses: { fever: 'Yes', cough: 'No', fatigue: 'Maybe' } };
+    const run = profile => ClinicalEngine.calculateProbabilities(model, selections, { profile, explain: true });
+    const heuristic = run('smoothed-heuristic');
+    assert.deepEqual(run().map(p => [p.name, p.probability]), heuristic.map(p => [p.name, p.probability]));
+
+    const naive = run('naive-bayes');
+    assert.ok(Math.abs(naive.reduce((sum, p) => sum + p.probability, 0) - 100) < 1e-9);
+    assert.notDeepEqual(naive.slice(0, 5).map(p => p.probability), heuristic.slice(0, 5).map(p => p.probability));
+    assert.ok(naive.every(p => !p.explanation.some(e => e.term === 'specificity')), 'no specificity bonus');
+    assert.ok(naive.every(p => !p.explanation.some(e => e.key === 'fatigue')), 'Maybe is ignored');
+    assert.throws(() => run('no-such-profile'), /Unknown scoring profile/);
+});
+
+test('the weighted heuristic reproduces the scoring it had before the smoothed heuristic', () => {
+    // Top five (name, probability %) from the engine before symptom counts were weighted by source
+    const baseline = [
+        [{ age: 34, gender: 'Female', responses: { fever: 'Yes', cough: 'No', fatigue: 'Maybe' } },
+            [['Pneumonia', 2.5727], ['Asthma', 2.424], ['Dermatitis', 2.4208], ['Chronic Kidney Disease', 2.419], ['Liver Disease', 2.4077]]],
+        [{ age: 60, gender: 'Male', responses: { fever: 'Yes', cough: 'Yes', 'shortness-of-breath': 'Yes', 'chest-pain': 'Yes' } },
+            [['Ebola Virus', 3.6553], ['Hepatitis B', 2.8217], ['Chronic Obstructive Pulmonary Disease (COPD)', 2.3585], ['Measles', 2.1897], ['Osteoporosis', 2.0567]]],
+        [{ age: 30, gender: 'Male', responses: { 'runny-nose': 'Yes', sneezing: 'Yes', 'sore-throat': 'Yes', fever: 'No' } },
+            [['Eczema', 1.728], ['Hyperthyroidism', 1.6772], ['Ulcerative Colitis', 1.5205], ['Kidney Cancer', 1.4834], ['Osteoporosis', 1.4611]]]
+    ];
+    baseline.forEach(([selections, expected]) => {
+        const preds = ClinicalEngine.calculateProbabilities(model, selections, { profile: 'weighted-heuristic' });
+        assert.deepEqual(preds.slice(0, 5).map(p => [p.name, Math.round(p.probability * 1e4) / 1e4]), expected);
+    });
+});
+
+test('a tweaked profile changes only the terms it weights', () => {
+    const selections = { age: 34, gender: 'Female', responses: { fever: 'Yes' } };
+    const base = ScoringProfiles.PROFILES['weighted-heuristic'];
+    const tweaked = ScoringProfiles.customize(base, 'genderWeight', 3);
+    const impactOf = (preds, term) => preds.map(p => (p.explanation.find(e => e.term === term) || { impact: 0 }).impact);
+    const [before, after] = [base, tweaked].map(profile => ClinicalEngine.calculateProbabilities(model, selections, { profile, explain: true })
+        .sort((a, b) => a.name.localeCompare(b.name)));
+
+    const close = (actual, expected) => actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9));
+    close(impactOf(after, 'gender'), impactOf(before, 'gender').map(impact => 2 * impact));
+    close(impactOf(after, 'symptom'), impactOf(before, 'symptom'));
+    assert.throws(() => ClinicalEngine.calculateProbabilities(model, selections, { profile: { ...tweaked, alpha: 0 } }), /alpha must be above 0/);
+});
+
+test('an Asthma-like profile ranks Asthma in the top three', () => {
+    const preds = score(25, 'Male', { fever: 'Yes', cough: 'Yes', fatigue: 'No', 'shortness-of-breath': 'Yes' });
+    assert.ok(rankOf(preds, 'Asthma') < 3, `Asthma ranked #${rankOf(preds, 'Asthma') + 1}`);
+});
+
+test('record sources count only as far as they tell diseases apart', () => {
+    // Healthcare (2).csv gives every disease ~18% of every symptom
+    Object.entries(model.symptomReliability.healthcare).forEach(([sym, weight]) => assert.ok(weight < 0.01, sym));
+    assert.equal(model.symptomReliability.profile['shortness-of-breath'], 1);
+
+    // So its diseases differ where their texts do, on the same scale as text-only diseases
+    const flu = ClinicalEngine.symptomLikelihood(model, 'Influenza', 'sore-throat');
+    assert.ok(flu > 0.7 && Math.abs(flu - ClinicalEngine.symptomLikelihood(model, 'Polio', 'sore-throat')) < 0.01);
+    assert.ok(ClinicalEngine.symptomLikelihood(model, 'Migraine', 'sore-throat') < 0.3);
+});
+
+test('textbook presentations rank their disease first', () => {
+    [
+        ['Common Cold', 30, 'Male', { 'runny-nose': 'Yes', sneezing: 'Yes', 'sore-throat': 'Yes', fever: 'No' }],
+        ['Migraine', 35, 'Female', { headache: 'Yes', nausea: 'Yes', fever: 'No', cough: 'No' }],
+        ['Pneumonia', 60, 'Male', { fever: 'Yes', cough: 'Yes', 'shortness-of-breath': 'Yes', 'chest-pain': 'Yes' }],
+        ['Tuberculosis', 40, 'Male', { cough: 'Yes', 'weight-loss': 'Yes', 'night-sweats': 'Yes', fever: 'Yes' }],
+        ['COVID-19', 40, 'Female', { fever: 'Yes', cough: 'Yes', 'loss-of-taste-or-smell': 'Yes', fatigue: 'Yes' }],
+        ['Diabetes', 55, 'Male', { 'frequent-urination': 'Yes', 'increased-thirst': 'Yes', fatigue: 'Yes' }],
+        ['Hypertension', 60, 'Male', { headache: 'Yes', dizziness: 'Yes', 'chest-pain': 'Yes' }]
+    ].forEach(([name, age, gender, responses]) => {
+        const preds = score(age, gender, responses);
+        assert.equal(preds[0].name, name, `${name} ranked #${rankOf(preds, name) + 1}`);
+    });
+});
+
+test('an Influenza-like profile ranks Influenza in the top three', () => {
+    const preds = score(25, 'Female', { fever: 'Yes', cough: 'Yes', fatigue: 'Yes', 'shortness-of-breath': 'Yes' });
+    assert.ok(rankOf(preds, 'Influenza') < 3, `Influenza ranked #${rankOf(preds, 'Influenza') + 1}`);
+});
+
+test('adaptive questioning never repeats an answered symptom', () => {
+    const selections = { ageGroup: ageGroupFor(30), gender: 'Female', responses: {} };
+    const asked = [];
+    for (let i = 0; i < 8; i++) {
+        const { symptom } = ClinicalEngine.nextQuestion(model, selections, {
+            asked: asked.length, minQuestions: 5, maxQuestions: 8, lead: Infinity
+        });
+        assert.ok(symptom, 'expected another question');
+        assert.ok(!asked.includes(symptom));
+        assert.ok(model.allSymptoms.includes(symptom));
+        asked.push(symptom);
+        selections.responses[symptom] = 'No';
+    }
+    const done = ClinicalEngine.nextQuestion(model, selections, {
+        asked: asked.length, minQuestions: 5, maxQuestions: 8, lead: Infinity
+    });
+    assert.equal(done.symptom, null);
+});
+
+test('questioning stops early once the leader clearly outranks the runner-up', () => {
+    // A cold: every question the engine picks is answered as such a patient would
+    const symptoms = ['runny-nose', 'sneezing', 'sore-throat', 'cough'];
+    const selections = { ageGroup: ageGroupFor(40), gender: 'Male', responses: {} };
+    const options = { asked: 0, minQuestions: 5, maxQuestions: 15 };
+    let next;
+    while ((next = ClinicalEngine.nextQuestion(model, selections, options)).symptom) {
+        selections.responses[next.symptom] = symptoms.includes(next.symptom) ? 'Yes' : 'No';
+        options.asked++;
+    }
+
+    assert.ok(options.asked < options.maxQuestions, `asked all ${options.asked} questions`);
+    assert.ok(next.lead >= ClinicalEngine.CONFIDENT_LEAD);
+    assert.equal(ClinicalEngine.calculateProbabilities(model, selections)[0].name, 'Common Cold');
+});
+
+test('optional datasets may be missing', () => {
+    const { readDatasets } = require('../scripts/datasets.js');
+    const texts = readDatasets();
+    delete texts.precautions;
+    delete texts.metadata;
+    const partial = ClinicalEngine.buildModelFromText(texts);
+    assert.deepEqual(partial.precautions, {});
+    assert.throws(() => ClinicalEngine.buildModelFromText({ profile: texts.profile }), /Healthcare/);
+});
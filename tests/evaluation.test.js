@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClinicalEngine = require('../lib/engine.js');
+const ModelEvaluation = require('../lib/evaluation.js');
+const { readDatasets } = require('../scripts/datasets.js');
+
+const sources = ClinicalEngine.parseSources(readDatasets());
+
+test('folds partition the records and are reproducible', () => {
+    const folds = ModelEvaluation.createFolds(sources, { folds: 4, seed: 7 });
+    const total = sources.profile.rows.length + sources.healthcare.rows.length;
+    const held = folds.flatMap(f => [...f.held]);
+    assert.equal(held.length, total);
+    assert.equal(new Set(held).size, total);
+
+    const again = ModelEvaluation.createFolds(sources, { folds: 4, seed: 7 });
+    assert.deepEqual(again[0].test.slice(0, 20), folds[0].test.slice(0, 20));
+});
+
+test('sampling caps the scored records but not the held-out set', () => {
+    const folds = ModelEvaluation.createFolds(sources, { folds: 5, sample: 100 });
+    folds.forEach(f => {
+        assert.equal(f.test.length, 20);
+        assert.ok(f.held.size > 5000);
+    });
+});
+
+test('summarize computes accuracy, precision/recall and calibration', () => {
+    const outcomes = [
+        { actual: 'Flu', predictions: [{ name: 'Flu', probability: 90 }, { name: 'Cold', probability: 5 }] },
+        { actual: 'Flu', predictions: [{ name: 'Cold', probability: 60 }, { name: 'Flu', probability: 30 }] },
+        { actual: 'Cold', predictions: [{ name: 'Cold', probability: 80 }, { name: 'Flu', probability: 10 }] },
+        { actual: 'Asthma', predictions: [{ name: 'Flu', probability: 55 }, { name: 'Cold', probability: 40 }] }
+    ];
+    const report = ModelEvaluation.summarize(outcomes, { bins: 10 });
+
+    assert.equal(report.top1, 0.5);
+    assert.equal(report.top3, 0.75);
+
+    const flu = report.perDisease.find(d => d.name === 'Flu');
+    assert.equal(flu.support, 2);
+    assert.equal(flu.recall, 0.5);
+    assert.equal(flu.precision, 0.5);
+
+    const { labels, matrix } = report.confusion;
+    assert.deepEqual(labels, ['Asthma', 'Cold', 'Flu']);
+    assert.equal(matrix[labels.indexOf('Flu')][labels.indexOf('Cold')], 1);
+
+    const bin = report.calibration.bins[9];
+    assert.equal(bin.count, 1);
+    assert.equal(bin.accuracy, 1);
+    assert.ok(report.calibration.ece > 0);
+});
+
+test('cross-validation runs end to end on the bundled data', () => {
+    const report = ModelEvaluation.crossValidate(sources, { folds: 2, sample: 60 });
+    assert.equal(report.records, 60);
+    assert.ok(report.top3 >= report.top1);
+    assert.equal(report.calibration.bins.reduce((sum, b) => sum + b.count, 0), 60);
+});
+
+test('temperature fitting lowers the held-out log-loss', () => {
+    const report = ModelEvaluation.crossValidate(sources, { folds: 2, sample: 60, calibrate: true });
+    assert.ok(report.temperature > 0);
+    assert.ok(report.logLoss <= report.uncalibrated.logLoss);
+    const [outcome] = ModelEvaluation.evaluateFold(sources, ModelEvaluation.createFolds(sources, { folds: 2, sample: 2 })[0]);
+    const soft = ModelEvaluation.recalibrate(outcome, 10);
+    assert.deepEqual(soft.predictions.map(p => p.name), outcome.predictions.map(p => p.name));
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toBundle, fromBundle, SYSTEMS } = require('../lib/fhir.js');
+const Ajv = require('ajv');
+// The HL7 FHIR R4 JSON schema (http://hl7.org/fhir/R4/fhir.schema.json), a dev dependency
+const schema = require('@asymmetrik/fhir-json-schema-validator/fhir.schema.json');
+
+const labels = { symptom: id => id.replace(/-/g, ' '), vital: key => key };
+const predictions = [
+    { name: 'Hypertension', probability: 41.25, interval: { lower: 30, upper: 52.5 } },
+    { name: 'Migraine', probability: 33.75 },
+    { name: 'Asthma', probability: 25 }
+];
+const selections = {
+    age: 52,
+    gender: 'Female',
+    vitals: { bloodPressure: 'High' },
+    responses: { headache: 'Yes', fever: 'No', 'blurred-vision': 'Maybe', rash: 'Not Sure' }
+};
+
+function resourcesOf(bundle, type) {
+    return bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+}
+
+// The schema is draft-06 and names itself with `id`
+const ajv = new Ajv({ allErrors: true, schemaId: 'auto', logger: false });
+ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-06.json'));
+ajv.addSchema(schema);
+
+/**
+ * Problems with `value` against one definition of the R4 schema, as "path: reason".
+ */
+function schemaErrors(value, definition = 'Bundle') {
+    const validate = ajv.getSchema(`${schema.id}#/definitions/${definition}`);
+    return validate(value) ? [] : validate.errors.map(e => `${definition}${e.dataPath}: ${e.message}`);
+}
+
+test('bundle holds a patient, questionnaire response, vitals and differential', () => {
+    const bundle = toBundle({ selections, predictions, labels }, { timestamp: '2026-03-02T09:00:00.000Z' });
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(bundle.type, 'collection');
+
+    const [patient] = resourcesOf(bundle, 'Patient');
+    assert.equal(patient.gender, 'female');
+    assert.equal(patient.extension[0].valueAge.value, 52);
+
+    const [qr] = resourcesOf(bundle, 'QuestionnaireResponse');
+    assert.equal(qr.status, 'completed');
+    assert.deepEqual(qr.item.map(i => i.answer[0].valueCoding.code), ['yes', 'no', 'maybe', 'not-sure']);
+
+    const [bp] = resourcesOf(bundle, 'Observation');
+    assert.equal(bp.code.coding[0].code, '85354-9');
+    assert.equal(bp.valueCodeableConcept.coding[0].code, 'H');
+
+    const [report] = resourcesOf(bundle, 'DiagnosticReport');
+    assert.deepEqual(report.conclusionCode.map(c => c.text), ['Hypertension', 'Migraine', 'Asthma']);
+    assert.equal(report.conclusionCode[0].extension[0].url, SYSTEMS.probabilityExtension);
+    assert.equal(report.conclusionCode[0].extension[0].valueDecimal, 0.4125);
+
+    // Every reference resolves inside the bundle
+    const urls = new Set(bundle.entry.map(e => e.fullUrl));
+    [qr.subject, bp.subject, report.subject, ...report.result].forEach(r => assert.ok(urls.has(r.reference), r.reference));
+});
+
+test('exported bundles validate against the FHIR R4 schema', () => {
+    const detailed = { ...selections, responses: { ...selections.responses, headache: { answer: 'Yes', severity: 'mild', duration: 'chronic' } } };
+    const bracket = { age: null, ageGroup: { label: '24-45 yrs', min: 24, max: 45 }, gender: 'Male', vitals: {}, responses: { cough: 'Yes' } };
+    [selections, detailed, bracket].forEach(s => {
+        const bundle = JSON.parse(JSON.stringify(toBundle({ selections: s, predictions, labels })));
+        assert.deepEqual(schemaErrors(bundle), []);
+    });
+
+    // The validator does catch what the schema forbids
+    const broken = JSON.parse(JSON.stringify(toBundle({ selections, predictions, labels })));
+    resourcesOf(broken, 'Patient')[0].gender = 'F';
+    resourcesOf(broken, 'Observation')[0].status = 'done';
+    resourcesOf(broken, 'DiagnosticReport')[0].unknownField = true;
+    assert.notDeepEqual(schemaErrors(broken), []);
+    assert.deepEqual(['Patient', 'Observation', 'DiagnosticReport'].map(type => schemaErrors(resourcesOf(broken, type)[0], type)), [
+        ['Patient.gender: should be equal to one of the allowed values'],
+        ['Observation.status: should be equal to one of the allowed values'],
+        ['DiagnosticReport: should NOT have additional properties']
+    ]);
+});
+
+test('import restores the selections an export was made from', () => {
+    const restored = fromBundle(JSON.parse(JSON.stringify(toBundle({ selections, predictions, labels }))));
+    assert.equal(restored.age, 52);
+    assert.equal(restored.gender, 'Female');
+    assert.deepEqual(restored.vitals, selections.vitals);
+    assert.deepEqual(restored.responses, selections.responses);
+    assert.deepEqual(restored.differential.map(d => d.probability), [41.25, 33.75, 25]);
+});
+
+test('severity and duration of a Yes are nested under its answer', () => {
+    const responses = { headache: { answer: 'Yes', severity: 'severe', duration: 'weeks' }, fever: 'No' };
+    const bundle = toBundle({ selections: { ...selections, responses }, predictions, labels });
+    const [qr] = resourcesOf(bundle, 'QuestionnaireResponse');
+    const nested = qr.item[0].answer[0].item;
+    assert.deepEqual(nested.map(i => i.linkId), ['headache.severity', 'headache.duration']);
+    assert.deepEqual(nested[0].answer[0].valueCoding, { system: SYSTEMS.snomed, code: '24484000', display: 'Severe' });
+
+    assert.deepEqual(fromBundle(JSON.parse(JSON.stringify(bundle))).responses, responses);
+});
+
+test('an age bracket travels as an age range', () => {
+    const bundle = toBundle({
+        selections: { age: null, ageGroup: { label: '24-45 yrs', min: 24, max: 45 }, gender: 'Male', vitals: {}, responses: {} },
+        predictions,
+        labels
+    });
+    const restored = fromBundle(bundle);
+    assert.equal(restored.age, null);
+    assert.deepEqual(restored.ageRange, { min: 24, max: 45 });
+});
+
+test('import rejects bundles it cannot read', () => {
+    assert.throws(() => fromBundle({ resourceType: 'Patient' }), /Not a FHIR Bundle/);
+    assert.throws(() => fromBundle({ resourceType: 'Bundle', entry: [] }), /no Patient/);
+
+    const bundle = toBundle({ selections, predictions, labels });
+    resourcesOf(bundle, 'QuestionnaireResponse')[0].item[0].answer[0].valueCoding.code = 'sometimes';
+    assert.throws(() => fromBundle(bundle), /Unrecognized answer for "headache"/);
+
+    // Malformed ages are import errors, not TypeErrors
+    const withPatient = change => {
+        const copy = toBundle({ selections, predictions, labels });
+        change(resourcesOf(copy, 'Patient')[0]);
+        return copy;
+    };
+    assert.throws(() => fromBundle(withPatient(p => { delete p.extension[0].valueAge; })), /^Error: Patient age has no numeric value/);
+    assert.throws(() => fromBundle(withPatient(p => { p.extension[0].valueAge.value = '52'; })), /Patient age has no numeric value/);
+    const range = { url: SYSTEMS.ageRangeExtension, valueRange: { low: { value: 24 } } };
+    assert.throws(() => fromBundle(withPatient(p => { p.extension = [range]; })), /Patient age range high has no numeric value/);
+    assert.throws(() => fromBundle(withPatient(p => { p.extension = [{ url: SYSTEMS.ageRangeExtension }]; })), /Patient age range low/);
+
+    const unnamed = toBundle({ selections, predictions, labels });
+    resourcesOf(unnamed, 'DiagnosticReport')[0].conclusionCode[1] = {};
+    assert.throws(() => fromBundle(unnamed), /conclusion 2 has no text or display name/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEntry, restoreSelections, compareAssessments, DETAILED_RESULTS } = require('../lib/history.js');
+
+function entry(createdAt, selections, predictions) {
+    return { ...createEntry(selections, predictions), createdAt };
+}
+
+const monday = entry('2026-03-02T09:00:00.000Z', {
+    age: 34, ageGroup: { label: '24-45 yrs' }, gender: 'Female', vitals: {}, responses: { fever: 'Yes', cough: 'No' }
+}, [
+    { name: 'Influenza', probability: 40, interval: { lower: 30, upper: 50 }, explanation: [] },
+    { name: 'Common Cold', probability: 35 },
+    { name: 'Asthma', probability: 25 }
+]);
+
+const wednesday = entry('2026-03-04T09:00:00.000Z', {
+    age: 34, ageGroup: { label: '24-45 yrs' }, gender: 'Female', vitals: { bloodPressure: 'High' }, responses: { fever: 'Yes', cough: 'Yes', rash: 'No' }
+}, [
+    { name: 'Common Cold', probability: 55 },
+    { name: 'Influenza', probability: 30 },
+    { name: 'Bronchitis', probability: 15 }
+]);
+
+test('entries keep the profile, answers and ranked predictions', () => {
+    assert.equal(monday.profile.ageGroup, '24-45 yrs');
+    assert.deepEqual(monday.responses, { fever: 'Yes', cough: 'No' });
+    assert.deepEqual(monday.predictions.map(p => p.name), ['Influenza', 'Common Cold', 'Asthma']);
+    assert.deepEqual(monday.predictions[0].interval, { lower: 30, upper: 50 });
+
+    const many = createEntry(
+        { age: 1, ageGroup: null, gender: 'Male', vitals: {}, responses: {} },
+        Array.from({ length: 8 }, (_, i) => ({ name: `D${i}`, probability: 1, interval: { lower: 0, upper: 2 } }))
+    );
+    assert.ok('interval' in many.predictions[DETAILED_RESULTS - 1]);
+    assert.ok(!('interval' in many.predictions[DETAILED_RESULTS]));
+});
+
+test('reopening finds the age bracket again in a rebuilt model', () => {
+    // The model was rebuilt with new brackets since the entries were saved
+    const model = { ageGroups: [{ label: '18-40 yrs', min: 18, max: 40, total: 10, diseasePriors: {} }, { label: '41-90 yrs', min: 41, max: 90, total: 10, diseasePriors: {} }] };
+    const restored = restoreSelections(monday, model);
+    assert.equal(restored.ageGroup, model.ageGroups[0]);
+    assert.deepEqual([restored.age, restored.gender, restored.responses], [34, 'Female', { fever: 'Yes', cough: 'No' }]);
+
+    const bracketOnly = entry('2026-03-05T09:00:00.000Z', {
+        age: null, ageGroup: { label: '24-45 yrs' }, gender: 'Male', vitals: {}, responses: { cough: 'Yes' }
+    }, [{ name: 'Influenza', probability: 100 }]);
+    assert.equal(restoreSelections(bracketOnly, model).ageGroup, null, 'its bracket is gone');
+    const kept = { ageGroups: [...model.ageGroups, { label: '24-45 yrs', min: 24, max: 45, total: 5, diseasePriors: {} }] };
+    assert.equal(restoreSelections(bracketOnly, kept).ageGroup, kept.ageGroups[2]);
+});
+
+test('comparison orders assessments oldest first and flags changed answers', () => {
+    const { earlier, answers } = compareAssessments(wednesday, monday);
+    assert.equal(earlier, monday);
+
+    const byKey = Object.fromEntries(answers.map(a => [a.key, a]));
+    assert.equal(byKey.fever.changed, false);
+    assert.deepEqual([byKey.cough.before, byKey.cough.after, byKey.cough.changed], ['No', 'Yes', true]);
+    assert.deepEqual([byKey.rash.before, byKey.rash.after], [null, 'No']);
+    assert.deepEqual([byKey.bloodPressure.field, byKey.bloodPressure.changed], ['vital', true]);
+    assert.equal(byKey.age.changed, false);
+});
+
+test('a change in severity or duration counts as a changed answer', () => {
+    const withDetail = (createdAt, fever) => entry(createdAt, { ...monday.profile, ageGroup: null, responses: { fever } }, []);
+    const compare = (a, b) => compareAssessments(withDetail('2026-03-02T09:00:00.000Z', a), withDetail('2026-03-03T09:00:00.000Z', b)).answers
+        .find(x => x.key === 'fever').changed;
+    assert.equal(compare({ answer: 'Yes', severity: 'mild' }, { answer: 'Yes', severity: 'mild' }), false);
+    assert.equal(compare('Yes', { answer: 'Yes' }), false);
+    assert.equal(compare({ answer: 'Yes', severity: 'mild' }, { answer: 'Yes', severity: 'severe' }), true);
+    assert.equal(compare({ answer: 'Yes', duration: 'days' }, 'Yes'), true);
+});
+
+test('comparison reports how each disease probability moved', () => {
+    const { diseases } = compareAssessments(monday, wednesday);
+    assert.deepEqual(diseases[0], { name: 'Asthma', before: 25, after: 0, delta: -25 });
+    const cold = diseases.find(d => d.name === 'Common Cold');
+    assert.equal(cold.delta, 20);
+    assert.equal(diseases.length, 4);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, raw, escape, style, render } = require('../lib/html.js');
+
+test('interpolated text is escaped', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    assert.equal(String(html`<h1>${name}</h1>`), '<h1>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</h1>');
+    assert.equal(String(html`<th title="${"a' b"}">`), '<th title="a&#39; b">');
+    assert.equal(escape('Causes & <pathogens>'), 'Causes &amp; &lt;pathogens&gt;');
+});
+
+test('nested fragments, arrays and raw markup are kept', () => {
+    const tips = ['Rest', '<b>Fluids</b>'];
+    const list = html`<ul>${tips.map(tip => html`<li>${tip}</li>`)}</ul>`;
+    assert.equal(String(list), '<ul><li>Rest</li><li>&lt;b&gt;Fluids&lt;/b&gt;</li></ul>');
+    assert.equal(String(html`<p>${raw('<br>')}</p>`), '<p><br></p>');
+    assert.equal(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+});
+
+test('render() only accepts fragments and applies whitelisted data-style geometry', () => {
+    const set = [];
+    const span = {
+        getAttribute: () => style({ width: '40%', background: 'url(https://evil.example)' }),
+        removeAttribute: name => set.push(['removed', name]),
+        style: { setProperty: (prop, value) => set.push([prop, value]) }
+    };
+    const element = { innerHTML: '', querySelectorAll: () => [span] };
+
+    assert.throws(() => render(element, '<b>plain string</b>'), TypeError);
+    render(element, html`<span data-style="x"></span>`);
+    assert.equal(element.innerHTML, '<span data-style="x"></span>');
+    assert.deepEqual(set, [['width', '40%'], ['removed', 'data-style']]);
+});
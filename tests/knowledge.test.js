@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KnowledgeBase = require('../lib/knowledge.js');
+const { loadModel } = require('../scripts/datasets.js');
+
+const model = loadModel();
+const kb = KnowledgeBase.createKnowledgeBase(model);
+
+test('the catalog lists recorded diseases and reference-only ones from the metadata datasets', () => {
+    assert.equal(kb.diseases.filter(d => d.records > 0).length, Object.keys(model.diseases).length);
+    const leprosy = kb.diseases.find(d => d.key === 'leprosy');
+    assert.deepEqual([leprosy.name, leprosy.records, leprosy.type], ['Leprosy', 0, 'Bacterial']);
+    assert.equal(new Set(kb.diseases.map(d => d.key)).size, kb.diseases.length);
+
+    assert.deepEqual(kb.filter({ query: 'asth' }).map(d => d.name), ['Asthma', 'Myasthenia Gravis']);
+    kb.filter({ type: 'Viral', contagious: true }).forEach(d => assert.deepEqual([d.type, d.contagious], ['Viral', true]));
+    assert.ok(kb.filter({ chronic: null }).every(d => d.chronic === null));
+    assert.ok(kb.types().includes('Bacterial'));
+});
+
+test('a disease page carries prevalence from the learned counts and its demographics', () => {
+    const asthma = kb.disease('asthma');
+    const counts = model.diseases.Asthma;
+    const cough = asthma.prevalence.find(s => s.id === 'cough');
+    assert.equal(cough.rate, counts.symptoms.cough / counts.observed.cough);
+    assert.ok(asthma.prevalence.every((s, i) => i === 0 || asthma.prevalence[i - 1].rate >= s.rate));
+    assert.ok(asthma.mentions.includes('wheezing'));
+
+    assert.equal(asthma.ages.reduce((sum, bin) => sum + bin.count, 0), counts.count);
+    assert.equal(asthma.genders.reduce((sum, g) => sum + g.count, 0), counts.count);
+    assert.ok(asthma.precautions.length > 0);
+    assert.equal(kb.disease('no such disease'), null);
+});
+
+test('a symptom lists every disease that shares it, recorded cases first', () => {
+    const shared = kb.symptom('fever');
+    assert.ok(shared.some(d => d.key === 'influenza' && d.rate > 0));
+    assert.ok(shared.some(d => d.rate === null));
+    const firstDescribed = shared.findIndex(d => d.rate === null);
+    assert.ok(shared.slice(firstDescribed).every(d => d.rate === null));
+
+    assert.deepEqual(KnowledgeBase.ageHistogram([3, 12, 19, 40]).map(bin => [bin.from, bin.count]), [[0, 1], [10, 2], [20, 0], [30, 0], [40, 1]]);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR, MANIFEST_FILE, createManifest } = require('../scripts/datasets.js');
+
+test('the deployed manifest matches the datasets on disk', () => {
+    const deployed = JSON.parse(fs.readFileSync(path.join(DATA_DIR, MANIFEST_FILE), 'utf8'));
+    assert.deepEqual(deployed, createManifest(), 'run `node scripts/manifest.js` after changing a dataset');
+});
+
+test('the data version changes with any dataset', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'healthpulse-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'diseases.csv'), 'name\nAsthma\n');
+        const before = createManifest(dir);
+        assert.deepEqual(Object.keys(before.files), ['diseases.csv']);
+        assert.match(before.version, /^[0-9a-f]{10}$/);
+
+        fs.writeFileSync(path.join(dir, 'diseases.csv'), 'name\nAsthma\nBronchitis\n');
+        assert.notEqual(createManifest(dir).version, before.version);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOntology } = require('../lib/ontology.js');
+
+test('maps synonyms from different datasets onto one concept', () => {
+    const ontology = createOntology();
+    assert.equal(ontology.resolve('Difficulty Breathing'), 'shortness-of-breath');
+    assert.equal(ontology.resolve('shortness of breath'), 'shortness-of-breath');
+    assert.equal(ontology.resolve('body aches'), 'muscle-pain');
+    assert.equal(ontology.resolve('appetite loss'), 'loss-of-appetite');
+    assert.equal(ontology.resolve('Sudden high fever'), 'fever');
+});
+
+test('strips parentheticals and qualifying clauses before matching', () => {
+    const ontology = createOntology();
+    assert.deepEqual(ontology.parseList('Itchy skin, particularly on the hands and feet, Cough (sometimes blood-tinged)'), ['itching', 'cough']);
+});
+
+test('splits "or" alternatives only when each side is a known symptom', () => {
+    const ontology = createOntology();
+    assert.deepEqual(ontology.resolveAll('nausea or vomiting'), ['nausea', 'vomiting']);
+    assert.deepEqual(ontology.resolveAll('chest pain or discomfort'), ['chest-pain']);
+});
+
+test('registers unknown phrases once, matching on stemmed words', () => {
+    const ontology = createOntology();
+    const id = ontology.resolve('Swollen ankle joints');
+    assert.equal(ontology.resolve('swollen ankle joint'), id);
+    assert.equal(ontology.isCanonical(id), false);
+    assert.equal(ontology.category(id), 'other');
+});
+
+test('search tolerates typos, partial words and synonyms', () => {
+    const ontology = createOntology();
+    assert.equal(ontology.search('nigt swea')[0].id, 'night-sweats');
+    assert.equal(ontology.search('joint pian')[0].id, 'joint-pain');
+    assert.equal(ontology.search('feaver')[0].id, 'fever');
+    const [hit] = ontology.search('breathlessnes');
+    assert.equal(hit.id, 'shortness-of-breath');
+    assert.equal(hit.match, 'breathlessness');
+    assert.deepEqual(ontology.search('zzzz'), []);
+});
+
+test('search can be restricted to a vocabulary', () => {
+    const ontology = createOntology();
+    const hits = ontology.search('pain', { ids: ['joint-pain', 'back-pain', 'fever'], limit: 5 });
+    assert.deepEqual(hits.map(h => h.id).sort(), ['back-pain', 'joint-pain']);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { jsPDF } = require('../vendor/jspdf/jspdf.umd.min.js');
+const ClinicalReport = require('../lib/report.js');
+
+const { PAGE } = ClinicalReport;
+
+// A real jsPDF document that also records where each line of text was placed
+function recordingDoc() {
+    const doc = new jsPDF();
+    const placed = [];
+    const text = doc.text.bind(doc);
+    doc.text = (value, x, y, options) => {
+        [].concat(value).forEach((line, i) => placed.push({ page: doc.getCurrentPageInfo().pageNumber, text: line, y: y + i * 5 }));
+        return text(value, x, y, options);
+    };
+    return { doc, placed };
+}
+
+function sampleReport(overrides = {}) {
+    const predictions = Array.from({ length: 60 }, (_, i) => ({
+        name: `Condition ${i + 1}`,
+        probability: 40 / (i + 1),
+        interval: { lower: 30 / (i + 1), upper: 50 / (i + 1) },
+        flags: i === 0 ? ['Viral', 'Contagious'] : [],
+        causes: i === 0 ? [['Causes', 'Infection of the lungs']] : [],
+        explanation: [{ impact: 1.2, text: 'Fever: Yes' }, { impact: -0.4, text: 'Cough: No' }]
+    }));
+    return {
+        generatedAt: '19/10/2026, 10:00:00',
+        stamp: 'Model format 2 · data version 0e8a0cfc42',
+        profile: ['Age 41', 'Female', 'Blood Pressure: High'],
+        triage: { level: 'urgent', label: 'Urgent', title: 'High fever', advice: 'See a doctor today.', escalated: true },
+        predictions,
+        primary: {
+            description: 'A long description. '.repeat(300),
+            treatments: 'Rest and fluids.',
+            precautions: ['Drink water', 'Rest']
+        },
+        infectionControl: null,
+        answers: [
+            { question: 'Fever', answer: 'Yes', source: 'Questionnaire' },
+            { question: 'Cough', answer: 'No', source: 'Questionnaire' },
+            { question: 'Night sweats', answer: 'Yes', source: 'Added' }
+        ],
+        ...overrides
+    };
+}
+
+test('long reports paginate with a header and numbered footer on every page', () => {
+    const { doc, placed } = recordingDoc();
+    ClinicalReport.write(doc, sampleReport());
+    const pages = doc.getNumberOfPages();
+    assert.ok(pages >= 3, `${pages} pages`);
+
+    for (let page = 1; page <= pages; page++) {
+        const onPage = placed.filter(p => p.page === page);
+        assert.ok(onPage.some(p => p.text === `Page ${page} of ${pages}`), `footer on page ${page}`);
+        assert.ok(onPage.some(p => p.text.includes('HealthPulse Pro')), `header on page ${page}`);
+        assert.ok(onPage.some(p => p.text === 'Model format 2 · data version 0e8a0cfc42'), `stamp on page ${page}`);
+    }
+
+    // Body text stays between the header and the footer
+    const body = placed.filter(p => p.y > 20 && p.y < PAGE.height - 20);
+    body.forEach(p => assert.ok(p.y <= PAGE.bottom, `"${p.text}" at ${p.y} on page ${p.page}`));
+});
+
+test('the report lists every prediction, answer and precaution it is given', () => {
+    const { doc, placed } = recordingDoc();
+    const report = sampleReport();
+    ClinicalReport.write(doc, report);
+    const texts = placed.map(p => p.text);
+
+    report.predictions.forEach(p => assert.ok(texts.includes(p.name), p.name));
+    ['Night sweats', 'Added', '- Drink water', 'URGENT: High fever'].forEach(text => assert.ok(texts.includes(text), text));
+    assert.ok(texts.includes('Condition 1 (40.0%) · 95% interval 30.0-50.0%'));
+});
+
+test('a short report without answers fits on one page', () => {
+    const { doc, placed } = recordingDoc();
+    ClinicalReport.write(doc, sampleReport({
+        predictions: sampleReport().predictions.slice(0, 2),
+        primary: { description: 'Short.', treatments: 'Rest.', precautions: [] },
+        triage: null,
+        answers: []
+    }));
+    assert.equal(doc.getNumberOfPages(), 1);
+    assert.ok(placed.some(p => p.text === 'No symptom questions were answered.'));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScoringProfiles = require('../lib/scoring.js');
+
+const { PROFILES } = ScoringProfiles;
+
+test('the bundled profiles are valid and resolve by ID', () => {
+    Object.entries(PROFILES).forEach(([id, profile]) => {
+        assert.equal(profile.id, id);
+        assert.ok(Number.isInteger(profile.version));
+        assert.deepEqual(ScoringProfiles.check(profile), [], id);
+        assert.equal(ScoringProfiles.resolve(id), profile);
+    });
+    assert.equal(ScoringProfiles.resolve(), PROFILES[ScoringProfiles.DEFAULT_PROFILE]);
+    assert.throws(() => ScoringProfiles.resolve({ ...PROFILES['naive-bayes'], temperature: -1 }), /temperature must be above 0 or null/);
+
+    // A saved custom profile whose bundled base has been renamed or removed
+    const custom = ScoringProfiles.customize(PROFILES['naive-bayes'], 'alpha', 2);
+    assert.equal(ScoringProfiles.resolve(custom), custom);
+    assert.throws(() => ScoringProfiles.resolve({ ...custom, basedOn: { id: 'retired', version: 1 } }), /based on an unknown profile: retired/);
+    assert.throws(() => ScoringProfiles.resolve({ ...custom, basedOn: null }), /based on an unknown profile/);
+
+    // Neither layout complete
+    const { mentions, ...partial } = custom;
+    assert.throws(() => ScoringProfiles.resolve(partial), /mentions must be a list of tiers/);
+    const v1 = ScoringProfiles.customize(PROFILES['weighted-heuristic'], 'alpha', 2);
+    assert.equal(ScoringProfiles.resolve(v1), v1);
+    assert.throws(() => ScoringProfiles.resolve({ ...v1, text: undefined }), /text.Yes must be a list of tiers/);
+});
+
+test('tiers apply in order and the first one the value exceeds wins', () => {
+    const { Yes, Maybe } = PROFILES['weighted-heuristic'].recorded;
+    assert.equal(ScoringProfiles.pickTier(Yes, 0.6).weight, 3.0);
+    assert.equal(ScoringProfiles.pickTier(Yes, 0.3).weight, 1.5);
+    assert.equal(ScoringProfiles.pickTier(Maybe, 0.2), null);
+    const { answers, mentions } = PROFILES['smoothed-heuristic'];
+    assert.equal(ScoringProfiles.pickTier(answers.Yes, 0.6).match, 1);
+    assert.equal(ScoringProfiles.pickTier(answers.Yes, 0.3).match, 0);
+    assert.equal(ScoringProfiles.pickTier(mentions, 0.5).likelihood, 0.7);
+    assert.equal(ScoringProfiles.pickTier(PROFILES['naive-bayes'].answers.Maybe, 0.9), null);
+    assert.equal(ScoringProfiles.pickTier(undefined, 0.9), null);
+});
+
+test('every editable field can be changed, giving a custom profile based on the original', () => {
+    const base = PROFILES['smoothed-heuristic'];
+    const fields = ScoringProfiles.fields(base);
+    assert.ok(fields.some(f => f.path === 'mentions.0.likelihood' && f.value === 0.9));
+    assert.ok(ScoringProfiles.fields(PROFILES['weighted-heuristic']).some(f => f.path === 'text.Yes.0.likelihood' && f.value === 0.9));
+
+    Object.values(PROFILES).forEach(profile => ScoringProfiles.fields(profile).forEach(field => {
+        const changed = ScoringProfiles.customize(profile, field.path, 0.25);
+        const after = ScoringProfiles.fields(changed).find(f => f.path === field.path);
+        assert.equal(after.value, 0.25, field.path);
+        assert.deepEqual([changed.id, changed.basedOn], ['custom', { id: profile.id, version: profile.version }]);
+    }));
+    assert.equal(base.answers.Yes[0].weight, 1.5, 'the original is untouched');
+
+    const twice = ScoringProfiles.customize(ScoringProfiles.customize(base, 'alpha', 2), 'genderWeight', 1);
+    assert.deepEqual([twice.name, twice.alpha, twice.genderWeight], ['Smoothed heuristic (custom)', 2, 1]);
+    assert.equal(ScoringProfiles.label(twice), 'Smoothed heuristic (custom), based on v1');
+});
+
+test('the description lists the settings that are actually used', () => {
+    const smoothed = ScoringProfiles.describe(PROFILES['smoothed-heuristic'], 3);
+    assert.ok(smoothed.includes('Scoring Profile: Smoothed heuristic v1'));
+    assert.ok(smoothed.includes('Smoothing Algorithm: Laplace (α = 1)'));
+    assert.ok(smoothed.includes('Softmax Temperature: 3.00 (calibrated)'));
+    assert.ok(smoothed.includes('Specificity Bonus: log(1 + 0.15 × matches) × 2'));
+    assert.ok(smoothed.some(line => line.includes('Yes: log p × 1.5 above 0.3, else log p × 1.5;')));
+    assert.ok(smoothed.some(line => line.includes('No: log(1 - p) × 1.5')));
+    assert.ok(smoothed.includes('Text Prior by Mention Score: 0.9 above 0.7, else 0.7 above 0.3, else 0.2'));
+
+    const heuristic = ScoringProfiles.describe(PROFILES['weighted-heuristic'], 3);
+    assert.ok(heuristic.includes('Scoring Profile: Weighted heuristic v1'));
+    assert.ok(heuristic.includes('Softmax Temperature: 3.00'));
+    assert.ok(heuristic.some(line => line.includes('Yes: log p × 3 above 0.3, else log p × 1.5;')));
+    assert.ok(heuristic.some(line => line.includes('No: log(1 - p) × 3 above 0.5, else log(1 - p) × 1.5 above 0.3')));
+    assert.ok(heuristic.some(line => line.startsWith('Text-Matched Symptoms: Yes: log 0.9 × 2 above 0.7')));
+
+    const naive = ScoringProfiles.describe(PROFILES['naive-bayes'], 1);
+    assert.ok(naive.includes('Specificity Bonus: none'));
+    assert.ok(naive.some(line => line.includes('Maybe: ignored')));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ShareLink = require('../lib/share.js');
+
+const selections = {
+    age: 34,
+    ageGroup: { label: '24-45 yrs', min: 24, max: 45 },
+    gender: 'Female',
+    vitals: { bloodPressure: 'High', cholesterol: 'Normal' },
+    responses: { fever: 'Yes', cough: 'No', 'shortness-of-breath': 'Maybe', rash: 'Not Sure' }
+};
+
+test('links round-trip the profile and every answer', () => {
+    const restored = ShareLink.decode(ShareLink.encode(selections));
+    assert.deepEqual(restored, {
+        age: 34,
+        ageRange: null,
+        gender: 'Female',
+        vitals: selections.vitals,
+        responses: selections.responses
+    });
+});
+
+test('severity and duration of Yes answers travel with the link', () => {
+    const responses = { fever: { answer: 'Yes', severity: 'severe', duration: 'days' }, cough: { answer: 'Yes', duration: 'chronic' }, rash: 'No' };
+    const token = ShareLink.encode({ ...selections, responses });
+    assert.deepEqual(ShareLink.decode(token).responses, responses);
+    assert.throws(() => ShareLink.decode(`1.${Buffer.from('r=rash:Ns').toString('base64url')}`), /Unknown answer/);
+});
+
+test('an age bracket is shared when there is no exact age', () => {
+    const restored = ShareLink.decode(ShareLink.encode({ ...selections, age: null }));
+    assert.equal(restored.age, null);
+    assert.deepEqual(restored.ageRange, { min: 24, max: 45 });
+});
+
+test('tokens are URL-safe and keyed by symptom ID, not question order', () => {
+    const token = ShareLink.encode(selections);
+    assert.match(token, /^1\.[A-Za-z0-9_-]+$/);
+
+    const reordered = { ...selections, responses: Object.fromEntries(Object.entries(selections.responses).reverse()) };
+    assert.deepEqual(ShareLink.decode(ShareLink.encode(reordered)).responses, selections.responses);
+});
+
+test('hash helpers find the token among other parameters', () => {
+    const hash = ShareLink.toHash(selections);
+    assert.equal(ShareLink.fromHash(hash), ShareLink.encode(selections));
+    assert.equal(ShareLink.fromHash(`#view=results&${hash.slice(1)}`), ShareLink.encode(selections));
+    assert.equal(ShareLink.fromHash('#other=1'), null);
+});
+
+test('links from another version or with a damaged payload are rejected', () => {
+    const [, payload] = ShareLink.encode(selections).split('.');
+    assert.throws(() => ShareLink.decode(`2.${payload}`), /version 2 is not supported/);
+    assert.throws(() => ShareLink.decode('not-a-token'), /Malformed/);
+    assert.throws(() => ShareLink.decode(`1.${Buffer.from('r=fever:Q').toString('base64url')}`), /Unknown answer/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Triage = require('../lib/triage.js');
+const { createOntology } = require('../lib/ontology.js');
+const redFlags = require('../rules/red-flags.json');
+
+const rules = Triage.parseRules(redFlags);
+
+function triage(responses, profile = {}) {
+    return Triage.evaluate(rules, { age: 40, ageGroup: null, gender: 'Female', vitals: {}, responses, ...profile });
+}
+
+test('chest pain with difficulty breathing is an emergency', () => {
+    const result = triage({ 'chest-pain': 'Yes', 'shortness-of-breath': 'Yes', fever: 'No' });
+    assert.equal(result.level, 'emergency');
+    assert.equal(result.rule.id, 'chest-pain-breathing');
+    // The urgent single-symptom rules fire too but rank below it
+    assert.deepEqual(result.triggered.map(r => r.level), ['emergency', 'urgent', 'urgent']);
+});
+
+test('confusion with fever is an emergency', () => {
+    const result = triage({ confusion: 'Yes', fever: 'Yes' });
+    assert.equal(result.level, 'emergency');
+    assert.equal(result.rule.name, 'Confusion with fever');
+});
+
+test('only answers of Yes count a symptom as present', () => {
+    assert.equal(triage({ 'chest-pain': 'Maybe', 'shortness-of-breath': 'Not Sure' }).level, 'routine');
+    assert.equal(triage({ headache: 'Yes', fatigue: 'Yes' }).rule, null);
+});
+
+test('demographic and vital conditions narrow a rule', () => {
+    assert.equal(triage({ fever: 'Yes' }).level, 'routine');
+    assert.equal(triage({ fever: 'Yes' }, { age: 71 }).rule.id, 'fever-older-adult');
+    // A bracket that overlaps the rule's ages escalates
+    assert.equal(triage({ fever: 'Yes' }, { age: null, ageGroup: { min: 46, max: 68 } }).level, 'urgent');
+
+    const headache = { headache: 'Yes', 'blurred-vision': 'Yes' };
+    assert.equal(triage(headache).level, 'routine');
+    assert.equal(triage(headache, { vitals: { bloodPressure: 'High' } }).rule.id, 'hypertensive-symptoms');
+});
+
+test('self-care applies only when every symptom is a minor one', () => {
+    assert.equal(triage({ 'runny-nose': 'Yes', sneezing: 'Yes', fever: 'No' }).level, 'self-care');
+    assert.equal(triage({ 'runny-nose': 'Yes', headache: 'Yes' }).level, 'routine');
+    assert.equal(triage({ cough: 'Yes', 'shortness-of-breath': 'Yes' }).level, 'urgent');
+});
+
+test('the bundled rules use canonical symptom IDs', () => {
+    const ontology = createOntology();
+    rules.rules.forEach(rule => ['all', 'any', 'none', 'only'].forEach(list => (rule[list] || []).forEach(id => {
+        assert.ok(ontology.isCanonical(id), `${rule.id}: ${id}`);
+    })));
+});
+
+test('invalid rule files are rejected with the rule named', () => {
+    assert.throws(() => Triage.parseRules({}), /no "rules" array/);
+    assert.throws(() => Triage.parseRules({ rules: [{ id: 'x', name: 'X', level: 'critical', all: ['fever'] }] }), /"x": unknown level/);
+    assert.throws(() => Triage.parseRules({ rules: [{ id: 'x', name: 'X', level: 'urgent' }] }), /"x": has no conditions/);
+    // Any condition the evaluator checks is enough on its own
+    ['none', 'only'].forEach(list => assert.ok(Triage.parseRules({ rules: [{ id: 'x', name: 'X', level: 'routine', [list]: ['fever'] }] })));
+    const byGender = Triage.parseRules({ rules: [{ id: 'x', name: 'X', level: 'routine', gender: 'Female' }] });
+    assert.equal(Triage.evaluate(byGender, { gender: 'Female', responses: {} }).rule.id, 'x');
+    assert.throws(() => Triage.parseRules({
+        rules: [{ id: 'x', name: 'X', level: 'urgent', all: ['fever'] }, { id: 'x', name: 'Y', level: 'routine', all: ['cough'] }]
+    }), /"x": duplicate id/);
+});
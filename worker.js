@@ -0,0 +1,28 @@
+/**
+ * HealthPulse Pro: Inference Worker
+ * Runs the engine off the main thread. The page sends the compiled model once ("load"),
+ * then engine calls as { id, method, args }; each reply is { id, result } or { id, error }.
+ */
+importScripts('lib/csv.js', 'lib/ontology.js', 'lib/diseases.js', 'lib/scoring.js', 'lib/engine.js', 'lib/artifact.js');
+
+let model = null;
+
+const methods = {
+    load: artifact => {
+        model = ModelArtifact.hydrate(artifact);
+        return true;
+    },
+    calculateProbabilities: (selections, options) => ClinicalEngine.calculateProbabilities(model, selections, options),
+    nextQuestion: (selections, options) => ClinicalEngine.nextQuestion(model, selections, options)
+};
+
+self.onmessage = e => {
+    const { id, method, args } = e.data;
+    try {
+        if (!methods[method]) throw new Error(`Unknown method: ${method}`);
+        if (method !== 'load' && !model) throw new Error('No model loaded');
+        self.postMessage({ id, result: methods[method](...args) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};